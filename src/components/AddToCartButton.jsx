@@ -1,5 +1,93 @@
 import React, { useState } from "react";
+import PrintQualityBadge from "./PrintQualityBadge";
+import { formatTrimBox } from "../utils/imageTrim";
+import { DEFAULT_PRICING_RULES, serializePricingRules } from "../utils/pricing";
 
+// Cart must only receive a server URL (never blob)
+const isServerUrl = (url) => !!url && typeof url === "string" && !url.startsWith("blob:");
+
+/** Id shared by the cart lines of one multi-location order */
+function createGroupId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Cart line properties for one print location. _Area_x/_Area_y always describe CustomImage:
+ * the trimmed upload when there is one, otherwise the full image with _Trim marking the
+ * printed part.
+ * @param {object} line - { imageUrl, width, height, preCut, trimBox, vectorFormat, vectorFileUrl, placement }
+ * @param {string|null} cutLineUrl - Uploaded SVG contour (pre-cut)
+ * @param {string|null} trimmedImageUrl - Uploaded trimmed image (auto-trim)
+ */
+function buildLineProperties(line, cutLineUrl, trimmedImageUrl) {
+  // Without a trimmed upload the full image is sent, so its area includes the padding
+  const scale = line.trimBox && !trimmedImageUrl ? line.trimBox : { width: 1, height: 1 };
+  return {
+    _Area_x: (line.width / scale.width).toFixed(2),
+    _Area_y: (line.height / scale.height).toFixed(2),
+    _PreCut: line.preCut ? "Yes" : "No",
+    // SVG cut contour (see utils/cutLine) when pre-cut is on
+    ...(cutLineUrl ? { _CutLine: cutLineUrl } : {}),
+    CustomImage: trimmedImageUrl || line.imageUrl,
+    // Transparent padding trimmed: the full image, and the printed region of it
+    // (percent: left,top,width,height)
+    ...(line.trimBox
+      ? {
+          ...(trimmedImageUrl ? { _UntrimmedImage: line.imageUrl } : {}),
+          _Trim: formatTrimBox(line.trimBox),
+        }
+      : {}),
+    // Vector uploads: CustomImage is a preview raster; print from the original file
+    ...(line.vectorFormat
+      ? {
+          _Vector: "Yes",
+          ...(line.vectorFileUrl ? { _VectorFile: line.vectorFileUrl } : {}),
+        }
+      : {}),
+    // Where the customer intends the transfer to go (label for people, id for production tooling)
+    ...(line.placement ? { Placement: line.placement.label, _Placement: line.placement.id } : {}),
+  };
+}
+
+/**
+ * Line properties carrying the pricing rules to the cart transform (see utils/pricing).
+ * Throws when the rules cannot be serialized, so the add stops instead of going through
+ * at a price checkout cannot reproduce.
+ * @param {typeof DEFAULT_PRICING_RULES} pricingRules
+ */
+function buildPricingProperties(pricingRules) {
+  let serialized;
+  try {
+    serialized = serializePricingRules(pricingRules);
+  } catch (err) {
+    console.warn("Could not serialize pricing rules:", err);
+    serialized = null;
+  }
+  if (!serialized) throw new Error("Pricing is unavailable right now. Please try again later.");
+  return {
+    _PricingRules: serialized,
+    ...(pricingRules.signature ? { _PricingRulesSignature: pricingRules.signature } : {}),
+  };
+}
+
+/**
+ * AddToCartButton - Adds the design to the Shopify cart with its line item properties.
+ * Multi-location and multi-size orders add one line per print location / size in a single
+ * request, tied together by `_Group`.
+ *
+ * Props:
+ * - variantId, quantity: Shopify variant and count (shared by all locations)
+ * - imageUrl, width, height, preCut, trimBox, resolveImageUrl, vectorFormat, vectorFileUrl,
+ *   resolveCutLineUrl, placement: The design being edited (imageUrl is its server URL;
+ *   resolveImageUrl uploads the trimmed image when trimBox is set)
+ * - designPending: The edited design has no server copy yet, so nothing can be added
+ * - blockedReason: Why nothing can be added right now, shown to the customer (optional)
+ * - garment, garmentColor: Previewed garment and tint (optional)
+ * - additionalLines: Other print locations and extra sizes, same fields as the edited design plus
+ *   an optional own `quantity` and summary `label` (optional)
+ * - gangSheet: { prints, dpi } when imageUrl is a composed gang sheet (width/height are the sheet's)
+ * - pricingRules: Pricing rules from settings, stored on every cart line for checkout (utils/pricing)
+ */
 const AddToCartButton = ({
   variantId,
   imageUrl,
@@ -8,25 +96,73 @@ const AddToCartButton = ({
   preCut,
   quantity = 1,
   disabled = false,
+  printQuality = null,
+  trimBox = null,
+  resolveImageUrl = null,
+  vectorFormat = null,
+  vectorFileUrl = null,
+  resolveCutLineUrl = null,
+  placement = null,
+  garment = null,
+  garmentColor = null,
+  designPending = false,
+  blockedReason = null,
+  additionalLines = [],
+  gangSheet = null,
+  pricingRules = DEFAULT_PRICING_RULES,
 }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
 
-  // Cart must only receive a server URL (never blob); parent passes the URL that matches current preview
-  const isServerUrl =
-    imageUrl && typeof imageUrl === "string" && !imageUrl.startsWith("blob:");
-  const isValid = isServerUrl && width > 0 && height > 0 && variantId;
-  const urlForCart = isServerUrl ? imageUrl : null;
+  // The edited design first, then the other print locations; parent passes the server URL
+  // that matches each preview
+  const lines = [
+    ...(imageUrl ? [{ imageUrl, width, height, preCut, trimBox, resolveImageUrl, vectorFormat, vectorFileUrl, resolveCutLineUrl, placement }] : []),
+    ...additionalLines,
+  ];
+  const isValid =
+    !!variantId &&
+    !designPending &&
+    lines.length > 0 &&
+    lines.every((line) => isServerUrl(line.imageUrl) && line.width > 0 && line.height > 0);
 
   const addToCart = async () => {
-    if (!isValid || isLoading) return;
-    if (!urlForCart) return; // never send blob or empty
+    if (isLoading) return;
+    if (!isValid) {
+      // Never send a blob or an empty order; say why instead
+      if (blockedReason) setError(blockedReason);
+      return;
+    }
 
     setIsLoading(true);
     setError(null);
     setSuccess(false);
     try {
+      // Checkout prices each line from the rules its preview used (see utils/pricing); an
+      // order whose price checkout cannot verify is not added at all
+      const pricingProperties = buildPricingProperties(pricingRules);
+
+      // Pre-cut: upload each contour for its current size; auto-trim: upload each trimmed
+      // image (the order still goes through without either)
+      const resolveUploads = (getResolver, what) =>
+        Promise.all(
+          lines.map(async (line) => {
+            const resolve = getResolver(line);
+            if (!resolve) return null;
+            const url = await resolve().catch((err) => {
+              console.warn(`Could not upload ${what}:`, err);
+              return null;
+            });
+            return isServerUrl(url) ? url : null;
+          })
+        );
+      const [cutLineUrls, trimmedImageUrls] = await Promise.all([
+        resolveUploads((line) => line.preCut && line.resolveCutLineUrl, "cut line"),
+        resolveUploads((line) => line.trimBox && line.resolveImageUrl, "trimmed design"),
+      ]);
+
+      const groupId = lines.length > 1 ? createGroupId() : null;
       const response = await fetch("/cart/add.js", {
         method: "POST",
         headers: {
@@ -34,14 +170,22 @@ const AddToCartButton = ({
           Accept: "application/json",
         },
         body: JSON.stringify({
-          id: variantId,
-          quantity: quantity,
-          properties: {
-            _Area_x: width.toFixed(2),
-            _Area_y: height.toFixed(2),
-            _PreCut: preCut ? "Yes" : "No",
-            CustomImage: urlForCart,
-          },
+          items: lines.map((line, i) => ({
+            id: variantId,
+            quantity: line.quantity ?? quantity,
+            properties: {
+              ...buildLineProperties(line, cutLineUrls[i], trimmedImageUrls[i]),
+              // What the customer previewed the design on
+              ...(garment ? { Garment: garment.label, _Garment: garment.id } : {}),
+              ...(garmentColor ? { "Garment Color": garmentColor.toUpperCase() } : {}),
+              ...(groupId ? { _Group: groupId } : {}),
+              ...pricingProperties,
+              // Many designs nested on one sheet, printed as a single file at _SheetDpi
+              ...(gangSheet
+                ? { _GangSheet: "Yes", "Sheet Prints": String(gangSheet.prints), _SheetDpi: String(gangSheet.dpi) }
+                : {}),
+            },
+          })),
         }),
       });
 
@@ -151,6 +295,10 @@ const AddToCartButton = ({
         <span>{getButtonText()}</span>
       </button>
 
+      {blockedReason && !isValid && !error && (
+        <p className="mt-2 text-xs text-gray-500 text-center">{blockedReason}</p>
+      )}
+
       {error && (
         <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
           <p className="text-sm text-red-600 flex items-center gap-2">
@@ -179,20 +327,74 @@ const AddToCartButton = ({
             Order Summary
           </h4>
           <div className="space-y-1 text-xs text-gray-600">
-            <div className="flex justify-between">
-              <span>Dimensions:</span>
-              <span>
-                {width}" × {height}"
-              </span>
-            </div>
-            <div className="flex justify-between">
-              <span>Pre-cut:</span>
-              <span>{preCut ? "Yes" : "No"}</span>
-            </div>
+            {lines.length > 1 ? (
+              lines.map((line, i) => (
+                <div key={i} className="flex justify-between">
+                  <span>{line.label || line.placement?.label || `Design ${i + 1}`}:</span>
+                  <span>
+                    {line.width}" × {line.height}"{line.preCut ? ", pre-cut" : ""}
+                    {line.quantity != null ? ` × ${line.quantity}` : ""}
+                  </span>
+                </div>
+              ))
+            ) : (
+              <>
+                <div className="flex justify-between">
+                  <span>{gangSheet ? "Sheet:" : "Dimensions:"}</span>
+                  <span>
+                    {lines[0].width}" × {lines[0].height}"
+                  </span>
+                </div>
+                {gangSheet && (
+                  <div className="flex justify-between">
+                    <span>Prints on sheet:</span>
+                    <span>{gangSheet.prints}</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span>Pre-cut:</span>
+                  <span>{lines[0].preCut ? "Yes" : "No"}</span>
+                </div>
+                {lines[0].placement && (
+                  <div className="flex justify-between">
+                    <span>Placement:</span>
+                    <span>{lines[0].placement.label}</span>
+                  </div>
+                )}
+              </>
+            )}
+            {garment && (
+              <div className="flex justify-between items-center">
+                <span>Garment:</span>
+                <span className="flex items-center gap-1.5">
+                  {garmentColor && (
+                    <span
+                      className="inline-block rounded-sm border border-gray-300"
+                      style={{ width: 10, height: 10, backgroundColor: garmentColor }}
+                      aria-hidden
+                    />
+                  )}
+                  {garment.label}
+                  {garmentColor ? ` (${garmentColor.toUpperCase()})` : ""}
+                </span>
+              </div>
+            )}
             <div className="flex justify-between">
               <span>Quantity:</span>
               <span>{quantity}</span>
             </div>
+            {vectorFormat && (
+              <div className="flex justify-between">
+                <span>Artwork:</span>
+                <span>Vector ({vectorFormat === "application/pdf" ? "PDF" : "SVG"})</span>
+              </div>
+            )}
+            {printQuality && (
+              <div className="flex justify-between items-center">
+                <span>Print quality:</span>
+                <PrintQualityBadge dpi={printQuality.dpi} rating={printQuality.rating} compact />
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,224 @@
+import React, { useEffect, useRef, useState } from "react";
+import { DEFAULT_COLOR_KEY } from "../utils/colorKey";
+import { removeBackgroundLocally } from "../utils/localBackgroundRemoval";
+
+const PREVIEW_MAX_PX = 800;
+const PREVIEW_DEBOUNCE_MS = 200;
+
+// Checkerboard so removed (transparent) areas are visible
+const CHECKERBOARD = {
+  backgroundColor: "#ffffff",
+  backgroundImage: "repeating-conic-gradient(#e5e7eb 0% 25%, #ffffff 0% 50%)",
+  backgroundSize: "16px 16px",
+};
+
+const toCssColor = (rgb) => `rgb(${rgb.map((c) => Math.round(c)).join(", ")})`;
+
+/**
+ * ColorKeyModal - In-browser removal of a solid-color background (no server needed).
+ * The background color is detected from the image edges; tolerance and feathering
+ * are adjustable with a live preview.
+ *
+ * Props:
+ * - imageUrl: The image to key
+ * - onConfirm: Called with the keyed PNG Blob (full resolution)
+ * - onCancel: Close without changes
+ */
+const ColorKeyModal = ({ imageUrl, onConfirm, onCancel }) => {
+  const [sourceBlob, setSourceBlob] = useState(null);
+  const [options, setOptions] = useState(DEFAULT_COLOR_KEY);
+  const [preview, setPreview] = useState(null); // { url, keyColor }
+  const [working, setWorking] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const previewUrlRef = useRef(null);
+
+  // Source pixels for the worker
+  useEffect(() => {
+    let cancelled = false;
+    fetch(imageUrl)
+      .then((r) => r.blob())
+      .then((blob) => {
+        if (!cancelled) setSourceBlob(blob);
+      })
+      .catch((err) => {
+        console.error("Could not read image for color key:", err);
+        if (!cancelled) setError("Could not open this image.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl]);
+
+  // Debounced low-resolution preview
+  useEffect(() => {
+    if (!sourceBlob) return;
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      setWorking(true);
+      removeBackgroundLocally(sourceBlob, options, { signal: controller.signal, maxSize: PREVIEW_MAX_PX })
+        .then(({ blob, keyColor }) => {
+          if (previewUrlRef.current) URL.revokeObjectURL(previewUrlRef.current);
+          previewUrlRef.current = URL.createObjectURL(blob);
+          setPreview({ url: previewUrlRef.current, keyColor });
+          setError(keyColor ? null : "No solid background color found at the image edges.");
+        })
+        .catch((err) => {
+          if (err?.name === "AbortError") return;
+          console.error("Color key preview failed:", err);
+          setError("Could not preview the result.");
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) setWorking(false);
+        });
+    }, PREVIEW_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [sourceBlob, options]);
+
+  // Release the last preview on close
+  useEffect(() => () => {
+    if (previewUrlRef.current) URL.revokeObjectURL(previewUrlRef.current);
+  }, []);
+
+  // Escape closes the modal
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onCancel]);
+
+  const handleConfirm = async () => {
+    if (!sourceBlob || saving) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const { blob } = await removeBackgroundLocally(sourceBlob, options);
+      onConfirm(blob);
+    } catch (err) {
+      console.error("Color key failed:", err);
+      setError("Could not remove the background. Please try again.");
+      setSaving(false);
+    }
+  };
+
+  const setOption = (name, value) => setOptions((prev) => ({ ...prev, [name]: value }));
+
+  return (
+    <div
+      className="color-key-overlay fixed inset-0 flex items-center justify-center p-4"
+      style={{ backgroundColor: "rgba(17, 24, 39, 0.6)", zIndex: 100000 }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Remove solid background"
+    >
+      <div
+        className="w-full bg-white rounded-xl shadow-lg p-4"
+        style={{ maxWidth: 640, maxHeight: "90vh", display: "flex", flexDirection: "column", gap: 12 }}
+      >
+        <div className="text-start space-y-2">
+          <h2 className="font-bold text-black text-base">Remove Solid Background</h2>
+          <p className="text-xs text-gray-600">
+            Works best for logos on a plain white or single-color background. Runs in your browser.
+          </p>
+        </div>
+
+        {/* Preview */}
+        <div
+          className="border border-gray-200 rounded-lg flex items-center justify-center"
+          style={{ ...CHECKERBOARD, minHeight: 240, maxHeight: "50vh", overflow: "hidden", position: "relative" }}
+        >
+          {preview ? (
+            <img
+              src={preview.url}
+              alt="Background removal preview"
+              style={{ maxWidth: "100%", maxHeight: "50vh", display: "block", opacity: working ? 0.6 : 1 }}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">{error ? "" : "Preparing preview..."}</p>
+          )}
+        </div>
+
+        {/* Controls */}
+        <div className="space-y-2 text-xs text-gray-700">
+          {preview?.keyColor && (
+            <div className="flex items-center gap-2">
+              <span>Background color:</span>
+              <span
+                className="inline-block rounded"
+                style={{ width: 16, height: 16, border: "1px solid #d1d5db", backgroundColor: toCssColor(preview.keyColor) }}
+                aria-hidden
+              />
+            </div>
+          )}
+          <label className="flex items-center gap-3">
+            <span style={{ minWidth: 70 }}>Tolerance</span>
+            <input
+              type="range"
+              min={0}
+              max={150}
+              value={options.tolerance}
+              onChange={(e) => setOption("tolerance", Number(e.target.value))}
+              className="flex-1"
+            />
+            <span className="tabular-nums" style={{ minWidth: 28, textAlign: "right" }}>{options.tolerance}</span>
+          </label>
+          <label className="flex items-center gap-3">
+            <span style={{ minWidth: 70 }}>Feather</span>
+            <input
+              type="range"
+              min={0}
+              max={80}
+              value={options.feather}
+              onChange={(e) => setOption("feather", Number(e.target.value))}
+              className="flex-1"
+            />
+            <span className="tabular-nums" style={{ minWidth: 28, textAlign: "right" }}>{options.feather}</span>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!options.contiguous}
+              onChange={(e) => setOption("contiguous", !e.target.checked)}
+            />
+            <span>Also remove enclosed areas (e.g. inside letters)</span>
+          </label>
+        </div>
+
+        {error && <p className="text-sm" style={{ color: "#dc2626" }}>{error}</p>}
+
+        {/* Actions */}
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 text-sm rounded-lg transition-colors"
+            style={{ color: "#374151", border: "1px solid #d1d5db", backgroundColor: "#ffffff" }}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={!sourceBlob || saving || !preview?.keyColor}
+            className="flex-1 px-4 py-2 text-sm font-semibold rounded-lg transition-colors"
+            style={{
+              color: "#ffffff",
+              backgroundColor: "#4c4cec",
+              border: "none",
+              opacity: !sourceBlob || saving || !preview?.keyColor ? 0.6 : 1,
+            }}
+          >
+            {saving ? "Removing..." : "Remove Background"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColorKeyModal;
@@ -0,0 +1,146 @@
+import React, { useCallback, useRef, useState } from "react";
+
+// Checkerboard so removed (transparent) areas are visible against the kept ones
+const CHECKERBOARD = {
+  backgroundColor: "#ffffff",
+  backgroundImage: "repeating-conic-gradient(#e5e7eb 0% 25%, #ffffff 0% 50%)",
+  backgroundSize: "16px 16px",
+};
+
+const KEY_STEP = 5; // percent per arrow key press
+
+/**
+ * CompareSlider - Draggable split view of two versions of the same image.
+ * The "before" image is shown left of the divider, the "after" image right of it.
+ * Works with mouse, touch and pen (pointer events) and with the arrow keys.
+ *
+ * Props:
+ * - beforeUrl / afterUrl: Display URLs of the two versions (same aspect ratio)
+ * - beforeLabel / afterLabel: Captions shown in the corners
+ */
+const CompareSlider = ({ beforeUrl, afterUrl, beforeLabel = "Before", afterLabel = "After" }) => {
+  const containerRef = useRef(null);
+  const [position, setPosition] = useState(50); // divider, percent from the left
+  const [dragging, setDragging] = useState(false);
+
+  const updateFromPointer = useCallback((clientX) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect || !rect.width) return;
+    const percent = ((clientX - rect.left) / rect.width) * 100;
+    setPosition(Math.min(100, Math.max(0, percent)));
+  }, []);
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(true);
+    updateFromPointer(e.clientX);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragging) updateFromPointer(e.clientX);
+  };
+
+  const handlePointerUp = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      e.currentTarget.releasePointerCapture(e.pointerId);
+    }
+    setDragging(false);
+  };
+
+  const handleKeyDown = (e) => {
+    const moves = { ArrowLeft: -KEY_STEP, ArrowRight: KEY_STEP, Home: -100, End: 100 };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    setPosition((p) => Math.min(100, Math.max(0, p + moves[e.key])));
+  };
+
+  const imageStyle = {
+    position: "absolute",
+    inset: 0,
+    width: "100%",
+    height: "100%",
+    objectFit: "contain",
+    pointerEvents: "none",
+    userSelect: "none",
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="compare-slider relative w-full aspect-video border border-gray-200 rounded-lg overflow-hidden"
+      style={{
+        ...CHECKERBOARD,
+        minHeight: "200px",
+        cursor: "ew-resize",
+        // Horizontal drags move the divider; vertical swipes still scroll the page
+        touchAction: "pan-y",
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <img src={afterUrl} alt={afterLabel} style={imageStyle} draggable={false} />
+      <img
+        src={beforeUrl}
+        alt={beforeLabel}
+        style={{ ...imageStyle, clipPath: `inset(0 ${100 - position}% 0 0)` }}
+        draggable={false}
+      />
+
+      {/* Captions */}
+      <span
+        className="absolute top-2 left-2 px-2 py-0.5 text-xs font-medium rounded"
+        style={{ backgroundColor: "rgba(17, 24, 39, 0.7)", color: "#ffffff", pointerEvents: "none" }}
+      >
+        {beforeLabel}
+      </span>
+      <span
+        className="absolute top-2 right-2 px-2 py-0.5 text-xs font-medium rounded"
+        style={{ backgroundColor: "rgba(17, 24, 39, 0.7)", color: "#ffffff", pointerEvents: "none" }}
+      >
+        {afterLabel}
+      </span>
+
+      {/* Divider + handle */}
+      <div
+        className="absolute top-0 bottom-0"
+        style={{
+          left: `${position}%`,
+          width: 2,
+          marginLeft: -1,
+          backgroundColor: "#ffffff",
+          boxShadow: "0 0 0 1px rgba(17, 24, 39, 0.25)",
+          pointerEvents: "none",
+        }}
+      />
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label={`Compare ${beforeLabel} and ${afterLabel}`}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position)}
+        onKeyDown={handleKeyDown}
+        className="absolute flex items-center justify-center rounded-full focus:outline-none focus:ring-2 focus:ring-blue-400"
+        style={{
+          left: `${position}%`,
+          top: "50%",
+          width: 32,
+          height: 32,
+          transform: "translate(-50%, -50%)",
+          backgroundColor: "#ffffff",
+          boxShadow: "0 1px 4px rgba(17, 24, 39, 0.35)",
+          color: "#4c4cec",
+          fontSize: 14,
+          fontWeight: 700,
+        }}
+      >
+        ⇔
+      </div>
+    </div>
+  );
+};
+
+export default CompareSlider;
@@ -0,0 +1,207 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import ReactCrop, { centerCrop, makeAspectCrop } from "react-image-crop";
+import "react-image-crop/dist/ReactCrop.css";
+import { cropImageToBlob, findContentBounds } from "../utils/imageCrop";
+
+const FULL_CROP = { unit: "%", x: 0, y: 0, width: 100, height: 100 };
+
+const ASPECT_OPTIONS = [
+  { id: "free", label: "Free", value: undefined },
+  { id: "1:1", label: "1:1", value: 1 },
+  { id: "4:3", label: "4:3", value: 4 / 3 },
+  { id: "3:4", label: "3:4", value: 3 / 4 },
+  { id: "16:9", label: "16:9", value: 16 / 9 },
+];
+
+/**
+ * CropModal - Optional crop/trim step between upload and processing.
+ *
+ * Props:
+ * - file: The validated image file to crop
+ * - onConfirm: Called with the cropped File
+ * - onSkip: Use the file as-is
+ * - onCancel: Abort the upload entirely
+ */
+const CropModal = ({ file, onConfirm, onSkip, onCancel }) => {
+  const imgRef = useRef(null);
+  const [src, setSrc] = useState(null);
+  const [crop, setCrop] = useState(FULL_CROP);
+  const [aspectId, setAspectId] = useState("free");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const aspect = ASPECT_OPTIONS.find((o) => o.id === aspectId)?.value;
+
+  // Local preview URL for the crop surface
+  useEffect(() => {
+    const url = URL.createObjectURL(file);
+    setSrc(url);
+    setCrop(FULL_CROP);
+    setAspectId("free");
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  // Escape closes the modal
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onCancel]);
+
+  const handleAspectChange = useCallback((option) => {
+    setAspectId(option.id);
+    const img = imgRef.current;
+    if (!option.value || !img) return;
+    const { width, height } = img;
+    setCrop(
+      centerCrop(makeAspectCrop({ unit: "%", width: 90 }, option.value, width, height), width, height)
+    );
+  }, []);
+
+  const handleTrim = useCallback(() => {
+    const img = imgRef.current;
+    if (!img) return;
+    const bounds = findContentBounds(img);
+    if (!bounds) return;
+    setAspectId("free");
+    setCrop({
+      unit: "%",
+      x: (bounds.x / img.naturalWidth) * 100,
+      y: (bounds.y / img.naturalHeight) * 100,
+      width: (bounds.width / img.naturalWidth) * 100,
+      height: (bounds.height / img.naturalHeight) * 100,
+    });
+  }, []);
+
+  const handleConfirm = async () => {
+    const img = imgRef.current;
+    if (!img || !crop.width || !crop.height || saving) return;
+    setSaving(true);
+    setError(null);
+    try {
+      // Crop is kept in percent so it survives layout changes; convert to natural pixels here
+      const pixelCrop = {
+        x: (crop.x / 100) * img.naturalWidth,
+        y: (crop.y / 100) * img.naturalHeight,
+        width: (crop.width / 100) * img.naturalWidth,
+        height: (crop.height / 100) * img.naturalHeight,
+      };
+      const mimeType = file.type === "image/jpeg" ? "image/jpeg" : "image/png";
+      const blob = await cropImageToBlob(img, pixelCrop, mimeType);
+      const baseName = (file.name || "design").replace(/\.[^.]+$/, "");
+      const ext = mimeType === "image/jpeg" ? "jpg" : "png";
+      onConfirm(new File([blob], `${baseName}-cropped.${ext}`, { type: mimeType }));
+    } catch (err) {
+      console.error("Crop failed:", err);
+      setError("Could not crop this image. You can continue without cropping.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="crop-modal-overlay fixed inset-0 flex items-center justify-center p-4"
+      style={{ backgroundColor: "rgba(17, 24, 39, 0.6)", zIndex: 100000 }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Crop your design"
+    >
+      <div
+        className="w-full bg-white rounded-xl shadow-lg p-4"
+        style={{ maxWidth: 640, maxHeight: "90vh", display: "flex", flexDirection: "column", gap: 12 }}
+      >
+        <div className="text-start space-y-2">
+          <h2 className="font-bold text-black text-base">Crop Your Design</h2>
+          <p className="text-xs text-gray-600">
+            Drag the handles to remove extra margins, or skip to use the full image
+          </p>
+        </div>
+
+        {/* Aspect + trim controls */}
+        <div className="flex flex-wrap items-center gap-2">
+          {ASPECT_OPTIONS.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => handleAspectChange(option)}
+              className={`px-3 py-1 text-xs font-medium rounded-md border transition-colors ${
+                aspectId === option.id
+                  ? "border-blue-500 bg-blue-50 text-blue-700"
+                  : "border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={handleTrim}
+            className="px-3 py-1 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 transition-colors"
+            title="Crop to the content, removing uniform margins"
+          >
+            Auto-trim margins
+          </button>
+        </div>
+
+        {/* Crop surface */}
+        <div
+          className="bg-gray-50 border border-gray-200 rounded-lg flex items-center justify-center"
+          style={{ overflow: "auto", minHeight: 200 }}
+        >
+          {src && (
+            <ReactCrop
+              crop={crop}
+              onChange={(_, percentCrop) => setCrop(percentCrop)}
+              aspect={aspect}
+              keepSelection
+            >
+              <img
+                ref={imgRef}
+                src={src}
+                alt="Crop preview"
+                style={{ maxHeight: "55vh", maxWidth: "100%", display: "block" }}
+              />
+            </ReactCrop>
+          )}
+        </div>
+
+        {error && <p className="text-sm" style={{ color: "#dc2626" }}>{error}</p>}
+
+        {/* Actions */}
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg transition-colors"
+            style={{ color: "#374151", border: "1px solid #d1d5db", backgroundColor: "#ffffff" }}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onSkip}
+            disabled={saving}
+            className="flex-1 px-4 py-2 text-sm rounded-lg transition-colors"
+            style={{ color: "#374151", border: "1px solid #d1d5db", backgroundColor: "#ffffff" }}
+          >
+            Skip cropping
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={saving}
+            className="flex-1 px-4 py-2 text-sm font-semibold rounded-lg transition-colors"
+            style={{ color: "#ffffff", backgroundColor: "#4c4cec", border: "none", opacity: saving ? 0.6 : 1 }}
+          >
+            {saving ? "Cropping..." : "Apply Crop"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CropModal;
@@ -1,34 +1,33 @@
-import React, { useMemo, useState } from "react";
+import React, { useMemo } from "react";
+import { DEFAULT_PRICING_RULES, calculatePrice } from "../utils/pricing";
 
 const STEP_INCHES = 0.25;
-const PRICE_PER_SQIN = 0.02; // $0.02 per square inch
-const BASE_PRICE = 9.17;
 
-function SizeRow({ row, onChange, onRemove }) {
-  const { id, width, height, qty, priceEach } = row;
-  const total = useMemo(() => priceEach * qty, [priceEach, qty]);
+// Rows keep the design's aspect ratio: either stepper changes the width, height follows,
+// and both sides stay within the size limits
+function SizeRow({ row, aspectRatio, minInches, maxWidth, maxHeight, onChange, onRemove, disabled }) {
+  const { id, width, height, quantity, priceEach } = row;
+  const total = useMemo(() => priceEach * quantity, [priceEach, quantity]);
+
+  const setWidth = (nextWidth) => {
+    const minWidth = Math.max(minInches, minInches / aspectRatio);
+    const widthLimit = Math.min(maxWidth, maxHeight / aspectRatio);
+    onChange(id, { width: +Math.min(widthLimit, Math.max(minWidth, nextWidth)).toFixed(2) });
+  };
 
   const inc = (dimension) => {
     if (dimension === "width") {
-      onChange(id, { width: +(width + STEP_INCHES).toFixed(2) });
+      setWidth(width + STEP_INCHES);
     } else {
-      onChange(id, { height: +(height + STEP_INCHES).toFixed(2) });
+      setWidth((height + STEP_INCHES) / aspectRatio);
     }
   };
 
   const dec = (dimension) => {
     if (dimension === "width") {
-      const nextWidth = Math.max(
-        STEP_INCHES,
-        +(width - STEP_INCHES).toFixed(2)
-      );
-      onChange(id, { width: nextWidth });
+      setWidth(width - STEP_INCHES);
     } else {
-      const nextHeight = Math.max(
-        STEP_INCHES,
-        +(height - STEP_INCHES).toFixed(2)
-      );
-      onChange(id, { height: nextHeight });
+      setWidth((height - STEP_INCHES) / aspectRatio);
     }
   };
 
@@ -40,6 +39,8 @@ function SizeRow({ row, onChange, onRemove }) {
         </div>
         <div className="flex items-center gap-2 mt-2">
           <button
+            type="button"
+            disabled={disabled}
             className="h-8 w-8 rounded-md border border-gray-300 text-lg"
             onClick={() => dec("width")}
           >
@@ -49,6 +50,8 @@ function SizeRow({ row, onChange, onRemove }) {
             {width.toFixed(2)}
           </div>
           <button
+            type="button"
+            disabled={disabled}
             className="h-8 w-8 rounded-md border border-gray-300 text-lg"
             onClick={() => inc("width")}
           >
@@ -63,6 +66,8 @@ function SizeRow({ row, onChange, onRemove }) {
         </div>
         <div className="flex items-center gap-2 mt-2">
           <button
+            type="button"
+            disabled={disabled}
             className="h-8 w-8 rounded-md border border-gray-300 text-lg"
             onClick={() => dec("height")}
           >
@@ -72,6 +77,8 @@ function SizeRow({ row, onChange, onRemove }) {
             {height.toFixed(2)}
           </div>
           <button
+            type="button"
+            disabled={disabled}
             className="h-8 w-8 rounded-md border border-gray-300 text-lg"
             onClick={() => inc("height")}
           >
@@ -94,9 +101,10 @@ function SizeRow({ row, onChange, onRemove }) {
           type="number"
           min={1}
           className="mt-2 w-full h-8 rounded-md border border-gray-300 text-center text-sm"
-          value={qty}
+          value={quantity}
+          disabled={disabled}
           onChange={(e) =>
-            onChange(id, { qty: Math.max(1, Number(e.target.value || 1)) })
+            onChange(id, { quantity: Math.max(1, parseInt(e.target.value) || 1) })
           }
         />
       </div>
@@ -109,6 +117,8 @@ function SizeRow({ row, onChange, onRemove }) {
       {onRemove && (
         <div className="col-span-12 flex justify-end">
           <button
+            type="button"
+            disabled={disabled}
             className="text-sm text-red-600 hover:underline"
             onClick={() => onRemove(id)}
           >
@@ -120,89 +130,96 @@ function SizeRow({ row, onChange, onRemove }) {
   );
 }
 
-const CustomSize = () => {
-  const computePrice = (width, height) => {
-    return +(BASE_PRICE + width * height * PRICE_PER_SQIN).toFixed(2);
-  };
-
-  const [rows, setRows] = useState([
-    {
-      id: 1,
-      width: 12.0,
-      height: 10.0,
-      qty: 1,
-      priceEach: +(BASE_PRICE + 12.0 * 10.0 * PRICE_PER_SQIN).toFixed(2),
-    },
-  ]);
-
-  const handleChange = (id, partial) => {
-    setRows((prev) =>
-      prev.map((r) => {
-        if (r.id !== id) return r;
-        const next = { ...r, ...partial };
-        next.priceEach = computePrice(next.width, next.height);
-        return next;
-      })
-    );
-  };
-
-  const handleRemove = (id) => {
-    setRows((prev) => prev.filter((r) => r.id !== id));
-  };
-
-  const addRow = () => {
-    setRows((prev) => [
-      ...prev,
-      {
-        id: Date.now(),
-        width: 12.0,
-        height: 10.0,
-        qty: 1,
-        priceEach: +(BASE_PRICE + 12.0 * 10.0 * PRICE_PER_SQIN).toFixed(2),
-      },
-    ]);
-  };
+/**
+ * CustomSize - Extra sizes of the uploaded design ("+ Add another size of this design"), each
+ * with its own quantity. Every row is priced by utils/pricing like PricePreview and is added
+ * to the cart as a line of its own.
+ *
+ * Props:
+ * - sizes: [{ id, width, height, quantity }] - height follows the design's aspect ratio
+ * - aspectRatio: Design height / width
+ * - preCut: Pre-cut applies to every size
+ * - defaultWidth: Width of a newly added row (inches)
+ * - minInches / maxInches: Smallest / largest printable side (inches)
+ * - maxWidth / maxHeight: Per-axis caps (inches), e.g. from the image resolution; lower than
+ *   maxInches when set (optional)
+ * - onChange: Called with (id, { width } | { quantity })
+ * - onAdd / onRemove: Add a row / remove a row by id
+ * - disabled: Editing is blocked, e.g. while the design is processing
+ * - rules: Pricing rules from settings (defaults to DEFAULT_PRICING_RULES)
+ */
+const CustomSize = ({
+  sizes,
+  aspectRatio,
+  preCut = false,
+  defaultWidth = 12,
+  minInches = STEP_INCHES,
+  maxInches = 22.5,
+  maxWidth = maxInches,
+  maxHeight = maxInches,
+  onChange,
+  onAdd,
+  onRemove,
+  disabled = false,
+  rules = DEFAULT_PRICING_RULES,
+}) => {
+  const rows = useMemo(
+    () =>
+      sizes.map((size) => ({
+        ...size,
+        priceEach: +calculatePrice({
+          lines: [{ width: size.width, height: size.height, preCut }],
+          quantity: size.quantity,
+        }, rules).discountedUnitPrice.toFixed(2),
+      })),
+    [sizes, preCut, rules]
+  );
 
   const grandTotal = useMemo(
-    () => rows.reduce((sum, r) => sum + r.priceEach * r.qty, 0),
+    () => rows.reduce((sum, r) => sum + r.priceEach * r.quantity, 0),
     [rows]
   );
 
   return (
-    <div className="mt-4 max-h-96 overflow-y-auto">
-      <div className="flex items-center gap-3  border-b-[0.5px] border-gray-400">
-        {/* <div className="w-4 h-4 border-2 border-gray-900 rounded-sm" /> */}
-        <h3 className="text-xl font-bold text-gray-900 border-b-2">
-          Custom Size
-        </h3>
+    <div className="max-h-96 overflow-y-auto">
+      <div className="text-start space-y-2">
+        <h2 className="font-bold text-black text-base">More Sizes</h2>
+        <p className="text-xs text-gray-600">
+          Order the same design in other sizes, each with its own quantity
+        </p>
       </div>
-      <p className="text-gray-600 mt-1 text-sm">
-        Not sure what size to make your design? Check out our{" "}
-        <span className="text-blue-600 underline">Size Guide</span>
-      </p>
 
       {rows.map((row) => (
         <SizeRow
           key={row.id}
           row={row}
-          onChange={handleChange}
-          onRemove={rows.length > 1 ? handleRemove : undefined}
+          aspectRatio={aspectRatio}
+          minInches={minInches}
+          maxWidth={Math.min(maxInches, maxWidth)}
+          maxHeight={Math.min(maxInches, maxHeight)}
+          onChange={onChange}
+          onRemove={onRemove}
+          disabled={disabled}
         />
       ))}
 
       <button
-        className="mt-3 text-blue-600 text-sm font-semibold"
-        onClick={addRow}
+        type="button"
+        disabled={disabled}
+        className="mt-3 text-blue-600 text-sm font-semibold disabled:opacity-60"
+        onClick={() => onAdd(defaultWidth)}
       >
         + Add another size of this design
       </button>
 
+      {rows.length > 0 && (
       <div className="mt-4 flex justify-end">
         <div className="text-right">
           <div className="text-gray-700 text-sm">Subtotal</div>
           <div className="text-xl font-bold">${grandTotal.toFixed(2)}</div>
         </div>
       </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,395 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Canvas, Image, Line, Rect, filters } from "fabric";
+import {
+  DEFAULT_DESIGN_TRANSFORM,
+  DEFAULT_PRINT_AREA,
+  getMockupPxPerInch,
+} from "../utils/designPlacement";
+
+// Editor coordinates; the canvas is zoomed to fit its container
+const BASE_W = 440;
+const BASE_H = 500;
+const SNAP_PX = 6; // snap distance in editor px
+const ANGLE_SNAP_DEG = 5; // snap to 0° / 90° / … within this many degrees
+
+const GUIDE_STYLE = {
+  stroke: "#ec4899",
+  strokeWidth: 1,
+  strokeDashArray: [4, 3],
+  selectable: false,
+  evented: false,
+  visible: false,
+  excludeFromExport: true,
+};
+
+const round2 = (v) => +v.toFixed(2);
+
+/**
+ * DesignEditor - Large garment canvas where the customer moves, rotates and resizes the design.
+ * Snaps to the print area's center lines and edges; resizing reports the new size in inches,
+ * and size changes from SizeControls rescale the design (both ways).
+ *
+ * Props:
+ * - imageUrl: The design image
+ * - width / height: Printed size of the design content in inches
+ * - trimBox: Printed part of the image as fractions (auto-trim), or null for the whole image
+ * - transform: { x, y, angle } - design center offset from the print-area center (inches) and rotation (deg)
+ * - onTransformChange: Called with the new transform after a move or rotate
+ * - onResize: Called with { width, height } in inches while the design is resized
+ * - resizable: Whether the corner handles resize the design (off with fixed sizes)
+ * - tintColor: Garment color
+ * - assetUrls: Object containing Shopify CDN URLs for product images
+ */
+const DesignEditor = ({
+  imageUrl,
+  width,
+  height,
+  trimBox = null,
+  transform = DEFAULT_DESIGN_TRANSFORM,
+  onTransformChange,
+  onResize,
+  resizable = true,
+  tintColor = "#6b7280",
+  assetUrls = {},
+}) => {
+  const containerRef = useRef(null);
+  const canvasElRef = useRef(null);
+  const canvasRef = useRef(null);
+  const garmentRef = useRef(null);
+  const designRef = useRef(null);
+  const areaRef = useRef(null); // { left, top, width, height, pxPerInch } in editor px
+  const areaRectRef = useRef(null);
+  const guidesRef = useRef({ vertical: null, horizontal: null });
+  const interactingRef = useRef(false);
+  const tintColorRef = useRef(tintColor);
+  const propsRef = useRef({ width, height, trimBox, transform, onTransformChange, onResize });
+  propsRef.current = { width, height, trimBox, transform, onTransformChange, onResize };
+
+  const [outOfBounds, setOutOfBounds] = useState(false);
+  const garmentSrc = assetUrls.front || assetUrls.tshirt || "/assets/preview-cloths/full-front.png";
+
+  // Place the design from props: size (inches) and, unless `position` is false, the transform
+  const applyProps = useCallback(({ position = true } = {}) => {
+    const design = designRef.current;
+    const area = areaRef.current;
+    const canvas = canvasRef.current;
+    if (!design || !area || !canvas) return;
+    const { width: w, height: h, trimBox: box, transform: t } = propsRef.current;
+    const imageWidthInches = w / (box?.width || 1);
+    const imageHeightInches = h / (box?.height || 1);
+    design.set({
+      scaleX: (imageWidthInches * area.pxPerInch) / design.width,
+      scaleY: (imageHeightInches * area.pxPerInch) / design.height,
+    });
+    if (position) {
+      design.set({
+        left: area.left + area.width / 2 + t.x * area.pxPerInch,
+        top: area.top + area.height / 2 + t.y * area.pxPerInch,
+        angle: t.angle,
+      });
+    }
+    design.setCoords();
+    canvas.requestRenderAll();
+  }, []);
+
+  const checkBounds = useCallback(() => {
+    const design = designRef.current;
+    const area = areaRef.current;
+    if (!design || !area) return;
+    const box = design.getBoundingRect();
+    const tolerance = 0.5;
+    const outside =
+      box.left < area.left - tolerance ||
+      box.top < area.top - tolerance ||
+      box.left + box.width > area.left + area.width + tolerance ||
+      box.top + box.height > area.top + area.height + tolerance;
+    areaRectRef.current?.set({ stroke: outside ? "#dc2626" : "#4c4cec" });
+    setOutOfBounds(outside);
+  }, []);
+
+  // Canvas + garment + print area (once per garment image)
+  useEffect(() => {
+    const canvas = new Canvas(canvasElRef.current, {
+      width: BASE_W,
+      height: BASE_H,
+      backgroundColor: "#ffffff",
+      selection: false,
+      preserveObjectStacking: true,
+      enableRetinaScaling: true,
+      uniformScaling: true,
+    });
+    canvasRef.current = canvas;
+
+    // Fit to the container width
+    const fit = () => {
+      const available = containerRef.current?.clientWidth || BASE_W;
+      const zoom = Math.min(1.25, available / BASE_W);
+      canvas.setDimensions({ width: BASE_W * zoom, height: BASE_H * zoom });
+      canvas.setZoom(zoom);
+    };
+    fit();
+    const observer = new ResizeObserver(fit);
+    if (containerRef.current) observer.observe(containerRef.current);
+
+    let disposed = false;
+    Image.fromURL(garmentSrc, { crossOrigin: "anonymous" })
+      .then((garment) => {
+        if (disposed) return;
+        const scale = Math.min((BASE_W * 0.96) / garment.width, (BASE_H * 0.96) / garment.height);
+        garment.set({
+          left: BASE_W / 2,
+          top: BASE_H / 2,
+          originX: "center",
+          originY: "center",
+          scaleX: scale,
+          scaleY: scale,
+          selectable: false,
+          evented: false,
+        });
+        garment.filters = [new filters.BlendColor({ color: tintColorRef.current, mode: "multiply", alpha: 0.85 })];
+        garment.applyFilters();
+        garmentRef.current = garment;
+        canvas.add(garment);
+        canvas.sendObjectToBack(garment);
+
+        const gw = garment.getScaledWidth();
+        const gh = garment.getScaledHeight();
+        const gLeft = BASE_W / 2 - gw / 2;
+        const gTop = BASE_H / 2 - gh / 2;
+        const pxPerInch = getMockupPxPerInch(gw, DEFAULT_PRINT_AREA);
+        const areaWidth = DEFAULT_PRINT_AREA.widthInches * pxPerInch;
+        const area = {
+          left: gLeft + gw * DEFAULT_PRINT_AREA.centerX - areaWidth / 2,
+          top: gTop + gh * DEFAULT_PRINT_AREA.top,
+          width: areaWidth,
+          height: DEFAULT_PRINT_AREA.heightInches * pxPerInch,
+          pxPerInch,
+        };
+        areaRef.current = area;
+
+        const rect = new Rect({
+          left: area.left,
+          top: area.top,
+          width: area.width,
+          height: area.height,
+          fill: "",
+          stroke: "#4c4cec",
+          strokeWidth: 1,
+          strokeDashArray: [6, 4],
+          strokeUniform: true,
+          selectable: false,
+          evented: false,
+        });
+        areaRectRef.current = rect;
+        const cx = area.left + area.width / 2;
+        const cy = area.top + area.height / 2;
+        const vertical = new Line([cx, area.top, cx, area.top + area.height], GUIDE_STYLE);
+        const horizontal = new Line([area.left, cy, area.left + area.width, cy], GUIDE_STYLE);
+        guidesRef.current = { vertical, horizontal };
+        canvas.add(rect, vertical, horizontal);
+        if (designRef.current) {
+          canvas.bringObjectToFront(designRef.current);
+          applyProps();
+          checkBounds();
+        }
+        canvas.requestRenderAll();
+      })
+      .catch((err) => console.error("Could not load garment for editor:", err));
+
+    // Snap the design center to the center lines and its edges to the print-area edges
+    const onMoving = ({ target }) => {
+      const area = areaRef.current;
+      if (!area || target !== designRef.current) return;
+      interactingRef.current = true;
+      const cx = area.left + area.width / 2;
+      const cy = area.top + area.height / 2;
+      const box = target.getBoundingRect();
+      const snap = (value, to) => (Math.abs(value - to) <= SNAP_PX ? to - value : null);
+
+      const snapX = snap(target.left, cx);
+      const dx = snapX ?? snap(box.left, area.left) ?? snap(box.left + box.width, area.left + area.width) ?? 0;
+      const snapY = snap(target.top, cy);
+      const dy = snapY ?? snap(box.top, area.top) ?? snap(box.top + box.height, area.top + area.height) ?? 0;
+      target.set({ left: target.left + dx, top: target.top + dy });
+      target.setCoords();
+
+      guidesRef.current.vertical?.set({ visible: snapX != null });
+      guidesRef.current.horizontal?.set({ visible: snapY != null });
+      checkBounds();
+    };
+
+    const onScaling = ({ target }) => {
+      const area = areaRef.current;
+      if (!area || target !== designRef.current) return;
+      interactingRef.current = true;
+      const { trimBox: box, onResize: report } = propsRef.current;
+      const widthInches = ((target.width * target.scaleX) / area.pxPerInch) * (box?.width || 1);
+      const heightInches = ((target.height * target.scaleY) / area.pxPerInch) * (box?.height || 1);
+      report?.({ width: round2(widthInches), height: round2(heightInches) });
+      checkBounds();
+    };
+
+    const onRotating = ({ target }) => {
+      if (target !== designRef.current) return;
+      interactingRef.current = true;
+      checkBounds();
+    };
+
+    // Gesture finished: report the transform and hide the guides
+    const onModified = ({ target }) => {
+      const area = areaRef.current;
+      interactingRef.current = false;
+      guidesRef.current.vertical?.set({ visible: false });
+      guidesRef.current.horizontal?.set({ visible: false });
+      if (!area || target !== designRef.current) return;
+      const normalized = ((Math.round(target.angle) % 360) + 360) % 360;
+      propsRef.current.onTransformChange?.({
+        x: round2((target.left - (area.left + area.width / 2)) / area.pxPerInch),
+        y: round2((target.top - (area.top + area.height / 2)) / area.pxPerInch),
+        angle: normalized,
+      });
+      // The parent may have clamped the size (limits, resolution cap)
+      applyProps({ position: false });
+      checkBounds();
+    };
+
+    canvas.on("object:moving", onMoving);
+    canvas.on("object:scaling", onScaling);
+    canvas.on("object:rotating", onRotating);
+    canvas.on("object:modified", onModified);
+
+    return () => {
+      disposed = true;
+      observer.disconnect();
+      canvas.dispose();
+      canvasRef.current = null;
+      garmentRef.current = null;
+      areaRef.current = null;
+      areaRectRef.current = null;
+      designRef.current = null;
+    };
+  }, [garmentSrc, applyProps, checkBounds]);
+
+  // Garment color
+  useEffect(() => {
+    tintColorRef.current = tintColor;
+    const garment = garmentRef.current;
+    if (!garment || !tintColor) return;
+    garment.filters = [new filters.BlendColor({ color: tintColor, mode: "multiply", alpha: 0.85 })];
+    garment.applyFilters();
+    canvasRef.current?.requestRenderAll();
+  }, [tintColor]);
+
+  // Design image (also re-added when the canvas is rebuilt for another garment)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    if (designRef.current) {
+      canvas.remove(designRef.current);
+      designRef.current = null;
+    }
+    setOutOfBounds(false);
+    if (!imageUrl) {
+      canvas.requestRenderAll();
+      return;
+    }
+
+    let cancelled = false;
+    Image.fromURL(imageUrl, { crossOrigin: "anonymous" })
+      .then((design) => {
+        if (cancelled || canvasRef.current !== canvas) return;
+        design.set({
+          originX: "center",
+          originY: "center",
+          lockScalingFlip: true,
+          lockSkewingX: true,
+          lockSkewingY: true,
+          snapAngle: 90,
+          snapThreshold: ANGLE_SNAP_DEG,
+          borderColor: "#4c4cec",
+          cornerColor: "#ffffff",
+          cornerStrokeColor: "#4c4cec",
+          cornerStyle: "circle",
+          transparentCorners: false,
+          cornerSize: 12,
+        });
+        // Corner handles only: the design keeps its aspect ratio
+        design.setControlsVisibility({ mt: false, mb: false, ml: false, mr: false });
+        if (!resizable) {
+          design.set({ lockScalingX: true, lockScalingY: true });
+          design.setControlsVisibility({ tl: false, tr: false, bl: false, br: false });
+        }
+        designRef.current = design;
+        canvas.add(design);
+        canvas.bringObjectToFront(design);
+        canvas.setActiveObject(design);
+        applyProps();
+        checkBounds();
+      })
+      .catch((err) => console.error("Could not load design for editor:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl, garmentSrc, resizable, applyProps, checkBounds]);
+
+  // Size or transform changed outside the editor (SizeControls, Center, presets)
+  useEffect(() => {
+    if (interactingRef.current) return;
+    applyProps();
+    checkBounds();
+  }, [width, height, trimBox, transform, applyProps, checkBounds]);
+
+  const handleCenter = () => onTransformChange?.({ ...transform, x: 0, y: 0 });
+  const handleStraighten = () => onTransformChange?.({ ...transform, angle: 0 });
+
+  return (
+    <div className="design-editor">
+      <div className="text-start space-y-2 mb-4">
+        <h2 className="font-bold text-black text-base">Design Editor</h2>
+        <p className="text-xs text-gray-600">
+          {resizable
+            ? "Drag to move, use the corners to resize and the top handle to rotate"
+            : "Drag to move and use the top handle to rotate"}
+        </p>
+      </div>
+
+      <div ref={containerRef} className="w-full flex justify-center">
+        <canvas ref={canvasElRef} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-xs text-gray-600">
+        <span className="font-semibold text-gray-900">
+          {width}" × {height}"
+        </span>
+        {transform.angle !== 0 && <span>{transform.angle}°</span>}
+        <div className="flex gap-2 ml-auto">
+          <button
+            type="button"
+            onClick={handleCenter}
+            disabled={!imageUrl || (transform.x === 0 && transform.y === 0)}
+            className="px-3 py-1.5 rounded-md transition-colors"
+            style={{ color: "#374151", border: "1px solid #d1d5db", backgroundColor: "#ffffff" }}
+          >
+            Center
+          </button>
+          <button
+            type="button"
+            onClick={handleStraighten}
+            disabled={!imageUrl || transform.angle === 0}
+            className="px-3 py-1.5 rounded-md transition-colors"
+            style={{ color: "#374151", border: "1px solid #d1d5db", backgroundColor: "#ffffff" }}
+          >
+            Straighten
+          </button>
+        </div>
+      </div>
+      {outOfBounds && (
+        <p className="text-xs mt-2" style={{ color: "#dc2626" }}>
+          Part of your design is outside the print area and will be cut off.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DesignEditor;
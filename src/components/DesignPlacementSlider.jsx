@@ -1,11 +1,15 @@
 import React, {
   useCallback,
   useEffect,
-  useMemo,
   useRef,
   useState,
 } from "react";
 import { Canvas, Image, filters } from "fabric";
+import { createCutLineObject } from "../utils/cutLine";
+import { DEFAULT_PRINT_AREA, getMockupPxPerInch } from "../utils/designPlacement";
+import { DEFAULT_PLACEMENT_PRESETS } from "../utils/placementPresets";
+
+const NO_DESIGNS = [];
 
 /**
  * DesignPlacementSlider - Shows design placement options on different garment views
@@ -14,15 +18,31 @@ import { Canvas, Image, filters } from "fabric";
  * - imageUrl: The uploaded/processed image URL to display
  * - tintColor: The color to tint the garments
  * - onPlacementChange: Callback when user selects a placement (optional)
+ * - selectedPlacementId: Selected placement id (optional, otherwise kept locally)
+ * - placements: Placement presets (see utils/placementPresets)
  * - assetUrls: Object containing Shopify CDN URLs for product images
+ * - cutLine: Pre-cut contour (see utils/cutLine) drawn around the design (optional)
+ * - width, height: Chosen design size in inches; the selected placement shows the design at
+ *   this size, the others at their recommended default size
+ * - trimBox: Printed part of the image as fractions (auto-trim), or null for the whole image
+ * - otherDesigns: Designs of the order's other print locations
+ *   [{ id, placement, imageUrl, width, height, trimBox }], drawn on every view showing their placement
  */
 const DesignPlacementSlider = ({
   imageUrl,
   tintColor = "#6b7280",
   onPlacementChange,
+  selectedPlacementId,
+  placements = DEFAULT_PLACEMENT_PRESETS,
   assetUrls = {},
+  cutLine = null,
+  width = null,
+  height = null,
+  trimBox = null,
+  otherDesigns = NO_DESIGNS,
 }) => {
-  const [selectedPlacement, setSelectedPlacement] = useState("custom");
+  const [localSelectedPlacement, setLocalSelectedPlacement] = useState(placements[0]?.id);
+  const selectedPlacement = selectedPlacementId !== undefined ? selectedPlacementId : localSelectedPlacement;
   const [showLeftArrow, setShowLeftArrow] = useState(false);
   const [showRightArrow, setShowRightArrow] = useState(true);
 
@@ -31,8 +51,14 @@ const DesignPlacementSlider = ({
   const fabricCanvasesRef = useRef([]);
   const baseImagesRef = useRef([]);
   const logoImagesRef = useRef([]);
+  const cutLineObjectsRef = useRef([]);
+  const cutLineRef = useRef(cutLine);
   const scrollContainerRef = useRef(null);
   const prevImageUrlRef = useRef(null);
+  const sizeRef = useRef({ width, height, trimBox, selectedPlacement });
+  const otherImagesRef = useRef([]); // per canvas: images of the other print locations
+  const otherDesignsRef = useRef(otherDesigns);
+  const otherRequestIdRef = useRef(0);
 
   const CANVAS_W = 130;
   const CANVAS_H = 150;
@@ -48,55 +74,6 @@ const DesignPlacementSlider = ({
     return viewMap[view] || assetUrls.tshirt || "/assets/preview-cloths/custom.png";
   }, [assetUrls]);
 
-  // Placement configurations
-  const placements = useMemo(
-    () => [
-      {
-        id: "custom",
-        label: "Custom",
-        view: "front",
-        position: { x: 0, y: 0.02 },
-        scale: 0.25,
-      },
-      {
-        id: "full-front",
-        label: "Full Front",
-        view: "front",
-        position: { x: 0, y: -0.03 },
-        scale: 0.25,
-      },
-      {
-        id: "full-back",
-        label: "Full Back",
-        view: "back",
-        position: { x: 0, y: -0.03 },
-        scale: 0.25,
-      },
-      {
-        id: "left-chest",
-        label: "Left Chest",
-        view: "front",
-        position: { x: 0.10, y: -0.18 },
-        scale: 0.14,
-      },
-      {
-        id: "sleeve",
-        label: "Sleeve",
-        view: "side",
-        position: { x: 0.01, y: -0.2 },
-        scale: 0.10,
-      },
-      {
-        id: "back-collar",
-        label: "Back Collar",
-        view: "back",
-        position: { x: 0, y: -0.30 },
-        scale: 0.10,
-      },
-    ],
-    []
-  );
-
   const buildFabricFilters = useCallback((color) => {
     return [
       new filters.BlendColor({ color, mode: "multiply", alpha: 0.85 }),
@@ -131,6 +108,45 @@ const DesignPlacementSlider = ({
     };
   }, [updateArrowVisibility]);
 
+  // Draw the other print locations that share this canvas' view, at their chosen size
+  const placeOtherDesigns = useCallback((idx, placement) => {
+    const canvas = fabricCanvasesRef.current[idx];
+    const baseImg = baseImagesRef.current[idx];
+    (otherImagesRef.current[idx] || []).forEach((img) => canvas?.remove(img));
+    otherImagesRef.current[idx] = [];
+    if (!canvas || !baseImg) return;
+
+    const requestId = otherRequestIdRef.current;
+    otherDesignsRef.current
+      .filter((design) => design.placement?.view === placement.view)
+      .forEach((design) => {
+        Image.fromURL(design.imageUrl, { crossOrigin: "anonymous" })
+          .then((img) => {
+            if (requestId !== otherRequestIdRef.current || fabricCanvasesRef.current[idx] !== canvas) return;
+            const garmentWidth = Math.abs(baseImg.getScaledWidth());
+            const garmentHeight = Math.abs(baseImg.getScaledHeight());
+            const pxPerInch = getMockupPxPerInch(garmentWidth, DEFAULT_PRINT_AREA);
+            const scale = ((design.width / (design.trimBox?.width || 1)) * pxPerInch) / img.width;
+            img.set({
+              originX: "center",
+              originY: "center",
+              left: baseImg.left + design.placement.position.x * garmentWidth,
+              top: baseImg.top + design.placement.position.y * garmentHeight,
+              scaleX: scale,
+              scaleY: scale,
+              selectable: false,
+              evented: false,
+            });
+            canvas.add(img);
+            otherImagesRef.current[idx].push(img);
+            canvas.requestRenderAll();
+          })
+          .catch((error) => {
+            console.error(`Error loading print location design for canvas ${idx}:`, error);
+          });
+      });
+  }, []);
+
   // Initialize canvases
   useEffect(() => {
     fabricCanvasesRef.current = [];
@@ -193,6 +209,7 @@ const DesignPlacementSlider = ({
           baseImagesRef.current[idx] = img;
           canvas.add(img);
           canvas.renderAll();
+          placeOtherDesigns(idx, placement);
 
           // Place logo if already uploaded
           if (imageUrl) {
@@ -212,8 +229,9 @@ const DesignPlacementSlider = ({
       fabricCanvasesRef.current = [];
       baseImagesRef.current = [];
       logoImagesRef.current = [];
+      otherImagesRef.current = [];
     };
-  }, [placements, getTshirtSource, tintColor, updateArrowVisibility, buildFabricFilters]);
+  }, [placements, getTshirtSource, tintColor, updateArrowVisibility, buildFabricFilters, placeOtherDesigns]);
 
   // Update tint color when it changes
   useEffect(() => {
@@ -229,6 +247,79 @@ const DesignPlacementSlider = ({
     });
   }, [tintColor, buildFabricFilters]);
 
+  // Draw (or redraw) the pre-cut contour around the placed design
+  const syncCutLine = useCallback((idx) => {
+    const canvas = fabricCanvasesRef.current[idx];
+    if (!canvas) return;
+    const previous = cutLineObjectsRef.current[idx];
+    if (previous) canvas.remove(previous);
+    cutLineObjectsRef.current[idx] = null;
+
+    const logo = logoImagesRef.current[idx];
+    if (logo && logo.visible && cutLineRef.current) {
+      const outline = createCutLineObject(cutLineRef.current, logo);
+      canvas.add(outline);
+      canvas.bringToFront(outline);
+      cutLineObjectsRef.current[idx] = outline;
+    }
+    canvas.requestRenderAll();
+  }, []);
+
+  useEffect(() => {
+    cutLineRef.current = cutLine;
+    fabricCanvasesRef.current.forEach((_, idx) => syncCutLine(idx));
+  }, [cutLine, syncCutLine]);
+
+  // Size and position the placed design: the selected placement at the chosen size, the
+  // others at their default size (longer side), all on the t-shirt's true scale
+  const fitLogoToPlacement = useCallback((idx, placement) => {
+    const baseImg = baseImagesRef.current[idx];
+    const logo = logoImagesRef.current[idx];
+    if (!baseImg || !logo || !placement) return;
+
+    const { width: w, height: h, trimBox: box, selectedPlacement: selectedId } = sizeRef.current;
+    const garmentWidth = Math.abs(baseImg.getScaledWidth());
+    const garmentHeight = Math.abs(baseImg.getScaledHeight());
+    const pxPerInch = getMockupPxPerInch(garmentWidth, DEFAULT_PRINT_AREA);
+
+    const contentWidth = w > 0 && h > 0 ? w : logo.width * (box?.width || 1);
+    const contentHeight = w > 0 && h > 0 ? h : logo.height * (box?.height || 1);
+    const contentWidthInches =
+      placement.id === selectedId && w > 0 && h > 0
+        ? w
+        : (contentWidth * placement.defaultInches) / Math.max(contentWidth, contentHeight);
+    const scale = ((contentWidthInches / (box?.width || 1)) * pxPerInch) / logo.width;
+    // A placement another print location holds shows that location's design instead
+    const taken = otherDesignsRef.current.some((design) => design.placement?.id === placement.id);
+
+    logo.set({
+      visible: !taken,
+      left: baseImg.left + placement.position.x * garmentWidth,
+      top: baseImg.top + placement.position.y * garmentHeight,
+      scaleX: scale,
+      scaleY: scale,
+      dirty: true,
+    });
+    logo.setCoords();
+    syncCutLine(idx);
+  }, [syncCutLine]);
+
+  // Rescale placed designs when the size or the selected placement changes
+  useEffect(() => {
+    sizeRef.current = { width, height, trimBox, selectedPlacement };
+    placements.forEach((placement, idx) => fitLogoToPlacement(idx, placement));
+  }, [width, height, trimBox, selectedPlacement, placements, fitLogoToPlacement]);
+
+  // Redraw when the other print locations change (taken placements hide the edited design)
+  useEffect(() => {
+    otherDesignsRef.current = otherDesigns;
+    otherRequestIdRef.current += 1;
+    placements.forEach((placement, idx) => {
+      placeOtherDesigns(idx, placement);
+      fitLogoToPlacement(idx, placement);
+    });
+  }, [otherDesigns, placements, placeOtherDesigns, fitLogoToPlacement]);
+
   // Place logo on canvas
   const placeLogoOnCanvas = useCallback((idx, url, placement) => {
     const canvas = fabricCanvasesRef.current[idx];
@@ -238,7 +329,7 @@ const DesignPlacementSlider = ({
     // Remove existing logo
     const objects = canvas.getObjects();
     objects.forEach((obj) => {
-      if (obj !== baseImg) {
+      if (obj !== baseImg && !otherImagesRef.current[idx]?.includes(obj)) {
         canvas.remove(obj);
       }
     });
@@ -252,37 +343,24 @@ const DesignPlacementSlider = ({
       imageSmoothingQuality: "high",
     })
       .then((logo) => {
-        const garmentWidth = Math.abs(baseImg.getScaledWidth());
-        const garmentHeight = Math.abs(baseImg.getScaledHeight());
-        const targetWidth = garmentWidth * placement.scale;
-        const scale = targetWidth / logo.width;
-
-        const offsetX = baseImg.left + placement.position.x * garmentWidth;
-        const offsetY = baseImg.top + placement.position.y * garmentHeight;
-
         logo.set({
           originX: "center",
           originY: "center",
-          left: offsetX,
-          top: offsetY,
           selectable: false,
           evented: false,
           imageSmoothing: true,
           imageSmoothingQuality: "high",
-          scaleX: scale,
-          scaleY: scale,
-          dirty: true,
         });
 
         canvas.add(logo);
         canvas.bringToFront(logo);
         logoImagesRef.current[idx] = logo;
-        canvas.requestRenderAll();
+        fitLogoToPlacement(idx, placement);
       })
       .catch((error) => {
         console.error(`Error loading logo for canvas ${idx}:`, error);
       });
-  }, []);
+  }, [fitLogoToPlacement]);
 
   // Update logos when imageUrl changes
   useEffect(() => {
@@ -317,7 +395,7 @@ const DesignPlacementSlider = ({
         if (!canvas || !baseImg) return;
 
         canvas.getObjects().forEach((obj) => {
-          if (obj !== baseImg) {
+          if (obj !== baseImg && !otherImagesRef.current[idx]?.includes(obj)) {
             canvas.remove(obj);
           }
         });
@@ -329,7 +407,7 @@ const DesignPlacementSlider = ({
 
   // Handle placement selection
   const handleSelectPlacement = (placementId) => {
-    setSelectedPlacement(placementId);
+    setLocalSelectedPlacement(placementId);
     if (onPlacementChange) {
       const placement = placements.find((p) => p.id === placementId);
       onPlacementChange(placement);
@@ -444,6 +522,9 @@ const DesignPlacementSlider = ({
                   <p className="text-xs font-medium text-gray-700">
                     {placement.label}
                   </p>
+                  <p className="text-gray-500" style={{ fontSize: 10 }}>
+                    {placement.minInches}"–{placement.maxInches}"
+                  </p>
                 </div>
               </div>
             </div>
@@ -1,4 +1,7 @@
 import { Canvas, Image, filters } from "fabric";
+import { createCutLineObject } from "../utils/cutLine";
+import { fitsPrintArea, getMockupPxPerInch } from "../utils/designPlacement";
+import { DEFAULT_GARMENT_CATALOG, resolveGarmentImages } from "../utils/garmentCatalog";
 import React, {
   useCallback,
   useEffect,
@@ -7,6 +10,8 @@ import React, {
   useState,
 } from "react";
 
+const NO_DESIGNS = [];
+
 /**
  * DesignViewer - React-controlled Fabric.js canvas component
  * 
@@ -15,44 +20,49 @@ import React, {
  * - tintColor: The color to multiply the garments (optional)
  * - onColorChange: Callback when user changes color (optional)
  * - assetUrls: Object containing Shopify CDN URLs for product images
+ * - garments: Garment catalog (see utils/garmentCatalog); the built-in products when null
+ * - selectedGarmentId: Garment the customer picked for the order (optional)
+ * - onGarmentChange: Called with the garment when a product is clicked (optional)
+ * - cutLine: Pre-cut contour (see utils/cutLine) drawn around the design (optional)
+ * - width, height: Printed design size in inches; the design is drawn to scale on each garment
+ * - trimBox: Printed part of the image as fractions (auto-trim), or null for the whole image
+ * - placement: Placement preset of the edited design (optional); the previews show the garment
+ *   fronts, so designs placed elsewhere are not drawn
+ * - otherDesigns: Designs of the order's other print locations
+ *   [{ id, placement, imageUrl, width, height, trimBox }]
+ *
+ * Placement positions are measured on the t-shirt image, so designs are drawn at their
+ * position (as in DesignPlacementSlider) only on garments marked `placementPositions`; other
+ * garments show the edited design centered in their print area and no other locations.
  */
 const DesignViewer = ({
   imageUrl,
   tintColor: propTintColor,
   onColorChange,
   assetUrls = {},
+  garments = null,
+  selectedGarmentId = null,
+  onGarmentChange,
+  cutLine = null,
+  width = null,
+  height = null,
+  trimBox = null,
+  placement = null,
+  otherDesigns = NO_DESIGNS,
 }) => {
-  // Source images - use Shopify CDN URLs if available, fallback to local assets
-  const sourceImages = useMemo(() => {
-    return [
-      assetUrls.tshirt || "/assets/6-cloths/full-front.png",
-      assetUrls.hoodie || "/assets/6-cloths/Hoodie_White.png",
-      assetUrls.polo || "/assets/6-cloths/polo-tshirt.png",
-      assetUrls.cap || "/assets/Cap_White.png",
-      assetUrls.apron || "/assets/6-cloths/Apron_White.png",
-      assetUrls.shorts || "/assets/6-cloths/Tote_White.png",
-    ];
-  }, [assetUrls]);
-
-  const sizes = useMemo(
-    () => [
-      '11" x 11"',
-      '4" x 2.5"',
-      '3.5" x 3.5"',
-      '7" x 7"',
-      '9" x 9"',
-      '5" x 5"',
-    ],
-    []
+  // Preview products - Shopify CDN images replace the built-in assets where available
+  const products = useMemo(
+    () => resolveGarmentImages(garments || DEFAULT_GARMENT_CATALOG, assetUrls),
+    [garments, assetUrls]
   );
 
-  const products = useMemo(
+  // Products the design is too large for at the chosen size
+  const exceedsPrintArea = useMemo(
     () =>
-      sizes.map((size, index) => ({
-        size,
-        src: sourceImages[index],
-      })),
-    [sizes, sourceImages]
+      products.map(
+        ({ printArea }) => width > 0 && height > 0 && !fitsPrintArea(width, height, printArea)
+      ),
+    [products, width, height]
   );
 
   // Canvas refs
@@ -60,23 +70,20 @@ const DesignViewer = ({
   const fabricCanvasesRef = useRef([]);
   const baseImagesRef = useRef([]);
   const logoImagesRef = useRef([]);
+  const cutLineObjectsRef = useRef([]);
+  const cutLineRef = useRef(cutLine);
   const logoRequestIdRef = useRef(0);
   const prevImageUrlRef = useRef(null);
+  const sizeRef = useRef({ width, height, trimBox });
+  const placementRef = useRef(placement);
+  const otherImagesRef = useRef([]); // per canvas: images of the other print locations
+  const otherDesignsRef = useRef(otherDesigns);
+  const otherRequestIdRef = useRef(0);
 
   const CANVAS_W = 140;
   const CANVAS_H = 180;
 
-  const alphaMap = {
-    0: 0.9,   // tshirt
-    1: 0.85,  // hoodie
-    2: 0.88,  // polo
-    3: 0.75,  // cap
-    4: 0.8,   // apron
-    5: 0.85,  // tote
-  };
-
-  const buildFabricFilters = useCallback((color, idx) => {
-    const alpha = alphaMap[idx] !== undefined ? alphaMap[idx] : 0.85;
+  const buildFabricFilters = useCallback((color, alpha) => {
     return [
       new filters.BlendColor({ color, mode: "multiply", alpha }),
       new filters.Brightness({ brightness: 0.03 }),
@@ -107,11 +114,52 @@ const DesignViewer = ({
     tintColorRef.current = tintColor;
   }, [tintColor]);
 
+  // Draw the other print locations placed on the front, at their chosen size
+  const placeOtherDesigns = useCallback((idx) => {
+    const canvas = fabricCanvasesRef.current[idx];
+    const baseImg = baseImagesRef.current[idx];
+    const product = products[idx];
+    (otherImagesRef.current[idx] || []).forEach((img) => canvas?.remove(img));
+    otherImagesRef.current[idx] = [];
+    if (!canvas || !baseImg || !product?.placementPositions) return;
+
+    const requestId = otherRequestIdRef.current;
+    otherDesignsRef.current
+      .filter((design) => design.placement?.view === "front")
+      .forEach((design) => {
+        Image.fromURL(design.imageUrl, { crossOrigin: "anonymous" })
+          .then((img) => {
+            if (requestId !== otherRequestIdRef.current || fabricCanvasesRef.current[idx] !== canvas) return;
+            const garmentWidth = Math.abs(baseImg.getScaledWidth());
+            const garmentHeight = Math.abs(baseImg.getScaledHeight());
+            const pxPerInch = getMockupPxPerInch(garmentWidth, product.printArea);
+            const scale = ((design.width / (design.trimBox?.width || 1)) * pxPerInch) / img.width;
+            img.set({
+              originX: "center",
+              originY: "center",
+              left: baseImg.left + design.placement.position.x * garmentWidth,
+              top: baseImg.top + design.placement.position.y * garmentHeight,
+              scaleX: scale,
+              scaleY: scale,
+              selectable: false,
+              evented: false,
+            });
+            canvas.add(img);
+            otherImagesRef.current[idx].push(img);
+            canvas.requestRenderAll();
+          })
+          .catch((error) => {
+            console.error(`Error loading print location design for canvas ${idx}:`, error);
+          });
+      });
+  }, [products]);
+
   // Initialize Fabric canvases
   useEffect(() => {
     fabricCanvasesRef.current = [];
     baseImagesRef.current = [];
     logoImagesRef.current = [];
+    otherImagesRef.current = [];
 
     const id = requestAnimationFrame(() => {
       products.forEach((product, idx) => {
@@ -134,7 +182,7 @@ const DesignViewer = ({
 
         fabricCanvasesRef.current[idx] = canvas;
 
-        Image.fromURL(product.src, {
+        Image.fromURL(product.imageUrl, {
           crossOrigin: "anonymous",
           enableRetinaScaling: true,
           imageSmoothing: true,
@@ -161,13 +209,14 @@ const DesignViewer = ({
             dirty: true,
           });
 
-          img.filters = buildFabricFilters(tintColorRef.current, idx);
+          img.filters = buildFabricFilters(tintColorRef.current, product.tintAlpha);
           img.dirty = true;
           img.applyFilters();
 
           baseImagesRef.current[idx] = img;
           canvas.add(img);
           canvas.renderAll();
+          placeOtherDesigns(idx);
         });
       });
     });
@@ -178,8 +227,16 @@ const DesignViewer = ({
       fabricCanvasesRef.current = [];
       baseImagesRef.current = [];
       logoImagesRef.current = [];
+      otherImagesRef.current = [];
     };
-  }, [products, buildFabricFilters]);
+  }, [products, buildFabricFilters, placeOtherDesigns]);
+
+  // Redraw when the other print locations change
+  useEffect(() => {
+    otherDesignsRef.current = otherDesigns;
+    otherRequestIdRef.current += 1;
+    fabricCanvasesRef.current.forEach((_, idx) => placeOtherDesigns(idx));
+  }, [otherDesigns, placeOtherDesigns]);
 
   // Change color handler
   const changeColor = useCallback(
@@ -194,14 +251,14 @@ const DesignViewer = ({
 
       baseImagesRef.current.forEach((img, idx) => {
         if (!img) return;
-        img.filters = buildFabricFilters(color, idx);
+        img.filters = buildFabricFilters(color, products[idx].tintAlpha);
         img.dirty = true;
         img.applyFilters();
         const canvas = fabricCanvasesRef.current[idx];
         if (canvas) canvas.renderAll();
       });
     },
-    [propTintColor, onColorChange, buildFabricFilters]
+    [propTintColor, onColorChange, products, buildFabricFilters]
   );
 
   // Update multiply color when prop changes
@@ -210,13 +267,76 @@ const DesignViewer = ({
 
     baseImagesRef.current.forEach((img, idx) => {
       if (!img) return;
-      img.filters = buildFabricFilters(tintColor, idx);
+      img.filters = buildFabricFilters(tintColor, products[idx].tintAlpha);
       img.dirty = true;
       img.applyFilters();
       const canvas = fabricCanvasesRef.current[idx];
       if (canvas) canvas.renderAll();
     });
-  }, [tintColor, buildFabricFilters]);
+  }, [tintColor, products, buildFabricFilters]);
+
+  // Draw (or redraw) the pre-cut contour around the placed design
+  const syncCutLine = useCallback((idx) => {
+    const canvas = fabricCanvasesRef.current[idx];
+    if (!canvas) return;
+    const previous = cutLineObjectsRef.current[idx];
+    if (previous) canvas.remove(previous);
+    cutLineObjectsRef.current[idx] = null;
+
+    const logo = logoImagesRef.current[idx];
+    if (logo?.visible && cutLineRef.current) {
+      const outline = createCutLineObject(cutLineRef.current, logo);
+      canvas.add(outline);
+      canvas.bringToFront(outline);
+      cutLineObjectsRef.current[idx] = outline;
+    }
+    canvas.requestRenderAll();
+  }, []);
+
+  useEffect(() => {
+    cutLineRef.current = cutLine;
+    fabricCanvasesRef.current.forEach((_, idx) => syncCutLine(idx));
+  }, [cutLine, syncCutLine]);
+
+  // Scale the placed design to its printed size and move it to its placement (or the
+  // print-area center); hide it when it is placed off the front
+  const fitLogoToPrintArea = useCallback((idx) => {
+    const canvas = fabricCanvasesRef.current[idx];
+    const baseImg = baseImagesRef.current[idx];
+    const logo = logoImagesRef.current[idx];
+    const product = products[idx];
+    if (!canvas || !baseImg || !logo || !product) return;
+
+    const { printArea } = product;
+    const { width: w, height: h, trimBox: box } = sizeRef.current;
+    const garmentWidth = baseImg.getScaledWidth();
+    const pxPerInch = getMockupPxPerInch(garmentWidth, printArea);
+    // Before a size is chosen the design shows at the garment's default width
+    const imageWidthInches = w > 0 && h > 0 ? w / (box?.width || 1) : product.defaultDesignInches;
+    const scale = (imageWidthInches * pxPerInch) / logo.width;
+    const currentPlacement = placementRef.current;
+    const position = product.placementPositions && currentPlacement
+      ? currentPlacement.position
+      : { x: printArea.offsetX, y: printArea.offsetY };
+
+    logo.set({
+      left: baseImg.left + garmentWidth * position.x,
+      top: baseImg.top + baseImg.getScaledHeight() * position.y,
+      scaleX: scale,
+      scaleY: scale,
+      visible: !currentPlacement || currentPlacement.view === "front",
+      dirty: true,
+    });
+    logo.setCoords();
+    syncCutLine(idx);
+  }, [products, syncCutLine]);
+
+  // Refit placed designs when the size or placement changes
+  useEffect(() => {
+    sizeRef.current = { width, height, trimBox };
+    placementRef.current = placement;
+    logoImagesRef.current.forEach((_, idx) => fitLogoToPrintArea(idx));
+  }, [width, height, trimBox, placement, fitLogoToPrintArea]);
 
   // Place or replace logo on canvas
   const placeOrReplaceLogoOnCanvas = useCallback((idx, url, requestId) => {
@@ -227,7 +347,7 @@ const DesignViewer = ({
     // Remove existing logo
     const objects = canvas.getObjects();
     objects.forEach((obj) => {
-      if (obj !== baseImg) {
+      if (obj !== baseImg && !otherImagesRef.current[idx]?.includes(obj)) {
         canvas.remove(obj);
       }
     });
@@ -245,50 +365,21 @@ const DesignViewer = ({
         return;
       }
 
-      const hoodiePixelWidth = baseImg.getScaledWidth();
-      const sizeMultiplier = idx === 3 ? 0.15 : 0.20;
-      const targetWidth = hoodiePixelWidth * sizeMultiplier;
-      const scale = targetWidth / logo.width;
-
-      // Position adjustments based on product type
-      const isLast = idx === products.length - 1;
-      const isCap = idx === 3;
-      const isFifth = idx === 4;
-
-      let offsetX = isLast ? baseImg.getScaledWidth() * 0 : 0;
-      let offsetY;
-
-      if (isCap) {
-        offsetX = 0;
-        offsetY = -baseImg.getScaledHeight() * 0.08;
-      } else if (isFifth) {
-        offsetY = baseImg.getScaledHeight() * 0.05;
-      } else if (isLast) {
-        offsetY = baseImg.getScaledHeight() * 0.08;
-      } else {
-        offsetY = -baseImg.getScaledHeight() * 0.05;
-      }
-
       logo.set({
         originX: "center",
         originY: "center",
-        left: baseImg.left + offsetX,
-        top: baseImg.top + offsetY,
         selectable: false,
         evented: false,
         imageSmoothing: true,
         imageSmoothingQuality: "high",
-        scaleX: scale,
-        scaleY: scale,
-        dirty: true,
       });
 
       canvas.add(logo);
       canvas.bringToFront(logo);
       logoImagesRef.current[idx] = logo;
-      canvas.requestRenderAll();
+      fitLogoToPrintArea(idx);
     });
-  }, [products.length]);
+  }, [fitLogoToPrintArea]);
 
   // Update canvases when imageUrl prop changes
   useEffect(() => {
@@ -317,7 +408,7 @@ const DesignViewer = ({
         if (!canvas) return;
         const baseImg = baseImagesRef.current[idx];
         canvas.getObjects().forEach((obj) => {
-          if (obj !== baseImg) {
+          if (obj !== baseImg && !otherImagesRef.current[idx]?.includes(obj)) {
             canvas.remove(obj);
           }
         });
@@ -356,16 +447,23 @@ const DesignViewer = ({
           >
             {products.map((product, index) => (
               <div
-                key={index}
-                className="group flex bg-white pt-3 flex-col items-center transform transition-all duration-200 ease-in-out hover:scale-150"
+                key={product.id}
+                className={`group flex bg-white pt-3 flex-col items-center transform transition-all duration-200 ease-in-out hover:scale-150 ${
+                  onGarmentChange ? "cursor-pointer" : ""
+                }`}
+                onClick={onGarmentChange ? () => onGarmentChange(product) : undefined}
                 style={{
                   willChange: "transform",
                   backfaceVisibility: "hidden",
                   transform: "translateZ(0)",
-                  zIndex: 10 - index,
+                  zIndex: products.length - index,
                 }}
               >
-                <div className="rounded-lg p-2 w-full max-w-xs aspect-square flex items-center justify-center">
+                <div
+                  className={`rounded-lg p-2 w-full max-w-xs aspect-square flex items-center justify-center ${
+                    selectedGarmentId === product.id ? "ring-2 ring-blue-500" : ""
+                  }`}
+                >
                   <div
                     className="w-36 h-44 mx-auto transform transition-transform duration-300 ease-out group-hover:scale-100 bg-white"
                     style={{
@@ -374,6 +472,7 @@ const DesignViewer = ({
                   >
                     <canvas
                       ref={(el) => (canvasRefs.current[index] = el)}
+                      aria-label={product.label}
                       style={{
                         display: "block",
                         imageRendering: "crisp-edges",
@@ -384,6 +483,14 @@ const DesignViewer = ({
                     />
                   </div>
                 </div>
+                {imageUrl && exceedsPrintArea[index] && (
+                  <p
+                    className="text-center font-medium rounded px-1.5 py-0.5"
+                    style={{ fontSize: 10, color: "#b91c1c", backgroundColor: "#fef2f2" }}
+                  >
+                    Exceeds print area ({product.printArea.widthInches}" x {product.printArea.heightInches}")
+                  </p>
+                )}
               </div>
             ))}
           </div>
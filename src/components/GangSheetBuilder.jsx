@@ -0,0 +1,608 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Canvas, Image, Rect } from "fabric";
+import PricePreview from "./PricePreview";
+import AddToCartButton from "./AddToCartButton";
+import { DEFAULT_UPLOAD_LIMITS, validateImageFile } from "../utils/uploadValidation";
+import { applyOrientation, readImageMetadata } from "../utils/imageMetadata";
+import { rasterizeVector } from "../utils/vectorArtwork";
+import { DEFAULT_PRICING_RULES } from "../utils/pricing";
+import {
+  DEFAULT_GANG_SHEET,
+  findLayoutIssues,
+  getExportDpi,
+  getSheetLength,
+  getUsableWidth,
+  packGangSheet,
+  renderGangSheet,
+} from "../utils/gangSheet";
+
+const DPI = 300; // files without embedded resolution
+const SHEET_PX = 520; // preview width of the sheet
+const MIN_PREVIEW_INCHES = 12; // preview shows at least this much sheet, plus room to drag below
+const MIN_DESIGN_INCHES = 0.5;
+const MAX_QUANTITY = 500;
+
+const round2 = (v) => +v.toFixed(2);
+const round3 = (v) => +v.toFixed(3);
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = document.createElement("img");
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load image"));
+    img.src = url;
+  });
+}
+
+/**
+ * GangSheetBuilder - Gang-sheet mode: the customer adds many designs with quantities, they are
+ * nested automatically on a fixed-width roll sheet (utils/gangSheet), and can be moved or
+ * rotated by hand. The price follows the sheet length; the composed sheet is exported as one
+ * print-ready PNG and added to the cart.
+ *
+ * Props:
+ * - variantId, variantPrice: Shopify variant (the sheet is one cart line)
+ * - config: Normalized gang-sheet settings (width, margin, spacing, DPI, max length)
+ * - uploadLimits: Normalized upload limits (same checks as UploadPanel)
+ * - processing: Processing adapter; stores the exported sheet for the cart
+ * - currentDesign: { imageUrl, width, height, trimBox } from the single-design editor (optional)
+ * - pricingRules: Pricing rules from settings (the sheet is priced as one transfer)
+ */
+const GangSheetBuilder = ({
+  variantId,
+  variantPrice = null,
+  config = DEFAULT_GANG_SHEET,
+  uploadLimits = DEFAULT_UPLOAD_LIMITS,
+  processing,
+  currentDesign = null,
+  pricingRules = DEFAULT_PRICING_RULES,
+}) => {
+  const canvasElRef = useRef(null);
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const imagesRef = useRef(new Map()); // item id -> loaded HTMLImageElement
+  const nextItemIdRef = useRef(1);
+  const selectedKeyRef = useRef(null);
+  const scale = SHEET_PX / config.widthInches; // preview px per inch
+  const scaleRef = useRef(scale);
+  scaleRef.current = scale;
+
+  // Designs: [{ id, name, url, ownsUrl, aspect, width, height, quantity }] - sizes in inches
+  const [items, setItems] = useState([]);
+  // Nested copies of the designs (packGangSheet), possibly adjusted by hand
+  const [layout, setLayout] = useState({ placements: [], unplaced: [] });
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [addError, setAddError] = useState(null);
+  // Exported sheet: { url, dpi } once stored; cleared by any layout change
+  const [sheet, setSheet] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const { placements, unplaced } = layout;
+  const lengthInches = getSheetLength(placements, config);
+  const issues = useMemo(() => findLayoutIssues(placements, config), [placements, config]);
+  const tooLong = lengthInches > config.maxLengthInches;
+  const hasIssues = issues.overlapping.size > 0 || issues.outside.size > 0;
+  const usableWidth = getUsableWidth(config);
+
+  // Any change to the designs re-nests the whole sheet (hand adjustments are reset)
+  const updateItems = useCallback(
+    (update) => {
+      setItems((prev) => {
+        const next = update(prev);
+        setLayout(packGangSheet(next, config));
+        return next;
+      });
+      setSheet(null);
+      setExportError(null);
+    },
+    [config]
+  );
+
+  const updatePlacement = useCallback((key, update) => {
+    setLayout((prev) => ({
+      ...prev,
+      placements: prev.placements.map((p) => (p.key === key ? update(p) : p)),
+    }));
+    setSheet(null);
+    setExportError(null);
+  }, []);
+
+  // Add a loaded design: sized from its DPI, never wider than the sheet
+  const addItem = useCallback(
+    (img, { name, url, ownsUrl, widthInches, heightInches }) => {
+      const id = `d${nextItemIdRef.current++}`;
+      imagesRef.current.set(id, img);
+      const fit = Math.min(1, usableWidth / Math.max(widthInches, heightInches));
+      updateItems((prev) => [
+        ...prev,
+        {
+          id,
+          name,
+          url,
+          ownsUrl,
+          aspect: heightInches / widthInches,
+          width: round2(Math.max(MIN_DESIGN_INCHES, widthInches * fit)),
+          height: round2(Math.max(MIN_DESIGN_INCHES, heightInches * fit)),
+          quantity: 1,
+        },
+      ]);
+    },
+    [updateItems, usableWidth]
+  );
+
+  // Same validation as UploadPanel; vectors are rasterized at print resolution
+  const addFile = async (file) => {
+    const result = await validateImageFile(file, uploadLimits);
+    if (!result.valid) throw new Error(`${file.name}: ${result.error}`);
+    let upright = file;
+    let metadata = { dpiX: null, dpiY: null };
+    if (result.vector) {
+      const raster = await rasterizeVector(file, result.mimeType);
+      upright = raster.file;
+      metadata = { dpiX: raster.dpi, dpiY: raster.dpi };
+    } else {
+      metadata = await readImageMetadata(file);
+      upright = await applyOrientation(file, metadata.orientation).catch((err) => {
+        console.warn("Could not apply EXIF orientation:", err);
+        return file;
+      });
+    }
+    const url = URL.createObjectURL(upright);
+    try {
+      const img = await loadImage(url);
+      addItem(img, {
+        name: file.name,
+        url,
+        ownsUrl: true,
+        widthInches: img.naturalWidth / (metadata.dpiX || DPI),
+        heightInches: img.naturalHeight / (metadata.dpiY || DPI),
+      });
+    } catch (err) {
+      URL.revokeObjectURL(url);
+      throw err;
+    }
+  };
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!files.length) return;
+    setAdding(true);
+    setAddError(null);
+    const errors = [];
+    for (const file of files) {
+      try {
+        await addFile(file);
+      } catch (err) {
+        console.error("Gang sheet upload failed:", err);
+        errors.push(err.message || `${file.name}: could not be added.`);
+      }
+    }
+    if (errors.length) setAddError(errors.join(" "));
+    setAdding(false);
+  };
+
+  // The design from the single-design editor, at its chosen size (padding included)
+  const handleAddCurrentDesign = async () => {
+    if (!currentDesign?.imageUrl) return;
+    setAdding(true);
+    setAddError(null);
+    try {
+      const img = await loadImage(currentDesign.imageUrl);
+      const box = currentDesign.trimBox;
+      addItem(img, {
+        name: "Current design",
+        url: currentDesign.imageUrl,
+        ownsUrl: false,
+        widthInches: currentDesign.width / (box?.width || 1),
+        heightInches: currentDesign.height / (box?.height || 1),
+      });
+    } catch (err) {
+      console.error("Could not add current design:", err);
+      setAddError("Could not add the current design.");
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleWidthChange = (id, value) => {
+    const n = parseFloat(value);
+    if (!Number.isFinite(n)) return;
+    updateItems((prev) =>
+      prev.map((item) => {
+        if (item.id !== id) return item;
+        const width = Math.min(usableWidth, Math.max(MIN_DESIGN_INCHES, n));
+        return { ...item, width: round2(width), height: round2(width * item.aspect) };
+      })
+    );
+  };
+
+  const handleQuantityChange = (id, value) => {
+    const n = Math.min(MAX_QUANTITY, Math.max(1, parseInt(value) || 1));
+    updateItems((prev) => prev.map((item) => (item.id === id ? { ...item, quantity: n } : item)));
+  };
+
+  const handleRemoveItem = (id) => {
+    const item = items.find((i) => i.id === id);
+    if (item?.ownsUrl) URL.revokeObjectURL(item.url);
+    imagesRef.current.delete(id);
+    updateItems((prev) => prev.filter((i) => i.id !== id));
+  };
+
+  // Turn the selected copy 90° about its center
+  const handleRotate = () => {
+    if (!selectedKey) return;
+    updatePlacement(selectedKey, (p) => ({
+      ...p,
+      x: round3(p.x + p.width / 2 - p.height / 2),
+      y: round3(p.y + p.height / 2 - p.width / 2),
+      width: p.height,
+      height: p.width,
+      rotated: !p.rotated,
+    }));
+  };
+
+  const handleRepack = () => {
+    setLayout(packGangSheet(items, config));
+    setSheet(null);
+    setExportError(null);
+  };
+
+  // Compose the sheet at print resolution and store it for the cart
+  const handlePrepare = async () => {
+    if (!placements.length || hasIssues || tooLong || exporting) return;
+    setExporting(true);
+    setExportError(null);
+    try {
+      const { blob, dpi } = await renderGangSheet(placements, imagesRef.current, config);
+      const url = await processing.storeOriginal(blob);
+      setSheet({ url, dpi });
+    } catch (err) {
+      console.error("Gang sheet export failed:", err);
+      setExportError("We couldn't prepare your sheet. Please try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Release object URLs of uploaded designs
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  useEffect(
+    () => () => {
+      itemsRef.current.forEach((item) => item.ownsUrl && URL.revokeObjectURL(item.url));
+    },
+    []
+  );
+
+  // Sheet preview canvas (once)
+  useEffect(() => {
+    const canvas = new Canvas(canvasElRef.current, {
+      width: SHEET_PX,
+      height: MIN_PREVIEW_INCHES * scaleRef.current,
+      backgroundColor: "#f9fafb",
+      selection: false,
+      preserveObjectStacking: true,
+      enableRetinaScaling: true,
+    });
+    canvasRef.current = canvas;
+
+    // Keep copies on the sheet horizontally and below its top edge
+    canvas.on("object:moving", ({ target }) => {
+      const halfW = target.getScaledWidth() / 2;
+      const halfH = target.getScaledHeight() / 2;
+      const [w, h] = target.angle % 180 === 0 ? [halfW, halfH] : [halfH, halfW];
+      target.set({
+        left: Math.min(SHEET_PX - w, Math.max(w, target.left)),
+        top: Math.max(h, target.top),
+      });
+    });
+
+    canvas.on("object:modified", ({ target }) => {
+      if (!target?.placementKey) return;
+      const s = scaleRef.current;
+      updatePlacement(target.placementKey, (p) => ({
+        ...p,
+        x: round3(target.left / s - p.width / 2),
+        y: round3(target.top / s - p.height / 2),
+      }));
+    });
+
+    const select = ({ selected }) => {
+      selectedKeyRef.current = selected?.[0]?.placementKey || null;
+      setSelectedKey(selectedKeyRef.current);
+    };
+    canvas.on("selection:created", select);
+    canvas.on("selection:updated", select);
+    canvas.on("selection:cleared", () => {
+      selectedKeyRef.current = null;
+      setSelectedKey(null);
+    });
+
+    return () => {
+      canvasRef.current = null;
+      canvas.dispose();
+    };
+  }, [updatePlacement]);
+
+  // Redraw the sheet from the layout
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const previewInches = Math.max(MIN_PREVIEW_INCHES, lengthInches + 2);
+    canvas.setDimensions({ width: SHEET_PX, height: previewInches * scale });
+    canvas.discardActiveObject();
+    canvas.getObjects().forEach((obj) => canvas.remove(obj));
+
+    // Printable area (inside the margin) and the sheet's current end
+    canvas.add(
+      new Rect({
+        left: config.marginInches * scale,
+        top: config.marginInches * scale,
+        width: usableWidth * scale,
+        height: Math.max(0, lengthInches - 2 * config.marginInches) * scale,
+        fill: "#ffffff",
+        stroke: "#9ca3af",
+        strokeDashArray: [4, 3],
+        strokeWidth: 1,
+        selectable: false,
+        evented: false,
+      })
+    );
+
+    let selected = null;
+    placements.forEach((p) => {
+      const img = imagesRef.current.get(p.itemId);
+      if (!img) return;
+      const flagged = issues.overlapping.has(p.key) || issues.outside.has(p.key);
+      const designW = p.rotated ? p.height : p.width;
+      const designH = p.rotated ? p.width : p.height;
+      const obj = new Image(img, {
+        left: (p.x + p.width / 2) * scale,
+        top: (p.y + p.height / 2) * scale,
+        originX: "center",
+        originY: "center",
+        angle: p.rotated ? 90 : 0,
+        hasControls: false,
+        lockScalingX: true,
+        lockScalingY: true,
+        lockRotation: true,
+        borderColor: "#4c4cec",
+        hoverCursor: "move",
+        stroke: flagged ? "#dc2626" : null,
+        strokeWidth: flagged ? 2 : 0,
+        strokeUniform: true,
+      });
+      obj.set({
+        scaleX: (designW * scale) / img.naturalWidth,
+        scaleY: (designH * scale) / img.naturalHeight,
+      });
+      obj.placementKey = p.key;
+      canvas.add(obj);
+      if (p.key === selectedKeyRef.current) selected = obj;
+    });
+    if (selected) canvas.setActiveObject(selected);
+    canvas.requestRenderAll();
+  }, [placements, issues, lengthInches, scale, config.marginInches, usableWidth]);
+
+  const copies = placements.length;
+  const exportDpi = getExportDpi(lengthInches, config);
+  const itemNames = (ids) => ids.map((id) => items.find((i) => i.id === id)?.name || id).join(", ");
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+      {/* Left column - Designs and sheet */}
+      <div className="lg:col-span-7" style={{ display: "flex", flexDirection: "column", gap: "24px", marginRight: 24 }}>
+        {/* Designs */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <div className="text-start space-y-2 mb-3">
+            <h2 className="font-bold text-black text-base">Designs</h2>
+            <p className="text-xs text-gray-600">
+              Add your designs and how many of each you need; they are nested onto a {config.widthInches}" wide sheet
+              automatically
+            </p>
+          </div>
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={uploadLimits.allowedTypes.join(",")}
+            onChange={handleFiles}
+            className="hidden"
+          />
+          <div className="flex flex-wrap gap-2 mb-3">
+            <button
+              type="button"
+              disabled={adding}
+              onClick={() => fileInputRef.current?.click()}
+              className="rounded-lg px-3 py-2 text-sm font-medium text-white disabled:opacity-60"
+              style={{ background: "#4c4cec" }}
+            >
+              {adding ? "Adding..." : "+ Add designs"}
+            </button>
+            {currentDesign?.imageUrl && (
+              <button
+                type="button"
+                disabled={adding}
+                onClick={handleAddCurrentDesign}
+                className="rounded-lg border border-gray-300 px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+              >
+                Add current design
+              </button>
+            )}
+          </div>
+
+          {addError && <p className="text-xs text-red-600 mb-3">{addError}</p>}
+
+          {items.length === 0 ? (
+            <p className="text-xs text-gray-500">No designs yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {items.map((item) => (
+                <li key={item.id} className="flex items-center gap-3 py-2">
+                  <span
+                    className="block rounded border border-gray-200 bg-gray-50 flex-shrink-0"
+                    style={{
+                      width: 40,
+                      height: 40,
+                      backgroundImage: `url(${item.url})`,
+                      backgroundSize: "contain",
+                      backgroundPosition: "center",
+                      backgroundRepeat: "no-repeat",
+                    }}
+                    aria-hidden
+                  />
+                  <span className="flex-1 min-w-0">
+                    <span className="block truncate text-xs font-medium text-gray-800">{item.name}</span>
+                    <span className="block text-gray-500" style={{ fontSize: 10 }}>
+                      {item.width}" × {item.height}"
+                    </span>
+                  </span>
+                  <label className="text-xs text-gray-600 flex items-center gap-1">
+                    W
+                    <input
+                      type="number"
+                      key={item.width}
+                      defaultValue={item.width}
+                      min={MIN_DESIGN_INCHES}
+                      max={usableWidth}
+                      step={0.1}
+                      onBlur={(e) => handleWidthChange(item.id, e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && handleWidthChange(item.id, e.target.value)}
+                      className="w-16 h-8 rounded-md border border-gray-300 text-center text-xs"
+                      aria-label={`Width of ${item.name} in inches`}
+                    />
+                  </label>
+                  <label className="text-xs text-gray-600 flex items-center gap-1">
+                    Qty
+                    <input
+                      type="number"
+                      value={item.quantity}
+                      min={1}
+                      max={MAX_QUANTITY}
+                      onChange={(e) => handleQuantityChange(item.id, e.target.value)}
+                      className="w-14 h-8 rounded-md border border-gray-300 text-center text-xs"
+                      aria-label={`Copies of ${item.name}`}
+                    />
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveItem(item.id)}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label={`Remove ${item.name}`}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Sheet layout */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <div className="flex items-start justify-between gap-3 mb-3">
+            <div className="text-start space-y-2">
+              <h2 className="font-bold text-black text-base">Sheet Layout</h2>
+              <p className="text-xs text-gray-600">
+                {config.widthInches}" × {lengthInches}" · {copies} {copies === 1 ? "print" : "prints"} · drag to
+                adjust
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                disabled={!selectedKey}
+                onClick={handleRotate}
+                className="rounded-md border border-gray-300 px-2 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                Rotate 90°
+              </button>
+              <button
+                type="button"
+                disabled={!items.length}
+                onClick={handleRepack}
+                className="rounded-md border border-gray-300 px-2 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                Re-nest
+              </button>
+            </div>
+          </div>
+
+          <div className="rounded-lg border border-gray-200 overflow-auto" style={{ maxHeight: 520 }}>
+            <canvas ref={canvasElRef} />
+          </div>
+
+          {unplaced.length > 0 && (
+            <p className="mt-2 text-xs text-red-600" role="alert">
+              Too wide for the sheet: {itemNames(unplaced)}. Reduce the width to {round2(usableWidth)}" or less.
+            </p>
+          )}
+          {hasIssues && (
+            <p className="mt-2 text-xs text-amber-700" role="alert">
+              Some prints overlap or sit outside the printable area (outlined in red). Move them apart or re-nest
+              the sheet.
+            </p>
+          )}
+          {tooLong && (
+            <p className="mt-2 text-xs text-red-600" role="alert">
+              This sheet is {lengthInches}" long; the maximum is {config.maxLengthInches}". Remove designs or lower
+              quantities.
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Right column - Price and cart */}
+      <div className="lg:col-span-5 add-to-cart-mobile-spacer" style={{ display: "flex", flexDirection: "column", gap: "24px" }}>
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <PricePreview
+            width={config.widthInches}
+            height={lengthInches}
+            preCut={false}
+            variantPrice={variantPrice}
+            rules={pricingRules}
+          />
+        </div>
+
+        <div className="add-to-cart-sticky-mobile bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          {!sheet && (
+            <div className="mb-3">
+              <button
+                type="button"
+                disabled={!copies || hasIssues || tooLong || exporting}
+                onClick={handlePrepare}
+                className="w-full rounded-lg border border-gray-300 py-2 text-sm font-medium text-gray-800 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {exporting ? "Preparing print file..." : "Prepare print file"}
+              </button>
+              {copies > 0 && exportDpi < config.dpi && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Sheets this long are exported at {exportDpi} DPI. Split your order into shorter sheets for full{" "}
+                  {config.dpi} DPI.
+                </p>
+              )}
+              {exportError && <p className="mt-2 text-xs text-red-600">{exportError}</p>}
+            </div>
+          )}
+          <AddToCartButton
+            variantId={variantId}
+            imageUrl={sheet?.url || null}
+            width={config.widthInches}
+            height={lengthInches}
+            preCut={false}
+            designPending={!sheet}
+            gangSheet={sheet ? { prints: copies, dpi: sheet.dpi } : null}
+            pricingRules={pricingRules}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GangSheetBuilder;
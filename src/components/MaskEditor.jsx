@@ -0,0 +1,399 @@
+import { Canvas, Circle, FabricImage, Point } from "fabric";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+const VIEW_H = 420;
+const MAX_VIEW_W = 720;
+const MIN_ZOOM_FACTOR = 0.5; // relative to "fit"
+const MAX_ZOOM = 16;
+const BRUSH_MIN = 4;
+const BRUSH_MAX = 120;
+
+const TOOLS = [
+  { id: "erase", label: "Erase", title: "Erase leftover background (halos, specks)" },
+  { id: "restore", label: "Restore", title: "Paint back parts of the original that were removed" },
+  { id: "pan", label: "Pan", title: "Drag to move around (or hold Space)" },
+];
+
+// Checkerboard so erased (transparent) areas are visible
+const CHECKERBOARD = {
+  backgroundColor: "#ffffff",
+  backgroundImage: "repeating-conic-gradient(#e5e7eb 0% 25%, #ffffff 0% 50%)",
+  backgroundSize: "16px 16px",
+};
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load image for editing"));
+    img.src = url;
+  });
+}
+
+/** Add a round-capped stroke segment (as overlapping discs) to the current path. */
+function addStrokePath(ctx, from, to, radius) {
+  const dist = Math.hypot(to.x - from.x, to.y - from.y);
+  const steps = Math.max(1, Math.ceil(dist / (radius / 2)));
+  for (let i = 0; i <= steps; i++) {
+    const x = from.x + ((to.x - from.x) * i) / steps;
+    const y = from.y + ((to.y - from.y) * i) / steps;
+    ctx.moveTo(x + radius, y);
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+  }
+}
+
+/**
+ * MaskEditor - Erase / restore brush for touching up background removal.
+ * Edits happen on a full-resolution offscreen canvas shown through a Fabric canvas
+ * (mouse wheel or +/- to zoom, Pan tool or Space+drag to move).
+ *
+ * Props:
+ * - imageUrl: The processed image to touch up
+ * - restoreUrl: The original upload; the Restore brush paints its pixels back (scaled to imageUrl)
+ * - onConfirm: Called with the edited PNG Blob
+ * - onCancel: Close without changes
+ */
+const MaskEditor = ({ imageUrl, restoreUrl, onConfirm, onCancel }) => {
+  const wrapperRef = useRef(null);
+  const canvasElRef = useRef(null);
+  const fabricRef = useRef(null);
+  const layerRef = useRef(null); // FabricImage showing workCanvas
+  const cursorRef = useRef(null); // brush outline
+  const workRef = useRef(null); // { work, source, initial } canvases at image resolution
+  const strokeRef = useRef(null); // last brush point while painting, or pan anchor
+  const settingsRef = useRef({ tool: "erase", brushSize: 30, spaceHeld: false });
+
+  const [tool, setTool] = useState("erase");
+  const [brushSize, setBrushSize] = useState(30);
+  const [zoomLabel, setZoomLabel] = useState(100);
+  const [ready, setReady] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    settingsRef.current.tool = tool;
+    settingsRef.current.brushSize = brushSize;
+  }, [tool, brushSize]);
+
+  const fitToView = useCallback(() => {
+    const canvas = fabricRef.current;
+    const work = workRef.current?.work;
+    if (!canvas || !work) return;
+    const zoom = Math.min(canvas.getWidth() / work.width, canvas.getHeight() / work.height);
+    canvas.setViewportTransform([
+      zoom,
+      0,
+      0,
+      zoom,
+      (canvas.getWidth() - work.width * zoom) / 2,
+      (canvas.getHeight() - work.height * zoom) / 2,
+    ]);
+    setZoomLabel(Math.round(zoom * 100));
+  }, []);
+
+  const zoomBy = useCallback((factor, point) => {
+    const canvas = fabricRef.current;
+    const work = workRef.current?.work;
+    if (!canvas || !work) return;
+    const fit = Math.min(canvas.getWidth() / work.width, canvas.getHeight() / work.height);
+    const zoom = Math.min(MAX_ZOOM, Math.max(fit * MIN_ZOOM_FACTOR, canvas.getZoom() * factor));
+    canvas.zoomToPoint(point || new Point(canvas.getWidth() / 2, canvas.getHeight() / 2), zoom);
+    setZoomLabel(Math.round(zoom * 100));
+  }, []);
+
+  // Paint one segment onto the work canvas with the active brush
+  const paint = useCallback((from, to) => {
+    const { work, source } = workRef.current;
+    const canvas = fabricRef.current;
+    const radius = settingsRef.current.brushSize / 2 / canvas.getZoom();
+    const ctx = work.getContext("2d");
+    ctx.save();
+    ctx.beginPath();
+    addStrokePath(ctx, from, to, radius);
+    if (settingsRef.current.tool === "erase") {
+      ctx.globalCompositeOperation = "destination-out";
+      ctx.fill();
+    } else {
+      ctx.clip();
+      ctx.drawImage(source, 0, 0);
+    }
+    ctx.restore();
+    layerRef.current.dirty = true;
+    canvas.requestRenderAll();
+  }, []);
+
+  // Set up canvases once both images are loaded
+  useEffect(() => {
+    let disposed = false;
+    Promise.all([loadImage(imageUrl), loadImage(restoreUrl || imageUrl)])
+      .then(([image, original]) => {
+        if (disposed) return;
+        const makeCanvas = () => {
+          const c = document.createElement("canvas");
+          c.width = image.naturalWidth;
+          c.height = image.naturalHeight;
+          return c;
+        };
+        const work = makeCanvas();
+        work.getContext("2d").drawImage(image, 0, 0);
+        const source = makeCanvas();
+        source.getContext("2d").drawImage(original, 0, 0, source.width, source.height);
+        const initial = makeCanvas();
+        initial.getContext("2d").drawImage(image, 0, 0);
+        workRef.current = { work, source, initial };
+
+        const viewW = Math.min(MAX_VIEW_W, wrapperRef.current?.clientWidth || MAX_VIEW_W);
+        const canvas = new Canvas(canvasElRef.current, {
+          width: viewW,
+          height: VIEW_H,
+          selection: false,
+          skipTargetFind: true,
+          defaultCursor: "crosshair",
+          enableRetinaScaling: true,
+          allowTouchScrolling: false,
+        });
+        fabricRef.current = canvas;
+
+        const layer = new FabricImage(work, {
+          left: 0,
+          top: 0,
+          originX: "left",
+          originY: "top",
+          selectable: false,
+          evented: false,
+          objectCaching: false,
+        });
+        const cursor = new Circle({
+          radius: 1,
+          originX: "center",
+          originY: "center",
+          fill: "transparent",
+          stroke: "#4c4cec",
+          strokeUniform: true,
+          strokeWidth: 1.5,
+          selectable: false,
+          evented: false,
+          visible: false,
+        });
+        layerRef.current = layer;
+        cursorRef.current = cursor;
+        canvas.add(layer, cursor);
+
+        canvas.on("mouse:down", (opt) => {
+          const panning = settingsRef.current.tool === "pan" || settingsRef.current.spaceHeld;
+          if (panning) {
+            strokeRef.current = { pan: true, x: opt.viewportPoint.x, y: opt.viewportPoint.y };
+            return;
+          }
+          strokeRef.current = { pan: false, x: opt.scenePoint.x, y: opt.scenePoint.y };
+          paint(opt.scenePoint, opt.scenePoint);
+        });
+        canvas.on("mouse:move", (opt) => {
+          const panning = settingsRef.current.tool === "pan" || settingsRef.current.spaceHeld;
+          cursor.set({
+            left: opt.scenePoint.x,
+            top: opt.scenePoint.y,
+            radius: settingsRef.current.brushSize / 2 / canvas.getZoom(),
+            visible: !panning,
+          });
+          const last = strokeRef.current;
+          if (last?.pan) {
+            canvas.relativePan(new Point(opt.viewportPoint.x - last.x, opt.viewportPoint.y - last.y));
+            strokeRef.current = { pan: true, x: opt.viewportPoint.x, y: opt.viewportPoint.y };
+          } else if (last) {
+            paint(last, opt.scenePoint);
+            strokeRef.current = { pan: false, x: opt.scenePoint.x, y: opt.scenePoint.y };
+          }
+          canvas.requestRenderAll();
+        });
+        canvas.on("mouse:up", () => {
+          strokeRef.current = null;
+        });
+        canvas.on("mouse:out", () => {
+          cursor.set({ visible: false });
+          canvas.requestRenderAll();
+        });
+        canvas.on("mouse:wheel", (opt) => {
+          opt.e.preventDefault();
+          zoomBy(Math.pow(0.999, opt.e.deltaY), opt.viewportPoint);
+        });
+
+        fitToView();
+        setReady(true);
+      })
+      .catch((err) => {
+        console.error("Mask editor failed to load:", err);
+        if (!disposed) setError("Could not open this image for editing.");
+      });
+
+    return () => {
+      disposed = true;
+      fabricRef.current?.dispose();
+      fabricRef.current = null;
+      workRef.current = null;
+    };
+  }, [imageUrl, restoreUrl, paint, fitToView, zoomBy]);
+
+  // Escape closes; Space pans while held; +/- zoom
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+      else if (e.key === " " && e.target === document.body) {
+        e.preventDefault();
+        settingsRef.current.spaceHeld = true;
+      } else if (e.key === "+" || e.key === "=") zoomBy(1.25);
+      else if (e.key === "-") zoomBy(0.8);
+    };
+    const onKeyUp = (e) => {
+      if (e.key === " ") settingsRef.current.spaceHeld = false;
+    };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+    };
+  }, [onCancel, zoomBy]);
+
+  const handleReset = () => {
+    const { work, initial } = workRef.current || {};
+    if (!work) return;
+    const ctx = work.getContext("2d");
+    ctx.clearRect(0, 0, work.width, work.height);
+    ctx.drawImage(initial, 0, 0);
+    layerRef.current.dirty = true;
+    fabricRef.current.requestRenderAll();
+  };
+
+  const handleConfirm = async () => {
+    const work = workRef.current?.work;
+    if (!work || saving) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const blob = await new Promise((resolve, reject) => {
+        work.toBlob((b) => (b ? resolve(b) : reject(new Error("Failed to export edited image"))), "image/png");
+      });
+      onConfirm(blob);
+    } catch (err) {
+      console.error("Mask edit export failed:", err);
+      setError("Could not save your changes. Please try again.");
+      setSaving(false);
+    }
+  };
+
+  const buttonStyle = (active) => ({
+    color: active ? "#ffffff" : "#374151",
+    backgroundColor: active ? "#4c4cec" : "#ffffff",
+    border: active ? "1px solid #4c4cec" : "1px solid #d1d5db",
+  });
+
+  return (
+    <div
+      className="mask-editor-overlay fixed inset-0 flex items-center justify-center p-4"
+      style={{ backgroundColor: "rgba(17, 24, 39, 0.6)", zIndex: 100000 }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Touch up background removal"
+    >
+      <div
+        className="w-full bg-white rounded-xl shadow-lg p-4"
+        style={{ maxWidth: MAX_VIEW_W + 32, maxHeight: "95vh", display: "flex", flexDirection: "column", gap: 12 }}
+      >
+        <div className="text-start space-y-2">
+          <h2 className="font-bold text-black text-base">Touch Up Your Design</h2>
+          <p className="text-xs text-gray-600">
+            Erase leftover background or restore details that were removed. Scroll to zoom.
+          </p>
+        </div>
+
+        {/* Tools */}
+        <div className="flex flex-wrap items-center gap-2">
+          {TOOLS.map((t) => (
+            <button
+              key={t.id}
+              type="button"
+              onClick={() => setTool(t.id)}
+              className="px-3 py-1 text-xs font-medium rounded-md transition-colors"
+              style={buttonStyle(tool === t.id)}
+              aria-pressed={tool === t.id}
+              title={t.title}
+            >
+              {t.label}
+            </button>
+          ))}
+          <label className="flex items-center gap-2 text-xs text-gray-700">
+            <span>Brush</span>
+            <input
+              type="range"
+              min={BRUSH_MIN}
+              max={BRUSH_MAX}
+              value={brushSize}
+              onChange={(e) => setBrushSize(Number(e.target.value))}
+              disabled={tool === "pan"}
+              aria-label="Brush size"
+            />
+          </label>
+          <div className="flex items-center gap-1 ml-auto">
+            <button type="button" onClick={() => zoomBy(0.8)} className="px-2 py-1 text-xs rounded-md" style={buttonStyle(false)} aria-label="Zoom out">
+              −
+            </button>
+            <span className="text-xs text-gray-600 tabular-nums" style={{ minWidth: 40, textAlign: "center" }}>
+              {zoomLabel}%
+            </span>
+            <button type="button" onClick={() => zoomBy(1.25)} className="px-2 py-1 text-xs rounded-md" style={buttonStyle(false)} aria-label="Zoom in">
+              +
+            </button>
+            <button type="button" onClick={fitToView} className="px-2 py-1 text-xs rounded-md" style={buttonStyle(false)}>
+              Fit
+            </button>
+          </div>
+        </div>
+
+        {/* Canvas */}
+        <div
+          ref={wrapperRef}
+          className="border border-gray-200 rounded-lg flex items-center justify-center"
+          style={{ ...CHECKERBOARD, overflow: "hidden", minHeight: VIEW_H, touchAction: "none" }}
+        >
+          <canvas ref={canvasElRef} />
+          {!ready && !error && <p className="text-sm text-gray-500">Loading...</p>}
+        </div>
+
+        {error && <p className="text-sm" style={{ color: "#dc2626" }}>{error}</p>}
+
+        {/* Actions */}
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg transition-colors"
+            style={{ color: "#374151", border: "1px solid #d1d5db", backgroundColor: "#ffffff" }}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleReset}
+            disabled={!ready || saving}
+            className="flex-1 px-4 py-2 text-sm rounded-lg transition-colors"
+            style={{ color: "#374151", border: "1px solid #d1d5db", backgroundColor: "#ffffff" }}
+          >
+            Reset
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={!ready || saving}
+            className="flex-1 px-4 py-2 text-sm font-semibold rounded-lg transition-colors"
+            style={{ color: "#ffffff", backgroundColor: "#4c4cec", border: "none", opacity: !ready || saving ? 0.6 : 1 }}
+          >
+            {saving ? "Saving..." : "Apply Changes"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MaskEditor;
@@ -1,10 +1,16 @@
 import React from "react";
+import { DEFAULT_PRICING_RULES } from "../utils/pricing";
 
 /**
  * PreCutCheckbox - Pre-cut service option toggle.
  * Wrapped by feature flag (enablePrecut) in ProductCustomizer.
+ *
+ * Props:
+ * - preCut / setPreCut: Toggle state
+ * - cutOffsetInches: Margin of the cut line around the design, shown while pre-cut is on (optional)
+ * - fee: Pre-cut price per transfer (pricing rules' preCutFee)
  */
-const PreCutCheckbox = ({ preCut, setPreCut }) => {
+const PreCutCheckbox = ({ preCut, setPreCut, cutOffsetInches = null, fee = DEFAULT_PRICING_RULES.preCutFee }) => {
   return (
     <div className="precut-checkbox bg-white rounded-lg">
       <div className="text-start space-y-2 mb-4">
@@ -43,13 +49,24 @@ const PreCutCheckbox = ({ preCut, setPreCut }) => {
         </div>
         <div>
           <span className="text-sm font-medium text-gray-900 group-hover:text-blue-600 transition-colors">
-            Pre-cut Service (+$0.24)
+            Pre-cut Service{fee > 0 ? ` (+$${fee.toFixed(2)})` : ""}
           </span>
           <p className="text-xs text-gray-500">
             We'll cut around your design for you
           </p>
         </div>
       </label>
+      {preCut && cutOffsetInches != null && (
+        <p className="text-xs text-gray-600 mt-3 flex items-center gap-2">
+          <svg className="w-6 h-2 flex-shrink-0" viewBox="0 0 24 2" aria-hidden>
+            <line x1="0" y1="1" x2="24" y2="1" stroke="#dc2626" strokeWidth="2" strokeDasharray="5 4" />
+          </svg>
+          <span>
+            Cut line {cutOffsetInches > 0 ? `${+cutOffsetInches.toFixed(3)}" outside your design` : "along your design's edge"}
+            , shown dashed in the previews
+          </span>
+        </p>
+      )}
     </div>
   );
 };
@@ -1,4 +1,5 @@
 import React, { useMemo } from "react";
+import { DEFAULT_PRICING_RULES, calculatePrice, getVolumeDiscountSummary } from "../utils/pricing";
 
 // Price formatter: explicit en-US to avoid locale issues (e.g. 9:17 vs 9.17)
 const formatPrice = (n) =>
@@ -7,66 +8,62 @@ const formatPrice = (n) =>
     maximumFractionDigits: 2,
   });
 
-// Pricing constants — keep in sync with hq-migration/extensions/cart-pricing (cart transform) for cart/checkout price
-
-const PRICE_PER_SQIN = 0.0416; // size-based price: (width * height) * 0.0416
-const PRECUT_FEE = 0.24;
-
-// Volume discount tiers
-const DISCOUNT_TIERS = [
-  { minQty: 1, maxQty: 14, discount: 0, label: "1-14 pcs" },
-  { minQty: 15, maxQty: 49, discount: 0.2, label: "15-49 pcs (20% off)" },
-  { minQty: 50, maxQty: 99, discount: 0.3, label: "50-99 pcs (30% off)" },
-  { minQty: 100, maxQty: 249, discount: 0.4, label: "100-249 pcs (40% off)" },
-  { minQty: 250, maxQty: Infinity, discount: 0.5, label: "250+ pcs (50% off)" },
-];
-
+/**
+ * PricePreview - Live price estimate with volume discount (utils/pricing).
+ *
+ * Props:
+ * - width / height / preCut: The design being edited
+ * - quantity: Garments ordered (every print location is printed this many times)
+ * - variantPrice: Product price (currently unused, see basePrice)
+ * - additionalLines: Other print locations of the order [{ width, height, preCut }] (optional)
+ * - additionalSizes: Extra sizes of the designs, each ordered on its own
+ *   [{ width, height, preCut, quantity }] (optional)
+ * - rules: Pricing rules from settings (defaults to DEFAULT_PRICING_RULES)
+ */
 const PricePreview = ({
   width,
   height,
   preCut,
   quantity = 1,
   variantPrice: variantPriceProp,
+  additionalLines = [],
+  additionalSizes = [],
+  rules = DEFAULT_PRICING_RULES,
 }) => {
   // Use product/variant price when provided (dynamic per product); otherwise fallback to static default
   // const basePrice = variantPriceProp != null && !Number.isNaN(Number(variantPriceProp))
   //   ? Number(variantPriceProp)
   //   : BASE_PRICE;
   const basePrice = 0;
+  // Every print location is a cart line of its own (priced like the extra sizes), all
+  // ordered `quantity` times; the breakdown shows their sum per garment
   const pricing = useMemo(() => {
-    // Calculate area price
-    const area = width * height;
-    const areaPrice = area * PRICE_PER_SQIN;
-
-    // Add pre-cut fee if selected
-    const preCutPrice = preCut ? PRECUT_FEE : 0;
-
-    // Calculate unit price (before discount) — base comes from variant when in theme
-    const unitPrice = basePrice + areaPrice + preCutPrice;
-
-    // Find applicable discount tier
-    const tier =
-      DISCOUNT_TIERS.find(
-        (t) => quantity >= t.minQty && quantity <= t.maxQty,
-      ) || DISCOUNT_TIERS[0];
-
-    // Apply discount
-    const discountedUnitPrice = unitPrice * (1 - tier.discount);
-
-    // Calculate total
-    const totalPrice = discountedUnitPrice * quantity;
-
+    const prices = [{ width, height, preCut }, ...additionalLines].map((line) =>
+      calculatePrice({ lines: [line], quantity, basePrice }, rules)
+    );
+    const sum = (key) => prices.reduce((total, price) => total + price[key], 0);
     return {
-      area,
-      areaPrice,
-      preCutPrice,
-      unitPrice,
-      discountedUnitPrice,
-      totalPrice,
-      discount: tier.discount,
-      tierLabel: tier.label,
+      area: sum("area"),
+      areaPrice: sum("areaPrice"),
+      preCutPrice: sum("preCutPrice"),
+      unitPrice: sum("unitPrice"),
+      discountedUnitPrice: sum("discountedUnitPrice"),
+      totalPrice: sum("totalPrice"),
+      discount: prices[0].discount,
     };
-  }, [width, height, preCut, quantity, basePrice]);
+  }, [width, height, preCut, additionalLines, quantity, basePrice, rules]);
+
+  // Each extra size is a separate cart line with its own quantity (and volume tier)
+  const sizesTotal = useMemo(
+    () =>
+      additionalSizes.reduce(
+        (sum, size) => sum + calculatePrice({ lines: [size], quantity: size.quantity, basePrice }, rules).totalPrice,
+        0
+      ),
+    [additionalSizes, basePrice, rules]
+  );
+  const volumeDiscount = getVolumeDiscountSummary(rules);
+  const sizeCount = additionalSizes.reduce((sum, size) => sum + size.quantity, 0);
 
   return (
     <div className="price-preview bg-white rounded-lg">
@@ -87,13 +84,14 @@ const PricePreview = ({
 
           <div className="flex justify-between text-gray-600">
             <span>
-              Area ({formatPrice(pricing.area)} sq in × $
-              {formatPrice(PRICE_PER_SQIN)}):
+              Area ({formatPrice(pricing.area)} sq in
+              {additionalLines.length > 0 ? `, ${additionalLines.length + 1} locations` : ""} × $
+              {formatPrice(rules.pricePerSqIn)}):
             </span>
             <span>${formatPrice(pricing.areaPrice)}</span>
           </div>
 
-          {preCut && (
+          {pricing.preCutPrice > 0 && (
             <div className="flex justify-between text-gray-600">
               <span>Pre-cut service:</span>
               <span>${formatPrice(pricing.preCutPrice)}</span>
@@ -117,6 +115,15 @@ const PricePreview = ({
               </span>
             </div>
           )}
+
+          {additionalSizes.length > 0 && (
+            <div className="flex justify-between text-gray-600">
+              <span>
+                Additional sizes ({sizeCount} {sizeCount === 1 ? "pc" : "pcs"}):
+              </span>
+              <span>${formatPrice(sizesTotal)}</span>
+            </div>
+          )}
         </div>
 
         {/* Total price */}
@@ -132,7 +139,7 @@ const PricePreview = ({
             </div>
             <div className="text-right">
               <p className="text-2xl font-bold text-gray-900">
-                ${formatPrice(pricing.totalPrice)}
+                ${formatPrice(pricing.totalPrice + sizesTotal)}
               </p>
               {pricing.discount > 0 && (
                 <p className="text-xs text-green-600 font-medium">
@@ -148,9 +155,14 @@ const PricePreview = ({
         </div>
 
         {/* Volume discount info */}
-        <div className="text-xs text-gray-500 text-center mt-2">
-          <p>💡 Order 15+ pieces for volume discounts up to 50% off</p>
-        </div>
+        {volumeDiscount && (
+          <div className="text-xs text-gray-500 text-center mt-2">
+            <p>
+              💡 Order {volumeDiscount.minQty}+ pieces for volume discounts up to{" "}
+              {+(volumeDiscount.maxDiscount * 100).toFixed(1)}% off
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
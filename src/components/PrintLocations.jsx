@@ -0,0 +1,93 @@
+import React from "react";
+
+/**
+ * PrintLocations - One tab per print location of a multi-location order (e.g. front logo,
+ * back print, sleeve hit). Each location holds its own design; the selected one is edited
+ * by the rest of the customizer.
+ *
+ * Props:
+ * - locations: [{ id, label, thumbnailUrl, width, height }] in order
+ * - activeId: Location being edited
+ * - onSelect: Called with a location id
+ * - onAdd: Adds a location at the next free placement (omit when none is left)
+ * - onRemove: Called with a location id (only offered while there are several)
+ * - disabled: Switching is blocked, e.g. while the current design is processing
+ */
+const PrintLocations = ({ locations, activeId, onSelect, onAdd, onRemove, disabled = false }) => {
+  return (
+    <div className="print-locations bg-white rounded-lg">
+      <div className="text-start space-y-2 mb-3">
+        <h2 className="font-bold text-black text-base">Print Locations</h2>
+        <p className="text-xs text-gray-600">
+          Add a different design for the front, back or sleeve in the same order
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2" role="tablist" aria-label="Print locations">
+        {locations.map((location) => {
+          const isActive = location.id === activeId;
+          return (
+            <div
+              key={location.id}
+              className={`flex items-center gap-2 rounded-lg border-2 pl-1.5 pr-2 py-1 transition-colors ${
+                isActive ? "border-blue-600 bg-blue-50" : "border-gray-200 hover:border-gray-300"
+              }`}
+            >
+              <button
+                type="button"
+                role="tab"
+                aria-selected={isActive}
+                disabled={disabled && !isActive}
+                onClick={() => onSelect(location.id)}
+                className="flex items-center gap-2 text-left disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                <span
+                  className="block rounded border border-gray-200 bg-gray-50 flex-shrink-0"
+                  style={{
+                    width: 28,
+                    height: 28,
+                    backgroundImage: location.thumbnailUrl ? `url(${location.thumbnailUrl})` : "none",
+                    backgroundSize: "contain",
+                    backgroundPosition: "center",
+                    backgroundRepeat: "no-repeat",
+                  }}
+                  aria-hidden
+                />
+                <span>
+                  <span className="block text-xs font-medium text-gray-800">{location.label}</span>
+                  <span className="block text-gray-500" style={{ fontSize: 10 }}>
+                    {location.thumbnailUrl ? `${location.width}" × ${location.height}"` : "No design yet"}
+                  </span>
+                </span>
+              </button>
+              {onRemove && locations.length > 1 && (
+                <button
+                  type="button"
+                  disabled={disabled}
+                  onClick={() => onRemove(location.id)}
+                  className="ml-1 text-gray-400 hover:text-red-600 disabled:cursor-not-allowed disabled:opacity-60"
+                  aria-label={`Remove ${location.label}`}
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          );
+        })}
+
+        {onAdd && (
+          <button
+            type="button"
+            disabled={disabled}
+            onClick={onAdd}
+            className="rounded-lg border-2 border-dashed border-gray-300 px-3 py-1 text-xs font-medium text-gray-600 hover:border-blue-400 hover:text-blue-600 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            + Add location
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrintLocations;
@@ -0,0 +1,41 @@
+import React from "react";
+import { QUALITY_LABELS } from "../utils/printResolution";
+
+const BADGE_COLORS = {
+  good: { color: "#15803d", backgroundColor: "#f0fdf4", borderColor: "#bbf7d0" },
+  fair: { color: "#b45309", backgroundColor: "#fffbeb", borderColor: "#fde68a" },
+  poor: { color: "#dc2626", backgroundColor: "#fef2f2", borderColor: "#fecaca" },
+};
+
+/**
+ * PrintQualityBadge - Effective DPI pill (good / fair / poor) for the current print size.
+ *
+ * Props:
+ * - dpi: Effective DPI at the chosen size (null hides the badge)
+ * - rating: "good" | "fair" | "poor"
+ * - compact: Render only the pill without the explanatory line
+ */
+const PrintQualityBadge = ({ dpi, rating, compact = false }) => {
+  if (dpi == null || !rating) return null;
+  const colors = BADGE_COLORS[rating];
+
+  return (
+    <div className="print-quality-badge">
+      <span
+        className="inline-flex items-center gap-1 px-2 py-1 rounded-full border text-xs font-semibold"
+        style={colors}
+      >
+        {QUALITY_LABELS[rating]} · {Math.round(dpi)} DPI
+      </span>
+      {!compact && rating !== "good" && (
+        <p className="text-xs mt-1" style={{ color: colors.color }}>
+          {rating === "poor"
+            ? "Your image may print blurry or pixelated at this size. Try a smaller size or a higher-resolution file."
+            : "Your image may look slightly soft at this size."}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PrintQualityBadge;
@@ -0,0 +1,59 @@
+import React, { useEffect, useRef } from "react";
+
+const SEMI_COLOR = [245, 158, 11, 150]; // amber: partially transparent pixels
+const THIN_COLOR = "rgba(220, 38, 38, 0.85)"; // red: strokes below the printable width
+
+/**
+ * PrintRiskOverlay - Highlights print-risk regions over the preview image.
+ * Drawn in the analysis grid and scaled with object-fit "contain", matching the
+ * preview's backgroundSize "contain" so the marks line up with the image.
+ *
+ * Props:
+ * - analysis: Result of analyzePrintRisk
+ * - risk: Result of evaluatePrintRisk for the current size
+ */
+const PrintRiskOverlay = ({ analysis, risk }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !analysis || !risk) return;
+    const { width, height, semiMask, strokes } = analysis;
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+
+    const overlay = ctx.createImageData(width, height);
+    if (risk.semiTransparentRisk) {
+      for (let p = 0; p < semiMask.length; p++) {
+        if (!semiMask[p]) continue;
+        overlay.data.set(SEMI_COLOR, p * 4);
+      }
+    }
+    ctx.putImageData(overlay, 0, 0);
+
+    if (risk.thinLineRisk) {
+      // Marks are at least ~1.5% of the image so hairlines stay visible when scaled down
+      const minMark = Math.max(2, Math.round(Math.max(width, height) * 0.015));
+      ctx.fillStyle = THIN_COLOR;
+      risk.thinPoints.forEach((i) => {
+        const p = strokes.points[i];
+        const size = Math.max(minMark, strokes.widths[i] + 2);
+        ctx.fillRect((p % width) - size / 2, Math.floor(p / width) - size / 2, size, size);
+      });
+    }
+  }, [analysis, risk]);
+
+  if (!analysis || !risk || (!risk.semiTransparentRisk && !risk.thinLineRisk)) return null;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0 w-full h-full pointer-events-none"
+      style={{ objectFit: "contain" }}
+      aria-hidden
+    />
+  );
+};
+
+export default PrintRiskOverlay;
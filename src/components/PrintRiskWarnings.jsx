@@ -0,0 +1,59 @@
+import React from "react";
+
+const WARNING_STYLE = { color: "#b45309", backgroundColor: "#fffbeb", borderColor: "#fde68a" };
+const SEMI_SWATCH = "rgba(245, 158, 11, 0.6)";
+const THIN_SWATCH = "rgba(220, 38, 38, 0.85)";
+
+/** Inches with a millimetre hint, e.g. 0.012" (0.3 mm) */
+function formatStroke(inches) {
+  return `${inches.toFixed(3)}" (${(inches * 25.4).toFixed(1)} mm)`;
+}
+
+/**
+ * PrintRiskWarnings - DTF print-risk notes for the current image at the chosen size:
+ * semi-transparent areas and lines thinner than the printable minimum.
+ *
+ * Props:
+ * - risk: Result of evaluatePrintRisk (null hides the warnings)
+ * - minLineInches: Printable minimum stroke width, for the message
+ * - highlight: Whether problem areas are highlighted in the preview
+ * - onToggleHighlight: Called with the new highlight state
+ */
+const PrintRiskWarnings = ({ risk, minLineInches, highlight = true, onToggleHighlight }) => {
+  if (!risk || (!risk.semiTransparentRisk && !risk.thinLineRisk)) return null;
+
+  return (
+    <div className="print-risk-warnings rounded-lg border px-3 py-2 text-xs space-y-1" style={WARNING_STYLE}>
+      <p className="font-semibold">Print check</p>
+      {risk.semiTransparentRisk && (
+        <p className="flex items-start gap-2">
+          <span className="inline-block rounded-sm mt-0.5 flex-shrink-0" style={{ width: 10, height: 10, backgroundColor: SEMI_SWATCH }} aria-hidden />
+          <span>
+            {Math.round(risk.semiTransparentPercent)}% of your design is semi-transparent. Faded or soft areas
+            print speckled on DTF; use solid colors where possible.
+          </span>
+        </p>
+      )}
+      {risk.thinLineRisk && (
+        <p className="flex items-start gap-2">
+          <span className="inline-block rounded-sm mt-0.5 flex-shrink-0" style={{ width: 10, height: 10, backgroundColor: THIN_SWATCH }} aria-hidden />
+          <span>
+            Some lines or text are thinner than the {formatStroke(minLineInches)} minimum at this size
+            {risk.minStrokeInches != null && risk.minStrokeInches < minLineInches
+              ? ` (thinnest about ${formatStroke(risk.minStrokeInches)})`
+              : ""}
+            . They may break up or peel; try a larger size or bolder lines.
+          </span>
+        </p>
+      )}
+      {onToggleHighlight && (
+        <label className="flex items-center gap-2 pt-1 cursor-pointer" style={{ color: "#374151" }}>
+          <input type="checkbox" checked={highlight} onChange={(e) => onToggleHighlight(e.target.checked)} />
+          <span>Highlight problem areas in the preview</span>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default PrintRiskWarnings;
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useRef, useEffect } from "react";
+import React, { useState, useCallback, useRef, useEffect, useMemo } from "react";
 import UploadPanel from "./UploadPanel";
 import DesignViewer from "./DesignViewer";
 import DesignPlacementSlider from "./DesignPlacementSlider";
@@ -6,59 +6,102 @@ import SizeControls from "./SizeControls";
 import PreCutCheckbox from "./PreCutCheckbox";
 import PricePreview from "./PricePreview";
 import AddToCartButton from "./AddToCartButton";
-
-// API endpoints
-const API_BASE = "https://highquality.allgovjobs.com/backend";
-const REMOVE_BG_ENDPOINT = `${API_BASE}/api/images/remove-bg`;
-const ENHANCE_ENDPOINT = `${API_BASE}/api/images/enhance`;
-
-/** Build a full server URL from a path (avoids double slashes). */
-function buildServerUrl(path) {
-  if (!path) return null;
-  const base = API_BASE.replace(/\/$/, "");
-  const p = path.startsWith("/") ? path.slice(1) : path;
-  return `${base}/${p}`;
-}
+import DesignEditor from "./DesignEditor";
+import PrintLocations from "./PrintLocations";
+import GangSheetBuilder from "./GangSheetBuilder";
+import CustomSize from "./CustomSize";
+import { DEFAULT_UPLOAD_LIMITS, normalizeUploadLimits } from "../utils/uploadValidation";
+import {
+  DEFAULT_PRINT_RESOLUTION,
+  getEffectiveDpi,
+  getMaxPrintSize,
+  getQualityRating,
+  normalizePrintResolution,
+} from "../utils/printResolution";
+import { DEFAULT_AUTO_TRIM, cropToTrimBox, measureTrimBounds, normalizeAutoTrim } from "../utils/imageTrim";
+import { DEFAULT_EDGE_FIX, normalizeEdgeFix } from "../utils/edgeHardening";
+import { DEFAULT_GARMENT_CATALOG, normalizeGarmentCatalog } from "../utils/garmentCatalog";
+import { DEFAULT_GANG_SHEET, normalizeGangSheet } from "../utils/gangSheet";
+import { DEFAULT_PRICING_RULES, normalizePricingRules } from "../utils/pricing";
+import {
+  DEFAULT_CUT_LINE,
+  cutLineToSvg,
+  loadCutMask,
+  normalizeCutLine,
+  traceCutLine,
+} from "../utils/cutLine";
+import {
+  DEFAULT_PRINT_RISK,
+  analyzePrintRisk,
+  evaluatePrintRisk,
+  normalizePrintRisk,
+} from "../utils/printRisk";
+import { resolveProcessingAdapter } from "../utils/processingAdapter";
+import { DEFAULT_DESIGN_TRANSFORM } from "../utils/designPlacement";
+import {
+  DEFAULT_PLACEMENT_PRESETS,
+  getPlacementSize,
+  normalizePlacementPresets,
+} from "../utils/placementPresets";
+import { PIPELINE_STATUS, VERSION_LABELS } from "../utils/imagePipeline";
+import { getVectorRasterSize } from "../utils/vectorArtwork";
+import useImagePipeline from "../hooks/useImagePipeline";
 
 // Dimension limits (inches): auto-filled from image, clamped to this range
 const DIMENSION_MIN = 0.5;
 const DIMENSION_MAX = 22.5;
-const DPI = 300; // pixels per inch for converting image dimensions to inches
+const DPI = 300; // fallback pixels per inch when the file carries no embedded resolution
+const VECTOR_RASTER_DELAY_MS = 600; // size must settle this long before vectors render again
+const VECTOR_RASTER_TOLERANCE = 0.1; // re-render when the raster is off by more than 10%
 
 /**
- * Load image from URL, get natural dimensions, convert to inches and clamp to [DIMENSION_MIN, DIMENSION_MAX].
+ * Load image from URL and resolve its natural pixel size.
  * @param {string} url - Blob or image URL
- * @returns {Promise<{ widthInches: number, heightInches: number }>}
+ * @returns {Promise<{ width: number, height: number }>}
  */
-function getImageDimensionsInInches(url) {
+function getImagePixelSize(url) {
   return new Promise((resolve, reject) => {
     const img = new Image();
-    img.onload = () => {
-      const wInches = img.naturalWidth / DPI;
-      const hInches = img.naturalHeight / DPI;
-      const widthInches = Math.min(DIMENSION_MAX, Math.max(DIMENSION_MIN, +(wInches).toFixed(2)));
-      const heightInches = Math.min(DIMENSION_MAX, Math.max(DIMENSION_MIN, +(hInches).toFixed(2)));
-      resolve({ widthInches, heightInches });
-    };
+    img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
     img.onerror = () => reject(new Error("Failed to load image for dimensions"));
     img.src = url;
   });
 }
 
+/**
+ * Convert a pixel size to inches and clamp to [DIMENSION_MIN, DIMENSION_MAX].
+ * @param {{ width: number, height: number }} size - Pixel size of the design
+ * @param {{ dpiX: number|null, dpiY: number|null }|null} [resolution] - Embedded file DPI; falls back to DPI
+ * @returns {{ widthInches: number, heightInches: number }}
+ */
+function pixelSizeToInches({ width, height }, resolution = null) {
+  const wInches = width / (resolution?.dpiX || DPI);
+  const hInches = height / (resolution?.dpiY || DPI);
+  const widthInches = Math.min(DIMENSION_MAX, Math.max(DIMENSION_MIN, +(wInches).toFixed(2)));
+  const heightInches = Math.min(DIMENSION_MAX, Math.max(DIMENSION_MIN, +(hInches).toFixed(2)));
+  return { widthInches, heightInches };
+}
+
 /**
  * ProductCustomizer - Root component for the Shopify product customization experience
  * 
  * This component manages all state and renders child components:
  * - UploadPanel: File upload interface with Remove BG / Enhance buttons
+ * - DesignEditor: Large garment canvas to move, rotate and resize the design
+ * - PrintLocations: One design slot per placement (multi-location orders)
  * - DesignViewer: Fabric.js canvas preview on products
  * - SizeControls: Width/height/pre-cut inputs
+ * - CustomSize: Extra sizes of the same design, each with its own quantity
  * - PricePreview: Live price calculation
  * - AddToCartButton: Add to Shopify cart with line item properties
+ * - GangSheetBuilder: Gang-sheet mode (many designs nested on one roll sheet), when enabled
  * 
  * Props:
  * - variantId: The Shopify product variant ID for cart operations
  * - assetUrls: Object containing Shopify CDN URLs for product images
+ * - garmentCatalog: Preview garments from the Liquid block (optional, settings take precedence)
  * - settingsUrl: URL to fetch product customizer feature flags (optional)
+ * - processingEndpoint: Image-processing backend root, or "mock" (optional, overrides settings)
  */
 const DEFAULT_SETTINGS = {
   enableSize: true,
@@ -66,52 +109,604 @@ const DEFAULT_SETTINGS = {
   enableQuantity: true,
   enablePlacement: true,
   predefinedSizes: [],
+  enableCrop: true,
+  uploadLimits: DEFAULT_UPLOAD_LIMITS,
+  printResolution: DEFAULT_PRINT_RESOLUTION,
+  autoTrim: DEFAULT_AUTO_TRIM,
+  printRisk: DEFAULT_PRINT_RISK,
+  edgeFix: DEFAULT_EDGE_FIX,
+  cutLine: DEFAULT_CUT_LINE,
+  garments: null,
+  placements: DEFAULT_PLACEMENT_PRESETS,
+  gangSheet: DEFAULT_GANG_SHEET,
+  pricing: DEFAULT_PRICING_RULES,
+  processingEndpoint: null,
+  processingProgress: false, // the backend reports Remove BG / Enhance progress (see processingAdapter)
+  processingFileUpload: false, // the backend stores plain files at /api/files (see processingAdapter)
 };
 
-const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, variantPrice = null }) => {
+const ProductCustomizer = ({
+  variantId,
+  assetUrls = {},
+  garmentCatalog = null,
+  settingsUrl = null,
+  variantPrice = null,
+  processingEndpoint = null,
+}) => {
   // Core customization state
-  const [imageUrl, setImageUrl] = useState(null);
   const [width, setWidth] = useState(10);
   const [height, setHeight] = useState(10);
   const [preCut, setPreCut] = useState(false);
   const [quantity, setQuantity] = useState(1);
   
-  // Image processing state
-  const [currentImageBlob, setCurrentImageBlob] = useState(null);
-  const [originalImageBlob, setOriginalImageBlob] = useState(null); // Store original image blob
-  const [processedImageBlob, setProcessedImageBlob] = useState(null); // Store processed (bg removed) image
-  const [originalImageUrl, setOriginalImageUrl] = useState(null); // Display URL for original (blob URL for preview)
-  const [processedImageUrl, setProcessedImageUrl] = useState(null); // Display URL for processed (blob URL for preview)
-  const [originalServerUrl, setOriginalServerUrl] = useState(null); // Server URL for original image
-  const [processedServerUrl, setProcessedServerUrl] = useState(null); // Server URL for processed image
-  const [finalImageUrl, setFinalImageUrl] = useState(null); // Server URL for cart (switches based on toggle)
-  const [loadingRemoveBg, setLoadingRemoveBg] = useState(false);
-  const [loadingEnhance, setLoadingEnhance] = useState(false);
-  const [removeBgEnabled, setRemoveBgEnabled] = useState(true); // Toggle for auto remove BG
-  
+  // Pixel size of the image currently shown (drives effective DPI)
+  const [imagePixelSize, setImagePixelSize] = useState(null);
+
+  // Transparent-padding trim of the current design (measured on every dimension refresh)
+  const [trimResult, setTrimResult] = useState(null);
+  const [autoTrimOptOut, setAutoTrimOptOut] = useState(false); // customer turned trimming off
+
+  // Semi-transparency / stroke-width analysis of the current image (rated per size below)
+  const [printRiskAnalysis, setPrintRiskAnalysis] = useState(null);
+
+  // Design mask for the pre-cut contour (read while pre-cut is on)
+  const [cutMask, setCutMask] = useState(null);
+
   // UI state
   const [tintColor, setTintColor] = useState("#6b7280");
 
+  // Position and rotation of the design in the print area (DesignEditor)
+  const [designTransform, setDesignTransform] = useState(DEFAULT_DESIGN_TRANSFORM);
+
+  // Print locations: one design slot per placement (front logo, back print, ...). The active
+  // slot is edited through the state above; the others are parked as snapshots.
+  const [slots, setSlots] = useState([{ id: 1, placementId: null }]); // null: the first preset
+  const [activeSlotId, setActiveSlotId] = useState(1);
+  const [parkedSlots, setParkedSlots] = useState({}); // slot id -> snapshot (see switchToSlot)
+
+  // Extra sizes of the current design: [{ id, width, quantity }], height follows the aspect ratio
+  const [extraSizes, setExtraSizes] = useState([]);
+
+  // Garment picked in DesignViewer (null: the first garment)
+  const [garmentId, setGarmentId] = useState(null);
+
+  // "single": one design per print location; "gangSheet": many designs nested on a roll sheet
+  const [orderMode, setOrderMode] = useState("single");
+
   // Feature flags from Admin (default all true if API fails)
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
 
   // Refs
-  const currentBlobUrlRef = useRef(null);
-  const abortControllerRef = useRef(null);
-  const originalBlobUrlRef = useRef(null);
-  const processedBlobUrlRef = useRef(null);
+  const dimensionsRequestRef = useRef(0);
+  const designResolutionRef = useRef(null); // embedded DPI of the uploaded file (survives remove-bg/crop)
+  const basePixelSizeRef = useRef(null); // Promise of the original's pixel size (versions may be upscaled)
+  const cutLineUploadRef = useRef(null); // { cutLine, promise } of the last cut-line upload
+  const trimmedUploadRef = useRef(null); // { imageUrl, trimBox, promise } of the last trimmed-image upload
+  const nextSlotIdRef = useRef(2);
+  const nextSizeIdRef = useRef(1);
+
+  // Backend for Remove BG / Enhance / storing originals (container attribute wins over settings)
+  const processing = useMemo(
+    () =>
+      resolveProcessingAdapter({
+        endpoint: processingEndpoint,
+        settingsEndpoint: settings.processingEndpoint,
+        serverProgress: settings.processingProgress,
+        fileUpload: settings.processingFileUpload,
+      }),
+    [
+      processingEndpoint,
+      settings.processingEndpoint,
+      settings.processingProgress,
+      settings.processingFileUpload,
+    ]
+  );
+
+  // Uploaded design: versions, server URLs, loading state and cancellation.
+  // cartImageUrl is the server URL of the shown version (original or processed), so toggling
+  // Remove BG off still passes the correct server URL for the original.
+  // Enhance does not update dimensions: it upscales resolution only; physical size (inches) stays the same.
+  const {
+    state: pipelineState,
+    current: currentVersion,
+    cartImageUrl,
+    comparison: versionComparison,
+    canUndo,
+    canRedo,
+    upload: uploadDesign,
+    removeBackground,
+    enhance: handleEnhance,
+    toggleRemoveBg,
+    applyEdit,
+    retry: retryProcessing,
+    dismissError: dismissProcessingError,
+    rasterizeVectorAt,
+    undo,
+    redo,
+    cancel: handleCancelProcessing,
+    clear: clearDesign,
+    switchSlot,
+    discardSlot,
+  } = useImagePipeline(processing);
+  const {
+    status,
+    progress: processingProgress,
+    error: processingError,
+    vector: vectorSource,
+    removeBgEnabled,
+    versions,
+  } = pipelineState;
+  const imageUrl = currentVersion?.url || null;
+  const loadingRemoveBg = status === PIPELINE_STATUS.REMOVING_BG;
+  const loadingEnhance = status === PIPELINE_STATUS.ENHANCING;
+  const storingOriginal = status === PIPELINE_STATUS.STORING;
+  const isProcessing = status !== PIPELINE_STATUS.IDLE;
+  const history = currentVersion
+    ? { index: pipelineState.index, count: versions.length, label: VERSION_LABELS[currentVersion.kind] }
+    : null;
+  const comparison = versionComparison
+    ? {
+        beforeUrl: versionComparison.before.url,
+        afterUrl: versionComparison.after.url,
+        beforeLabel: VERSION_LABELS[versionComparison.before.kind],
+        afterLabel: VERSION_LABELS[versionComparison.after.kind],
+      }
+    : null;
+
+  // Add to Cart waits for the shown version's server copy (see useImagePipeline)
+  const cartBlockedReason =
+    imageUrl && !cartImageUrl
+      ? isProcessing
+        ? "Your design is still being saved. It can be added to the cart in a moment."
+        : "Your design hasn't been saved yet, so it can't be added to the cart."
+      : null;
 
-  // Update Set Design Size width/height from current preview image dimensions
-  const updateDimensionsFromImageUrl = useCallback((url) => {
+  const autoTrimActive = settings.autoTrim.enabled && !autoTrimOptOut;
+
+  // Update Set Design Size width/height from current preview image dimensions.
+  // With auto-trim active, transparent margins are excluded from the measured size.
+  const updateDimensionsFromImageUrl = useCallback((url, useTrim = autoTrimActive) => {
     if (!url) return;
-    getImageDimensionsInInches(url)
-      .then(({ widthInches, heightInches }) => {
+    const requestId = ++dimensionsRequestRef.current;
+    Promise.all([
+      getImagePixelSize(url),
+      measureTrimBounds(url, settings.autoTrim).catch((err) => {
+        console.warn("Could not measure transparent padding:", err);
+        return null;
+      }),
+    ])
+      .then(async ([size, trim]) => {
+        const base = await basePixelSizeRef.current;
+        if (requestId !== dimensionsRequestRef.current) return; // a newer image took over
+        setTrimResult(trim);
+        const content = useTrim && trim ? { width: trim.pixelWidth, height: trim.pixelHeight } : size;
+        // Measure in the original's pixel grid, so an enhanced (upscaled) version keeps the same inches
+        const scaleX = base ? size.width / base.width : 1;
+        const scaleY = base ? size.height / base.height : 1;
+        const { widthInches, heightInches } = pixelSizeToInches(
+          { width: content.width / scaleX, height: content.height / scaleY },
+          designResolutionRef.current
+        );
         setWidth(widthInches);
         setHeight(heightInches);
       })
       .catch((err) => console.warn("Could not read image dimensions:", err));
+  }, [autoTrimActive, settings.autoTrim]);
+
+  // Track pixel size of the current image (changes on upload, remove-bg, enhance, toggle)
+  useEffect(() => {
+    if (!imageUrl) {
+      setImagePixelSize(null);
+      return;
+    }
+    let cancelled = false;
+    getImagePixelSize(imageUrl)
+      .then((size) => {
+        if (!cancelled) setImagePixelSize(size);
+      })
+      .catch((err) => console.warn("Could not read image pixel size:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl]);
+
+  // Pixel size of the printed content: the trimmed box when auto-trim is active.
+  // The box is stored as fractions, so it still applies after Enhance upscales the image.
+  const contentPixelSize = useMemo(() => {
+    if (!imagePixelSize) return null;
+    if (!autoTrimActive || !trimResult) return imagePixelSize;
+    return {
+      width: imagePixelSize.width * trimResult.box.width,
+      height: imagePixelSize.height * trimResult.box.height,
+    };
+  }, [imagePixelSize, autoTrimActive, trimResult]);
+
+  // Effective DPI of the current image at the chosen size
+  // (vectors print from the original file, so resolution does not apply)
+  const printQuality = useMemo(() => {
+    if (vectorSource) return null;
+    const dpi = getEffectiveDpi(contentPixelSize, width, height);
+    if (dpi == null) return null;
+    return { dpi, rating: getQualityRating(dpi, settings.printResolution) };
+  }, [vectorSource, contentPixelSize, width, height, settings.printResolution]);
+
+  // DTF print risks: analyse each new image once, then rate it at the chosen size
+  useEffect(() => {
+    setPrintRiskAnalysis(null);
+    if (!imageUrl || !settings.printRisk.enabled) return;
+    let cancelled = false;
+    analyzePrintRisk(imageUrl)
+      .then((analysis) => {
+        if (!cancelled) setPrintRiskAnalysis(analysis);
+      })
+      .catch((err) => console.warn("Could not analyse print risks:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl, settings.printRisk.enabled]);
+
+  // Rated at the effective DPI of the chosen size (vectors too: thin lines stay thin)
+  const printRisk = useMemo(() => {
+    const risk = evaluatePrintRisk(
+      printRiskAnalysis,
+      getEffectiveDpi(contentPixelSize, width, height),
+      settings.printRisk
+    );
+    if (!risk) return null;
+    return { analysis: printRiskAnalysis, risk, minLineInches: settings.printRisk.minLineInches };
+  }, [printRiskAnalysis, contentPixelSize, width, height, settings.printRisk]);
+
+  // Pre-cut contour: read the mask once per image, trace it for the chosen size
+  useEffect(() => {
+    setCutMask(null);
+    if (!imageUrl || !preCut) return;
+    let cancelled = false;
+    loadCutMask(imageUrl)
+      .then((mask) => {
+        if (!cancelled) setCutMask(mask);
+      })
+      .catch((err) => console.warn("Could not read design outline:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl, preCut]);
+
+  // The printed content (trimmed box when auto-trim is active) spans `width` inches
+  const cutLine = useMemo(() => {
+    if (!cutMask) return null;
+    const contentWidth = cutMask.width * (autoTrimActive && trimResult ? trimResult.box.width : 1);
+    return traceCutLine(cutMask, settings.cutLine, contentWidth / width);
+  }, [cutMask, autoTrimActive, trimResult, width, settings.cutLine]);
+
+  // Upload the SVG contour at checkout; reused while the cut line is unchanged
+  const resolveCutLineUrl = useCallback(() => {
+    if (!cutLine) return Promise.resolve(null);
+    if (cutLineUploadRef.current?.cutLine !== cutLine) {
+      const svg = new Blob([cutLineToSvg(cutLine)], { type: "image/svg+xml" });
+      const promise = processing.storeCutLine(svg).catch((err) => {
+        cutLineUploadRef.current = null;
+        throw err;
+      });
+      cutLineUploadRef.current = { cutLine, promise };
+    }
+    return cutLineUploadRef.current.promise;
+  }, [cutLine, processing]);
+
+  // Contour of an extra size: traced for that width and uploaded at checkout
+  const resolveSizeCutLineUrl = useCallback((sizeWidth) => {
+    if (!cutMask) return Promise.resolve(null);
+    const contentWidth = cutMask.width * (autoTrimActive && trimResult ? trimResult.box.width : 1);
+    const sizeCutLine = traceCutLine(cutMask, settings.cutLine, contentWidth / sizeWidth);
+    if (!sizeCutLine) return Promise.resolve(null);
+    return processing.storeCutLine(new Blob([cutLineToSvg(sizeCutLine)], { type: "image/svg+xml" }));
+  }, [cutMask, autoTrimActive, trimResult, settings.cutLine, processing]);
+
+  // Optional merchant cap: largest size the image resolution supports
+  const maxPrintSize = useMemo(
+    () => (vectorSource ? null : getMaxPrintSize(contentPixelSize, settings.printResolution)),
+    [vectorSource, contentPixelSize, settings.printResolution]
+  );
+
+  // Shrink the design proportionally when it exceeds the resolution cap
+  useEffect(() => {
+    if (!maxPrintSize) return;
+    const factor = Math.min(1, maxPrintSize.maxWidth / width, maxPrintSize.maxHeight / height);
+    if (factor >= 1) return;
+    setWidth(Math.max(DIMENSION_MIN, +(width * factor).toFixed(2)));
+    setHeight(Math.max(DIMENSION_MIN, +(height * factor).toFixed(2)));
+  }, [maxPrintSize, width, height]);
+
+  // Same for the extra sizes (their height follows the design's aspect ratio)
+  useEffect(() => {
+    if (!maxPrintSize || !(width > 0)) return;
+    const widthLimit = Math.min(maxPrintSize.maxWidth, (maxPrintSize.maxHeight * width) / height);
+    // Round down so the capped width stays within the limit
+    const maxSizeWidth = Math.max(DIMENSION_MIN, Math.floor(widthLimit * 100) / 100);
+    if (!extraSizes.some((size) => size.width > maxSizeWidth)) return;
+    setExtraSizes((prev) =>
+      prev.map((size) => (size.width > maxSizeWidth ? { ...size, width: maxSizeWidth } : size))
+    );
+  }, [maxPrintSize, width, height, extraSizes]);
+
+  // Resizing from the editor or a placement preset: keep the aspect ratio within the size
+  // limits and resolution cap
+  const resizeProportionally = useCallback(({ width: w, height: h }) => {
+    if (!(w > 0) || !(h > 0)) return;
+    const maxW = Math.min(DIMENSION_MAX, maxPrintSize?.maxWidth ?? DIMENSION_MAX);
+    const maxH = Math.min(DIMENSION_MAX, maxPrintSize?.maxHeight ?? DIMENSION_MAX);
+    const factor = Math.max(Math.min(1, maxW / w, maxH / h), DIMENSION_MIN / Math.min(w, h));
+    setWidth(+(w * factor).toFixed(2));
+    setHeight(+(h * factor).toFixed(2));
+  }, [maxPrintSize]);
+
+  const garments = settings.garments || garmentCatalog || DEFAULT_GARMENT_CATALOG;
+  const selectedGarment = useMemo(
+    () => garments.find((g) => g.id === garmentId) || garments[0] || null,
+    [garments, garmentId]
+  );
+
+  const getSlotPlacement = useCallback(
+    (slot) => settings.placements.find((p) => p.id === slot.placementId) || settings.placements[0] || null,
+    [settings.placements]
+  );
+
+  const selectedPlacement = useMemo(
+    () => getSlotPlacement(slots.find((slot) => slot.id === activeSlotId)),
+    [getSlotPlacement, slots, activeSlotId]
+  );
+
+  const trimBox = autoTrimActive && trimResult ? trimResult.box : null;
+
+  // Auto-trim: upload the trimmed image at checkout, so CustomImage is exactly the content
+  // the size describes; reused while the image and trim are unchanged
+  const resolveImageUrl = useCallback(() => {
+    if (!imageUrl || !trimBox) return Promise.resolve(null);
+    const cached = trimmedUploadRef.current;
+    if (cached?.imageUrl !== imageUrl || cached.trimBox !== trimBox) {
+      const promise = cropToTrimBox(imageUrl, trimBox)
+        .then((blob) => processing.storeOriginal(blob))
+        .catch((err) => {
+          trimmedUploadRef.current = null;
+          throw err;
+        });
+      trimmedUploadRef.current = { imageUrl, trimBox, promise };
+    }
+    return trimmedUploadRef.current.promise;
+  }, [imageUrl, trimBox, processing]);
+
+  // Edit another print location: the current design is parked with everything needed to
+  // preview and order it, and the target's design (or an empty slot) takes its place
+  const switchToSlot = useCallback((id) => {
+    if (id === activeSlotId || isProcessing) return;
+    const target = parkedSlots[id] || null;
+    const snapshot = {
+      imageUrl,
+      cartImageUrl,
+      vector: vectorSource,
+      width,
+      height,
+      preCut,
+      trimResult,
+      autoTrimOptOut,
+      trimBox,
+      resolveImageUrl,
+      designTransform,
+      designResolution: designResolutionRef.current,
+      basePixelSize: basePixelSizeRef.current,
+      cutLine,
+      resolveCutLineUrl,
+      extraSizes,
+      resolveSizeCutLineUrl,
+    };
+    setParkedSlots((prev) => {
+      const next = { ...prev, [activeSlotId]: snapshot };
+      delete next[id];
+      return next;
+    });
+    switchSlot(activeSlotId, id);
+
+    dimensionsRequestRef.current += 1;
+    designResolutionRef.current = target?.designResolution ?? null;
+    basePixelSizeRef.current = target?.basePixelSize ?? null;
+    setWidth(target?.width ?? 10);
+    setHeight(target?.height ?? 10);
+    setPreCut(target?.preCut ?? false);
+    setTrimResult(target?.trimResult ?? null);
+    setAutoTrimOptOut(target?.autoTrimOptOut ?? false);
+    setDesignTransform(target?.designTransform ?? DEFAULT_DESIGN_TRANSFORM);
+    setExtraSizes(target?.extraSizes ?? []);
+    setActiveSlotId(id);
+  }, [
+    activeSlotId,
+    isProcessing,
+    parkedSlots,
+    imageUrl,
+    cartImageUrl,
+    vectorSource,
+    width,
+    height,
+    preCut,
+    trimResult,
+    autoTrimOptOut,
+    trimBox,
+    resolveImageUrl,
+    designTransform,
+    cutLine,
+    resolveCutLineUrl,
+    extraSizes,
+    resolveSizeCutLineUrl,
+    switchSlot,
+  ]);
+
+  // Placements not taken by a print location yet
+  const freePlacements = useMemo(() => {
+    const used = slots.map((slot) => getSlotPlacement(slot)?.id);
+    return settings.placements.filter((p) => !used.includes(p.id));
+  }, [slots, getSlotPlacement, settings.placements]);
+
+  const handleAddSlot = useCallback(() => {
+    const placement = freePlacements[0];
+    if (!placement || isProcessing) return;
+    const id = nextSlotIdRef.current++;
+    setSlots((prev) => [...prev, { id, placementId: placement.id }]);
+    switchToSlot(id);
+  }, [freePlacements, isProcessing, switchToSlot]);
+
+  const handleRemoveSlot = useCallback((id) => {
+    if (slots.length < 2 || isProcessing) return;
+    if (id === activeSlotId) switchToSlot(slots.find((slot) => slot.id !== id).id);
+    discardSlot(id);
+    setParkedSlots((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    setSlots((prev) => prev.filter((slot) => slot.id !== id));
+  }, [slots, activeSlotId, isProcessing, switchToSlot, discardSlot]);
+
+  // Choosing a placement moves the current design there and applies its recommended size
+  // (unless sizes come from a fixed list); a placement another location holds opens that location
+  const handlePlacementChange = useCallback((placement) => {
+    const owner = slots.find((slot) => slot.id !== activeSlotId && getSlotPlacement(slot)?.id === placement.id);
+    if (owner) {
+      switchToSlot(owner.id);
+      return;
+    }
+    setSlots((prev) => prev.map((slot) => (slot.id === activeSlotId ? { ...slot, placementId: placement.id } : slot)));
+    if (settings.enableSize && !settings.predefinedSizes?.length) {
+      resizeProportionally(getPlacementSize(width, height, placement));
+    }
+  }, [
+    slots,
+    activeSlotId,
+    getSlotPlacement,
+    switchToSlot,
+    settings.enableSize,
+    settings.predefinedSizes,
+    width,
+    height,
+    resizeProportionally,
+  ]);
+
+  // Parked print locations that have a design: drawn on the placement previews and added
+  // to the cart as lines of their own
+  const otherLocations = useMemo(
+    () =>
+      slots
+        .filter((slot) => slot.id !== activeSlotId && parkedSlots[slot.id]?.imageUrl)
+        .map((slot) => {
+          const parked = parkedSlots[slot.id];
+          return {
+            id: slot.id,
+            placement: getSlotPlacement(slot),
+            imageUrl: parked.imageUrl,
+            cartImageUrl: parked.cartImageUrl,
+            width: parked.width,
+            height: parked.height,
+            preCut: parked.preCut,
+            trimBox: parked.trimBox,
+            resolveImageUrl: parked.resolveImageUrl,
+            vectorFormat: parked.vector ? parked.vector.mimeType : null,
+            vectorFileUrl: parked.vector?.serverUrl || null,
+            resolveCutLineUrl: parked.preCut ? parked.resolveCutLineUrl : null,
+            extraSizes: parked.extraSizes,
+            resolveSizeCutLineUrl: parked.resolveSizeCutLineUrl,
+          };
+        }),
+    [slots, activeSlotId, parkedSlots, getSlotPlacement]
+  );
+
+  // Extra sizes as cart lines: each repeats its design's line at another size and quantity
+  const sizeLines = useMemo(() => {
+    const toLines = (design, sizes, resolveSizeCutLine) =>
+      sizes.map((size) => ({
+        ...design,
+        width: size.width,
+        height: +(size.width * (design.height / design.width)).toFixed(2),
+        quantity: size.quantity,
+        label: `${design.placement?.label || "Design"} (extra size)`,
+        resolveCutLineUrl: design.preCut ? () => resolveSizeCutLine(size.width) : null,
+      }));
+    const active = imageUrl
+      ? toLines(
+          {
+            imageUrl: cartImageUrl,
+            width,
+            height,
+            preCut,
+            trimBox,
+            resolveImageUrl,
+            vectorFormat: vectorSource ? vectorSource.mimeType : null,
+            vectorFileUrl: vectorSource?.serverUrl || null,
+            placement: settings.enablePlacement ? selectedPlacement : null,
+          },
+          extraSizes,
+          resolveSizeCutLineUrl
+        )
+      : [];
+    const parked = otherLocations.flatMap((location) =>
+      toLines(
+        { ...location, imageUrl: location.cartImageUrl },
+        location.extraSizes || [],
+        location.resolveSizeCutLineUrl
+      )
+    );
+    return [...active, ...parked];
+  }, [
+    imageUrl,
+    cartImageUrl,
+    width,
+    height,
+    preCut,
+    trimBox,
+    resolveImageUrl,
+    vectorSource,
+    settings.enablePlacement,
+    selectedPlacement,
+    extraSizes,
+    resolveSizeCutLineUrl,
+    otherLocations,
+  ]);
+
+  const handleAddSize = useCallback((sizeWidth) => {
+    const id = nextSizeIdRef.current++;
+    setExtraSizes((prev) => [...prev, { id, width: sizeWidth, quantity: 1 }]);
   }, []);
 
+  // Vector artwork: once the chosen size settles, render the raster again at print resolution
+  // for it (the size covers the trimmed content, the raster the whole artwork)
+  useEffect(() => {
+    if (!vectorSource || status !== PIPELINE_STATUS.IDLE || !imagePixelSize || !(width > 0)) return;
+    const printWidth = width / (autoTrimActive && trimResult ? trimResult.box.width : 1);
+    const needed = getVectorRasterSize(printWidth, (printWidth * imagePixelSize.height) / imagePixelSize.width);
+    if (Math.abs(needed.width - imagePixelSize.width) <= imagePixelSize.width * VECTOR_RASTER_TOLERANCE) return;
+    const timer = setTimeout(() => rasterizeVectorAt(printWidth), VECTOR_RASTER_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [vectorSource, status, imagePixelSize, width, autoTrimActive, trimResult, rasterizeVectorAt]);
+
+  const handleSizeChange = useCallback((id, partial) => {
+    setExtraSizes((prev) => prev.map((size) => (size.id === id ? { ...size, ...partial } : size)));
+  }, []);
+
+  const handleRemoveSize = useCallback((id) => {
+    setExtraSizes((prev) => prev.filter((size) => size.id !== id));
+  }, []);
+
+  const locationTabs = useMemo(
+    () =>
+      slots.map((slot) => {
+        const design = slot.id === activeSlotId ? { imageUrl, width, height } : parkedSlots[slot.id];
+        return {
+          id: slot.id,
+          label: getSlotPlacement(slot)?.label || "Design",
+          thumbnailUrl: design?.imageUrl || null,
+          width: design?.width,
+          height: design?.height,
+        };
+      }),
+    [slots, activeSlotId, parkedSlots, imageUrl, width, height, getSlotPlacement]
+  );
+
   // Fetch product customizer settings on load
   useEffect(() => {
     if (!settingsUrl) {
@@ -127,6 +722,23 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
           enableQuantity: data.enableQuantity === true,
           enablePlacement: data.enablePlacement === true,
           predefinedSizes: Array.isArray(data.predefinedSizes) ? data.predefinedSizes : [],
+          enableCrop: data.enableCrop === true,
+          uploadLimits: normalizeUploadLimits(data.uploadLimits),
+          printResolution: normalizePrintResolution(data.printResolution),
+          autoTrim: normalizeAutoTrim(data.autoTrim),
+          printRisk: normalizePrintRisk(data.printRisk),
+          edgeFix: normalizeEdgeFix(data.edgeFix),
+          cutLine: normalizeCutLine(data.cutLine),
+          garments: normalizeGarmentCatalog(data.garments),
+          placements: normalizePlacementPresets(data.placements),
+          gangSheet: normalizeGangSheet(data.gangSheet),
+          pricing: normalizePricingRules(data.pricing),
+          processingEndpoint:
+            typeof data.processingEndpoint === "string" && data.processingEndpoint.trim()
+              ? data.processingEndpoint.trim()
+              : null,
+          processingProgress: data.processingProgress === true,
+          processingFileUpload: data.processingFileUpload === true,
         });
       })
       .catch(() => {
@@ -134,253 +746,26 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
       });
   }, [settingsUrl]);
 
-  // Cleanup blob URLs on unmount
-  useEffect(() => {
-    return () => {
-      if (originalBlobUrlRef.current && originalBlobUrlRef.current.startsWith("blob:")) {
-        try {
-          URL.revokeObjectURL(originalBlobUrlRef.current);
-        } catch (err) {
-          console.error("Error revoking original blob URL on unmount:", err);
-        }
-      }
-      if (processedBlobUrlRef.current && processedBlobUrlRef.current.startsWith("blob:")) {
-        try {
-          URL.revokeObjectURL(processedBlobUrlRef.current);
-        } catch (err) {
-          console.error("Error revoking processed blob URL on unmount:", err);
-        }
-      }
-    };
-  }, []);
-
   // Handle image upload
-  const handleImageUpload = useCallback(async (url, file) => {
-    // Revoke previous blob URLs before creating new ones
-    if (originalBlobUrlRef.current && originalBlobUrlRef.current.startsWith("blob:") && originalBlobUrlRef.current !== url) {
-      try {
-        URL.revokeObjectURL(originalBlobUrlRef.current);
-      } catch (err) {
-        console.error("Error revoking original blob URL:", err);
-      }
-    }
-    if (processedBlobUrlRef.current && processedBlobUrlRef.current.startsWith("blob:")) {
-      try {
-        URL.revokeObjectURL(processedBlobUrlRef.current);
-      } catch (err) {
-        console.error("Error revoking processed blob URL:", err);
-      }
-    }
+  const handleImageUpload = useCallback(async (url, file, metadata = null) => {
+    // Auto-fill width/height from image dimensions (inches), clamped to [0.5, 22.5].
+    // Uses the file's embedded DPI when present (e.g. designed at 10" in Photoshop).
+    designResolutionRef.current = metadata?.dpiX ? { dpiX: metadata.dpiX, dpiY: metadata.dpiY } : null;
+    basePixelSizeRef.current = getImagePixelSize(url).catch(() => null);
+    setTrimResult(null);
+    setDesignTransform(DEFAULT_DESIGN_TRANSFORM);
+    updateDimensionsFromImageUrl(url);
 
-    // Store original image
-    setOriginalImageBlob(file);
-    setOriginalImageUrl(url);
-    originalBlobUrlRef.current = url;
-    
-    setProcessedImageBlob(null); // Reset processed image
-    setProcessedImageUrl(null);
-    setOriginalServerUrl(null); // Reset server URLs
-    setProcessedServerUrl(null);
-    processedBlobUrlRef.current = null;
-    setFinalImageUrl(null); // Reset final URL on new upload
-    
-    // Set current image to original initially
-    currentBlobUrlRef.current = url;
-    setImageUrl(url);
-    setCurrentImageBlob(file);
-
-    // Auto-fill width/height from image dimensions (inches), clamped to [0.5, 22.5]
-    getImageDimensionsInInches(url)
-      .then(({ widthInches, heightInches }) => {
-        setWidth(widthInches);
-        setHeight(heightInches);
-      })
-      .catch((err) => console.warn("Could not read image dimensions:", err));
-
-    // Auto-remove background on upload only if removeBgEnabled is true
-    if (file && removeBgEnabled) {
-      abortControllerRef.current?.abort();
-      abortControllerRef.current = new AbortController();
-      const signal = abortControllerRef.current.signal;
-      try {
-        setLoadingRemoveBg(true);
-        const form = new FormData();
-        form.append("image", file);
-
-        const res = await fetch(REMOVE_BG_ENDPOINT, {
-          method: "POST",
-          body: form,
-          signal,
-        });
-
-        // Get the server URLs from response headers
-        const processedLink = res.headers.get("X-Image-Link");
-        const originalLink = res.headers.get("X-Original-Image-Link");
-        
-        let processedUrl = null;
-        let originalUrl = null;
-        
-        if (processedLink) {
-          processedUrl = buildServerUrl(processedLink);
-          setProcessedServerUrl(processedUrl);
-          setFinalImageUrl(processedUrl); // Use processed URL for cart
-          console.log("Processed image URL:", processedUrl);
-        }
-        
-        if (originalLink) {
-          originalUrl = buildServerUrl(originalLink);
-          setOriginalServerUrl(originalUrl);
-          console.log("Original image URL:", originalUrl);
-        }
-
-        // Get processed image blob
-        const processedBlob = await res.blob();
-        setProcessedImageBlob(processedBlob);
-
-        // Create new display URL for processed image
-        const newDisplayUrl = URL.createObjectURL(processedBlob);
-        setProcessedImageUrl(newDisplayUrl);
-        processedBlobUrlRef.current = newDisplayUrl;
-        
-        // Update current display to processed image (no crop step)
-        currentBlobUrlRef.current = newDisplayUrl;
-        setImageUrl(newDisplayUrl);
-        setCurrentImageBlob(processedBlob);
-        updateDimensionsFromImageUrl(newDisplayUrl);
-      } catch (err) {
-        if (err?.name === "AbortError") return;
-        console.error("Auto remove-bg failed:", err);
-        // Keep original image if processing fails
-      } finally {
-        setLoadingRemoveBg(false);
-      }
-    }
-  }, [removeBgEnabled, updateDimensionsFromImageUrl]);
-
-  // Cancel ongoing processing (Remove BG or Enhance)
-  const handleCancelProcessing = useCallback(() => {
-    abortControllerRef.current?.abort();
-    setLoadingRemoveBg(false);
-    setLoadingEnhance(false);
-  }, []);
+    // Vector artwork skips background removal; the pipeline stores the raster and the original instead
+    const processedUrl = await uploadDesign(url, file, { vector: metadata?.vector || null });
+    if (processedUrl) updateDimensionsFromImageUrl(processedUrl);
+  }, [uploadDesign, updateDimensionsFromImageUrl]);
 
   // Handle Remove Background
   const handleRemoveBg = useCallback(async () => {
-    if (!currentImageBlob || loadingRemoveBg) return;
-
-    abortControllerRef.current?.abort();
-    abortControllerRef.current = new AbortController();
-    const signal = abortControllerRef.current.signal;
-    try {
-      setLoadingRemoveBg(true);
-      const form = new FormData();
-      form.append("image", currentImageBlob);
-
-      const res = await fetch(REMOVE_BG_ENDPOINT, {
-        method: "POST",
-        body: form,
-        signal,
-      });
-
-      // Get both processed and original server URLs (cart needs original when user toggles to original)
-      const serverLink = res.headers.get("X-Image-Link");
-      const originalLink = res.headers.get("X-Original-Image-Link");
-      if (serverLink) {
-        const fullServerUrl = buildServerUrl(serverLink);
-        setProcessedServerUrl(fullServerUrl);
-        setFinalImageUrl(fullServerUrl);
-        console.log("Remove BG - Server image URL:", fullServerUrl);
-      }
-      if (originalLink) {
-        setOriginalServerUrl(buildServerUrl(originalLink));
-      }
-
-      // Get processed image blob
-      const processedBlob = await res.blob();
-      setProcessedImageBlob(processedBlob);
-      setCurrentImageBlob(processedBlob);
-
-      // Create new display URL (blob for preview only)
-      const newDisplayUrl = URL.createObjectURL(processedBlob);
-      if (processedBlobUrlRef.current && processedBlobUrlRef.current.startsWith("blob:")) {
-        try { URL.revokeObjectURL(processedBlobUrlRef.current); } catch (_) {}
-      }
-      processedBlobUrlRef.current = newDisplayUrl;
-      setProcessedImageUrl(newDisplayUrl);
-      
-      if (currentBlobUrlRef.current && currentBlobUrlRef.current.startsWith("blob:")) {
-        URL.revokeObjectURL(currentBlobUrlRef.current);
-      }
-      currentBlobUrlRef.current = newDisplayUrl;
-      setImageUrl(newDisplayUrl);
-      updateDimensionsFromImageUrl(newDisplayUrl);
-
-    } catch (err) {
-      if (err?.name === "AbortError") return;
-      console.error("Remove background failed:", err);
-    } finally {
-      setLoadingRemoveBg(false);
-    }
-  }, [currentImageBlob, loadingRemoveBg, updateDimensionsFromImageUrl]);
-
-  // Handle Enhance Image
-  const handleEnhance = useCallback(async () => {
-    if (!currentImageBlob || loadingEnhance) return;
-
-    abortControllerRef.current?.abort();
-    abortControllerRef.current = new AbortController();
-    const signal = abortControllerRef.current.signal;
-    try {
-      setLoadingEnhance(true);
-      const form = new FormData();
-      form.append("image", currentImageBlob);
-
-      const res = await fetch(ENHANCE_ENDPOINT, {
-        method: "POST",
-        body: form,
-        signal,
-      });
-
-      // Get both enhanced and original server URLs (cart needs original when user toggles to original)
-      const serverLink = res.headers.get("X-AutoEnhance-Link");
-      const originalLink = res.headers.get("X-Original-Image-Link");
-      if (serverLink) {
-        const fullServerUrl = buildServerUrl(serverLink);
-        setProcessedServerUrl(fullServerUrl);
-        setFinalImageUrl(fullServerUrl);
-        console.log("Enhance - Server image URL:", fullServerUrl);
-      }
-      if (originalLink) {
-        setOriginalServerUrl(buildServerUrl(originalLink));
-      }
-
-      // Get processed image blob
-      const processedBlob = await res.blob();
-      setProcessedImageBlob(processedBlob);
-      setCurrentImageBlob(processedBlob);
-
-      // Create new display URL (blob for preview only)
-      const newDisplayUrl = URL.createObjectURL(processedBlob);
-      if (processedBlobUrlRef.current && processedBlobUrlRef.current.startsWith("blob:")) {
-        try { URL.revokeObjectURL(processedBlobUrlRef.current); } catch (_) {}
-      }
-      processedBlobUrlRef.current = newDisplayUrl;
-      setProcessedImageUrl(newDisplayUrl);
-      
-      if (currentBlobUrlRef.current && currentBlobUrlRef.current.startsWith("blob:")) {
-        URL.revokeObjectURL(currentBlobUrlRef.current);
-      }
-      currentBlobUrlRef.current = newDisplayUrl;
-      setImageUrl(newDisplayUrl);
-      // Do not update dimensions: Enhance upscales resolution only; physical design size (inches) stays the same.
-
-    } catch (err) {
-      if (err?.name === "AbortError") return;
-      console.error("Enhance image failed:", err);
-    } finally {
-      setLoadingEnhance(false);
-    }
-  }, [currentImageBlob, loadingEnhance]);
+    const processedUrl = await removeBackground();
+    if (processedUrl) updateDimensionsFromImageUrl(processedUrl);
+  }, [removeBackground, updateDimensionsFromImageUrl]);
 
   // Handle color change from DesignViewer
   const handleColorChange = useCallback((color) => {
@@ -389,145 +774,58 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
 
   // Handle clearing the design
   const handleClearDesign = useCallback(() => {
-    // Revoke blob URLs when clearing
-    if (originalBlobUrlRef.current && originalBlobUrlRef.current.startsWith("blob:")) {
-      try {
-        URL.revokeObjectURL(originalBlobUrlRef.current);
-      } catch (err) {
-        console.error("Error revoking original blob URL:", err);
-      }
-    }
-    if (processedBlobUrlRef.current && processedBlobUrlRef.current.startsWith("blob:")) {
-      try {
-        URL.revokeObjectURL(processedBlobUrlRef.current);
-      } catch (err) {
-        console.error("Error revoking processed blob URL:", err);
-      }
-    }
-    
-    currentBlobUrlRef.current = null;
-    originalBlobUrlRef.current = null;
-    processedBlobUrlRef.current = null;
-    setImageUrl(null);
-    setCurrentImageBlob(null);
-    setOriginalImageBlob(null);
-    setOriginalImageUrl(null);
-    setProcessedImageBlob(null);
-    setProcessedImageUrl(null);
-    setOriginalServerUrl(null);
-    setProcessedServerUrl(null);
-    setFinalImageUrl(null);
-  }, []);
+    clearDesign();
+    setTrimResult(null);
+    setDesignTransform(DEFAULT_DESIGN_TRANSFORM);
+    dimensionsRequestRef.current += 1;
+    designResolutionRef.current = null;
+    basePixelSizeRef.current = null;
+  }, [clearDesign]);
 
-  // Handle toggle remove BG
-  const handleToggleRemoveBg = useCallback(async (enabled) => {
-    setRemoveBgEnabled(enabled);
-    
-    // If toggling off, switch to original image and ensure we have a server URL for cart
-    if (!enabled && originalImageUrl && originalImageBlob) {
-      currentBlobUrlRef.current = originalImageUrl;
-      setImageUrl(originalImageUrl);
-      setCurrentImageBlob(originalImageBlob);
-      updateDimensionsFromImageUrl(originalImageUrl);
-
-      if (originalServerUrl) {
-        setFinalImageUrl(originalServerUrl);
-      } else {
-        // We don't have a server URL for the original (e.g. backend didn't return X-Original-Image-Link).
-        // Call remove-bg once to get the server to store the original and return its link; we only use the original link.
-        try {
-          const form = new FormData();
-          form.append("image", originalImageBlob);
-          const res = await fetch(REMOVE_BG_ENDPOINT, {
-            method: "POST",
-            body: form,
-          });
-          const originalLink = res.headers.get("X-Original-Image-Link");
-          if (originalLink) {
-            const url = buildServerUrl(originalLink);
-            setOriginalServerUrl(url);
-            setFinalImageUrl(url);
-          } else {
-            setFinalImageUrl(null);
-          }
-        } catch (err) {
-          console.warn("Could not get server URL for original image:", err);
-          setFinalImageUrl(null);
-        }
-      }
-    }
-    // If toggling on, check if we already have processed image
-    else if (enabled && processedImageUrl && processedImageBlob) {
-      currentBlobUrlRef.current = processedImageUrl;
-      setImageUrl(processedImageUrl);
-      setCurrentImageBlob(processedImageBlob);
-      setFinalImageUrl(processedServerUrl || null);
-      updateDimensionsFromImageUrl(processedImageUrl);
-    }
-    // If toggling on but no processed image yet, process it now
-    else if (enabled && originalImageBlob && !processedImageBlob) {
-      abortControllerRef.current?.abort();
-      abortControllerRef.current = new AbortController();
-      const signal = abortControllerRef.current.signal;
-      try {
-        setLoadingRemoveBg(true);
-        const form = new FormData();
-        form.append("image", originalImageBlob);
-
-        const res = await fetch(REMOVE_BG_ENDPOINT, {
-          method: "POST",
-          body: form,
-          signal,
-        });
+  // Erase/restore touch-up: the edit becomes a new version (and the cart image)
+  const handleTouchUp = useCallback(async (blob) => {
+    const editedUrl = await applyEdit(blob);
+    if (editedUrl) updateDimensionsFromImageUrl(editedUrl);
+  }, [applyEdit, updateDimensionsFromImageUrl]);
 
-        // Get the server URLs from response headers
-        const processedLink = res.headers.get("X-Image-Link");
-        const originalLink = res.headers.get("X-Original-Image-Link");
-        
-        let processedUrl = null;
-        let originalUrl = null;
-        
-        if (processedLink) {
-          processedUrl = buildServerUrl(processedLink);
-          setProcessedServerUrl(processedUrl);
-          setFinalImageUrl(processedUrl); // Use processed URL for cart
-          console.log("Toggle ON - Processed image URL:", processedUrl);
-        }
-        
-        if (originalLink) {
-          originalUrl = buildServerUrl(originalLink);
-          setOriginalServerUrl(originalUrl);
-          console.log("Toggle ON - Original image URL:", originalUrl);
-        }
-
-        // Get processed image blob
-        const processedBlob = await res.blob();
-        setProcessedImageBlob(processedBlob);
-
-        // Create new display URL for processed image
-        const newDisplayUrl = URL.createObjectURL(processedBlob);
-        setProcessedImageUrl(newDisplayUrl);
-        processedBlobUrlRef.current = newDisplayUrl;
-        
-        // Update current display to processed image
-        currentBlobUrlRef.current = newDisplayUrl;
-        setImageUrl(newDisplayUrl);
-        setCurrentImageBlob(processedBlob);
-        updateDimensionsFromImageUrl(newDisplayUrl);
-
-      } catch (err) {
-        if (err?.name === "AbortError") return;
-        console.error("Remove-bg on toggle failed:", err);
-        // Keep original image if processing fails
-      } finally {
-        setLoadingRemoveBg(false);
-      }
-    }
-  }, [originalImageUrl, originalImageBlob, processedImageUrl, processedImageBlob, originalServerUrl, processedServerUrl, updateDimensionsFromImageUrl]);
+  const handleColorKey = useCallback(async (blob) => {
+    const keyedUrl = await applyEdit(blob, "colorKey");
+    if (keyedUrl) updateDimensionsFromImageUrl(keyedUrl);
+  }, [applyEdit, updateDimensionsFromImageUrl]);
+
+  // Fix Edges: the hardened copy is uploaded and becomes the cart image (CustomImage)
+  const handleFixEdges = useCallback(async (blob) => {
+    const fixedUrl = await applyEdit(blob, "edgeFix");
+    if (fixedUrl) updateDimensionsFromImageUrl(fixedUrl);
+  }, [applyEdit, updateDimensionsFromImageUrl]);
+
+  const handleRetryProcessing = useCallback(async () => {
+    const shownUrl = await retryProcessing();
+    if (shownUrl) updateDimensionsFromImageUrl(shownUrl);
+  }, [retryProcessing, updateDimensionsFromImageUrl]);
+
+  // Version history: re-measure the selected version (its trim may differ)
+  const handleUndo = useCallback(() => {
+    const shownUrl = undo();
+    if (shownUrl) updateDimensionsFromImageUrl(shownUrl);
+  }, [undo, updateDimensionsFromImageUrl]);
 
-  // Add to cart uses finalImageUrl (single source of truth), which is set on upload and when toggling Remove BG.
-  // This ensures when user toggles OFF Remove Background we still pass the correct server URL for the original.
-  const cartImageUrl = finalImageUrl || null;
+  const handleRedo = useCallback(() => {
+    const shownUrl = redo();
+    if (shownUrl) updateDimensionsFromImageUrl(shownUrl);
+  }, [redo, updateDimensionsFromImageUrl]);
+
+  // Handle toggle remove BG: shows the original or processed version (processing it if needed)
+  const handleToggleRemoveBg = useCallback(async (enabled) => {
+    const shownUrl = await toggleRemoveBg(enabled);
+    if (shownUrl) updateDimensionsFromImageUrl(shownUrl);
+  }, [toggleRemoveBg, updateDimensionsFromImageUrl]);
+
+  // Customer opt-out for auto-trim: re-measure the current image with the new choice
+  const handleToggleAutoTrim = useCallback((enabled) => {
+    setAutoTrimOptOut(!enabled);
+    updateDimensionsFromImageUrl(imageUrl, enabled && settings.autoTrim.enabled);
+  }, [imageUrl, settings.autoTrim.enabled, updateDimensionsFromImageUrl]);
 
   return (
     <div className="product-customizer w-full bg-white">
@@ -542,7 +840,42 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
           </p>
         </div>
 
-        {/* Main layout */}
+        {/* Order mode (gang sheets only when enabled in settings) */}
+        {settings.gangSheet.enabled && (
+          <div className="mb-6 inline-flex rounded-lg border border-gray-200 p-1" role="tablist" aria-label="Order type">
+            {[
+              { id: "single", label: "Single design" },
+              { id: "gangSheet", label: "Gang sheet" },
+            ].map((mode) => (
+              <button
+                key={mode.id}
+                type="button"
+                role="tab"
+                aria-selected={orderMode === mode.id}
+                disabled={isProcessing}
+                onClick={() => setOrderMode(mode.id)}
+                className={`rounded-md px-4 py-1.5 text-sm font-medium transition-colors disabled:cursor-not-allowed ${
+                  orderMode === mode.id ? "bg-blue-600 text-white" : "text-gray-700 hover:bg-gray-50"
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {settings.gangSheet.enabled && orderMode === "gangSheet" ? (
+          <GangSheetBuilder
+            variantId={variantId}
+            variantPrice={variantPrice}
+            config={settings.gangSheet}
+            pricingRules={settings.pricing}
+            uploadLimits={settings.uploadLimits}
+            processing={processing}
+            currentDesign={imageUrl ? { imageUrl, width, height, trimBox } : null}
+          />
+        ) : (
+        /* Main layout */
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
           {/* Left column - Upload and Preview */}
           <div className="lg:col-span-7"
@@ -553,6 +886,20 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
             marginRight:24,
           }}
           >
+            {/* Print locations (multi-location orders) */}
+            {settings.enablePlacement && (
+              <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+                <PrintLocations
+                  locations={locationTabs}
+                  activeId={activeSlotId}
+                  onSelect={switchToSlot}
+                  onAdd={freePlacements.length ? handleAddSlot : undefined}
+                  onRemove={handleRemoveSlot}
+                  disabled={isProcessing}
+                />
+              </div>
+            )}
+
             {/* Upload Panel */}
             <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
               <UploadPanel 
@@ -562,13 +909,56 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
                 onEnhance={handleEnhance}
                 loadingRemoveBg={loadingRemoveBg}
                 loadingEnhance={loadingEnhance}
+                storingOriginal={storingOriginal}
+                processingProgress={processingProgress}
                 onClear={handleClearDesign}
                 onCancelProcessing={handleCancelProcessing}
+                processingError={processingError}
+                onRetryProcessing={handleRetryProcessing}
+                onDismissProcessingError={dismissProcessingError}
                 removeBgEnabled={removeBgEnabled}
                 onToggleRemoveBg={handleToggleRemoveBg}
+                uploadLimits={settings.uploadLimits}
+                enableCrop={settings.enableCrop}
+                trim={trimResult}
+                autoTrimEnabled={autoTrimActive}
+                onToggleAutoTrim={settings.autoTrim.enabled ? handleToggleAutoTrim : undefined}
+                isVector={!!vectorSource}
+                history={history}
+                onUndo={handleUndo}
+                onRedo={handleRedo}
+                canUndo={canUndo}
+                canRedo={canRedo}
+                comparison={comparison}
+                restoreUrl={versions[0]?.url || null}
+                onTouchUp={vectorSource ? undefined : handleTouchUp}
+                onColorKey={vectorSource ? undefined : handleColorKey}
+                printRisk={printRisk}
+                edgeFix={settings.edgeFix}
+                onFixEdges={vectorSource ? undefined : handleFixEdges}
+                tintColor={tintColor}
+                cutLine={cutLine}
               />
             </div>
 
+            {/* Design Editor */}
+            {imageUrl && (
+              <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+                <DesignEditor
+                  imageUrl={imageUrl}
+                  width={width}
+                  height={height}
+                  trimBox={trimBox}
+                  transform={designTransform}
+                  onTransformChange={setDesignTransform}
+                  onResize={resizeProportionally}
+                  resizable={settings.enableSize && !settings.predefinedSizes?.length}
+                  tintColor={tintColor}
+                  assetUrls={assetUrls}
+                />
+              </div>
+            )}
+
             {/* Design Viewer */}
             <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
               <DesignViewer
@@ -576,6 +966,15 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
                 tintColor={tintColor}
                 onColorChange={handleColorChange}
                 assetUrls={assetUrls}
+                garments={garments}
+                selectedGarmentId={selectedGarment?.id}
+                onGarmentChange={(garment) => setGarmentId(garment.id)}
+                cutLine={cutLine}
+                width={width}
+                height={height}
+                trimBox={trimBox}
+                placement={settings.enablePlacement ? selectedPlacement : null}
+                otherDesigns={otherLocations}
               />
             </div>
 
@@ -586,6 +985,14 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
                   imageUrl={imageUrl}
                   tintColor={tintColor}
                   assetUrls={assetUrls}
+                  cutLine={cutLine}
+                  placements={settings.placements}
+                  selectedPlacementId={selectedPlacement?.id}
+                  onPlacementChange={handlePlacementChange}
+                  otherDesigns={otherLocations}
+                  width={width}
+                  height={height}
+                  trimBox={trimBox}
                 />
               </div>
             )}
@@ -608,7 +1015,32 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
                   setWidth={setWidth}
                   setHeight={setHeight}
                   predefinedSizes={settings.predefinedSizes || []}
-                  disabled={loadingRemoveBg || loadingEnhance}
+                  disabled={isProcessing}
+                  maxWidth={maxPrintSize?.maxWidth}
+                  maxHeight={maxPrintSize?.maxHeight}
+                  printQuality={printQuality}
+                  placement={settings.enablePlacement ? selectedPlacement : null}
+                />
+              </div>
+            )}
+
+            {/* More sizes of the same design */}
+            {settings.enableSize && imageUrl && (
+              <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+                <CustomSize
+                  sizes={extraSizes.map((size) => ({ ...size, height: +(size.width * (height / width)).toFixed(2) }))}
+                  aspectRatio={height / width}
+                  rules={settings.pricing}
+                  preCut={preCut}
+                  defaultWidth={width}
+                  minInches={DIMENSION_MIN}
+                  maxInches={DIMENSION_MAX}
+                  maxWidth={maxPrintSize?.maxWidth}
+                  maxHeight={maxPrintSize?.maxHeight}
+                  onChange={handleSizeChange}
+                  onAdd={handleAddSize}
+                  onRemove={handleRemoveSize}
+                  disabled={isProcessing}
                 />
               </div>
             )}
@@ -616,7 +1048,12 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
             {/* Pre-cut Service */}
             {settings.enablePrecut && (
               <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
-                <PreCutCheckbox preCut={preCut} setPreCut={setPreCut} />
+                <PreCutCheckbox
+                  preCut={preCut}
+                  setPreCut={setPreCut}
+                  cutOffsetInches={cutLine ? settings.cutLine.offsetInches : null}
+                  fee={settings.pricing.preCutFee}
+                />
               </div>
             )}
 
@@ -663,6 +1100,9 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
                 preCut={preCut}
                 quantity={quantity}
                 variantPrice={variantPrice}
+                additionalLines={otherLocations}
+                additionalSizes={sizeLines}
+                rules={settings.pricing}
               />
             </div>
 
@@ -675,7 +1115,26 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
                 height={height}
                 preCut={preCut}
                 quantity={quantity}
-                disabled={loadingRemoveBg || loadingEnhance}
+                disabled={isProcessing}
+                printQuality={printQuality}
+                trimBox={trimBox}
+                resolveImageUrl={resolveImageUrl}
+                vectorFormat={vectorSource ? vectorSource.mimeType : null}
+                vectorFileUrl={vectorSource?.serverUrl || null}
+                resolveCutLineUrl={resolveCutLineUrl}
+                placement={settings.enablePlacement ? selectedPlacement : null}
+                garment={selectedGarment}
+                garmentColor={tintColor}
+                designPending={!!imageUrl && !cartImageUrl}
+                blockedReason={cartBlockedReason}
+                additionalLines={[
+                  ...otherLocations.map((location) => ({
+                    ...location,
+                    imageUrl: location.cartImageUrl,
+                  })),
+                  ...sizeLines,
+                ]}
+                pricingRules={settings.pricing}
               />
             </div>
 
@@ -690,6 +1149,7 @@ const ProductCustomizer = ({ variantId, assetUrls = {}, settingsUrl = null, vari
             )}
           </div>
         </div>
+        )}
 
         {/* Footer info */}
         <div className="mt-8 p-4 bg-green-50 rounded-lg border border-green-200">
@@ -1,37 +1,62 @@
 import React from "react";
+import PrintQualityBadge from "./PrintQualityBadge";
+import { exceedsPlacement } from "../utils/placementPresets";
 
 const STEP_INCHES = 1; // step for +/- buttons
 const MIN_SIZE = 0.5;
 const MAX_SIZE = 22.5;
 
-/** Clamp a value to [MIN_SIZE, MAX_SIZE] and round to 2 decimals */
-function clamp(v) {
-  return +Math.min(MAX_SIZE, Math.max(MIN_SIZE, v)).toFixed(2);
+/** Clamp a value to [MIN_SIZE, max] and round to 2 decimals */
+function clamp(v, max = MAX_SIZE) {
+  return +Math.min(max, Math.max(MIN_SIZE, v)).toFixed(2);
 }
 
-const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = [], disabled = false }) => {
+/**
+ * SizeControls - Width/height steppers, predefined sizes and print-quality badge.
+ *
+ * Props:
+ * - maxWidth / maxHeight: Per-axis caps (inches); lower than MAX_SIZE when the
+ *   merchant limits size to what the image resolution supports
+ * - printQuality: { dpi, rating } for the current image at the current size (optional)
+ * - placement: Selected placement preset, for its recommended size range (optional)
+ */
+const SizeControls = ({
+  width,
+  height,
+  setWidth,
+  setHeight,
+  predefinedSizes = [],
+  disabled = false,
+  maxWidth = MAX_SIZE,
+  maxHeight = MAX_SIZE,
+  printQuality = null,
+  placement = null,
+}) => {
+  const maxW = Math.max(MIN_SIZE, Math.min(MAX_SIZE, maxWidth));
+  const maxH = Math.max(MIN_SIZE, Math.min(MAX_SIZE, maxHeight));
+  const isCapped = maxW < MAX_SIZE || maxH < MAX_SIZE;
   const aspectRatio = width > 0 ? height / width : 1;
   const hasPredefined = Array.isArray(predefinedSizes) && predefinedSizes.length > 0;
   const widthHeightReadOnly = hasPredefined; // When predefined sizes exist, width/height are chosen via buttons only
 
   const selectPredefined = (w, h) => {
     if (disabled) return;
-    setWidth(clamp(w));
-    setHeight(clamp(h));
+    setWidth(clamp(w, maxW));
+    setHeight(clamp(h, maxH));
   };
 
   const updateWidthAndHeight = (newWidth, newHeight) => {
-    const w = clamp(newWidth);
-    const h = clamp(newHeight);
+    const w = clamp(newWidth, maxW);
+    const h = clamp(newHeight, maxH);
     setWidth(w);
     setHeight(h);
   };
 
   const incrementWidth = () => {
-    let newWidth = Math.min(MAX_SIZE, +(width + STEP_INCHES).toFixed(2));
+    let newWidth = Math.min(maxW, +(width + STEP_INCHES).toFixed(2));
     let newHeight = newWidth * aspectRatio;
-    if (newHeight > MAX_SIZE) {
-      newHeight = MAX_SIZE;
+    if (newHeight > maxH) {
+      newHeight = maxH;
       newWidth = newHeight / aspectRatio;
     } else if (newHeight < MIN_SIZE) {
       newHeight = MIN_SIZE;
@@ -43,8 +68,8 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
   const decrementWidth = () => {
     let newWidth = Math.max(MIN_SIZE, +(width - STEP_INCHES).toFixed(2));
     let newHeight = newWidth * aspectRatio;
-    if (newHeight > MAX_SIZE) {
-      newHeight = MAX_SIZE;
+    if (newHeight > maxH) {
+      newHeight = maxH;
       newWidth = newHeight / aspectRatio;
     } else if (newHeight < MIN_SIZE) {
       newHeight = MIN_SIZE;
@@ -54,10 +79,10 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
   };
 
   const incrementHeight = () => {
-    let newHeight = Math.min(MAX_SIZE, +(height + STEP_INCHES).toFixed(2));
+    let newHeight = Math.min(maxH, +(height + STEP_INCHES).toFixed(2));
     let newWidth = newHeight / aspectRatio;
-    if (newWidth > MAX_SIZE) {
-      newWidth = MAX_SIZE;
+    if (newWidth > maxW) {
+      newWidth = maxW;
       newHeight = newWidth * aspectRatio;
     } else if (newWidth < MIN_SIZE) {
       newWidth = MIN_SIZE;
@@ -69,8 +94,8 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
   const decrementHeight = () => {
     let newHeight = Math.max(MIN_SIZE, +(height - STEP_INCHES).toFixed(2));
     let newWidth = newHeight / aspectRatio;
-    if (newWidth > MAX_SIZE) {
-      newWidth = MAX_SIZE;
+    if (newWidth > maxW) {
+      newWidth = maxW;
       newHeight = newWidth * aspectRatio;
     } else if (newWidth < MIN_SIZE) {
       newWidth = MIN_SIZE;
@@ -81,8 +106,8 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
 
   const handleWidthChange = (e) => {
     const value = parseFloat(e.target.value);
-    if (!isNaN(value) && value >= MIN_SIZE && value <= MAX_SIZE) {
-      const newHeight = clamp(value * aspectRatio);
+    if (!isNaN(value) && value >= MIN_SIZE && value <= maxW && value * aspectRatio <= maxH) {
+      const newHeight = clamp(value * aspectRatio, maxH);
       setWidth(+value.toFixed(2));
       setHeight(newHeight);
     } else if (e.target.value === "") {
@@ -92,8 +117,8 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
 
   const handleHeightChange = (e) => {
     const value = parseFloat(e.target.value);
-    if (!isNaN(value) && value >= MIN_SIZE && value <= MAX_SIZE) {
-      const newWidth = clamp(value / aspectRatio);
+    if (!isNaN(value) && value >= MIN_SIZE && value <= maxH && value / aspectRatio <= maxW) {
+      const newWidth = clamp(value / aspectRatio, maxW);
       setWidth(newWidth);
       setHeight(+value.toFixed(2));
     } else if (e.target.value === "") {
@@ -122,17 +147,19 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
               if (isNaN(w) || isNaN(h)) return null;
               const label = `${w}X${h}`;
               const isSelected = Math.abs(width - w) < 0.01 && Math.abs(height - h) < 0.01;
+              const exceedsCap = w > maxW || h > maxH;
               return (
                 <button
                   key={`${w}-${h}-${i}`}
                   type="button"
-                  disabled={disabled}
+                  disabled={disabled || exceedsCap}
+                  title={exceedsCap ? "Your image resolution is too low for this size" : undefined}
                   onClick={() => selectPredefined(w, h)}
                   className={`px-3 py-2 text-sm font-medium rounded-md border transition-colors ${
                     isSelected
                       ? "border-blue-500 bg-blue-50 text-blue-700"
                       : "border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
-                  }`}
+                  } ${exceedsCap ? "opacity-50 cursor-not-allowed" : ""}`}
                 >
                   {label}
                 </button>
@@ -156,7 +183,7 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
               onChange={handleWidthChange}
               step={0.25}
               min={MIN_SIZE}
-              max={MAX_SIZE}
+              max={maxW}
               disabled={disabled}
               readOnly={widthHeightReadOnly}
               className="size-controls-input"
@@ -178,7 +205,7 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
               onChange={handleHeightChange}
               step={0.25}
               min={MIN_SIZE}
-              max={MAX_SIZE}
+              max={maxH}
               disabled={disabled}
               readOnly={widthHeightReadOnly}
               className="size-controls-input"
@@ -194,7 +221,37 @@ const SizeControls = ({ width, height, setWidth, setHeight, predefinedSizes = []
           <span className="font-medium">Area:</span>{" "}
           {(width * height).toFixed(2)} sq. inches
         </p>
+        {isCapped && (
+          <p className="text-xs text-gray-600 mt-1">
+            <span className="font-medium">Max size for this image:</span>{" "}
+            {maxW}" × {maxH}"
+          </p>
+        )}
+        {placement && (
+          <p className="text-xs text-gray-600 mt-1">
+            <span className="font-medium">Recommended for {placement.label}:</span>{" "}
+            {placement.minInches}"–{placement.maxInches}"
+          </p>
+        )}
       </div>
+
+      {exceedsPlacement(width, height, placement) && (
+        <p
+          className="mt-3 rounded-lg border px-3 py-2 text-xs"
+          style={{ color: "#b45309", backgroundColor: "#fffbeb", borderColor: "#fde68a" }}
+          role="alert"
+        >
+          At {Math.max(width, height)}" your design is larger than the {placement.maxInches}" maximum for{" "}
+          {placement.label.toLowerCase()} prints. Choose a smaller size or another placement.
+        </p>
+      )}
+
+      {/* Print resolution at the chosen size */}
+      {printQuality && (
+        <div className="mt-3">
+          <PrintQualityBadge dpi={printQuality.dpi} rating={printQuality.rating} />
+        </div>
+      )}
     </div>
   );
 };
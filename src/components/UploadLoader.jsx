@@ -1,38 +1,32 @@
 import React, { useState } from "react";
+import { assetUrl } from "../utils/assetUrl";
+import { PROGRESS_PHASES } from "../utils/processingRequest";
 
-/**
- * Base URL for app assets. In Shopify the page is the store, so relative paths
- * like /assets/... resolve to the store and 404. Use the script's origin so
- * the GIF loads from the app host (e.g. Vercel).
- */
-function getAssetBase() {
-  if (typeof document === "undefined") return "";
-  try {
-    const script = document.currentScript;
-    if (script?.src) {
-      const origin = new URL(script.src).origin;
-      return origin;
-    }
-  } catch (_) {}
-  return "";
-}
-
-const ASSET_BASE = getAssetBase();
+const PHASE_LABELS = {
+  uploading: "Uploading",
+  processing: "Processing",
+  downloading: "Downloading",
+};
 
 /**
- * UploadLoader - Processing overlay with animated mascot, progress bar, and Stop.
+ * UploadLoader - Processing overlay with animated mascot, progress bar, phase steps, and Stop.
  * Shown while image is being processed (remove BG / enhance).
+ *
+ * Props:
+ * - progress: Overall percent (0-100)
+ * - phase: Current request phase ("uploading" | "processing" | "downloading"), if known
+ * - message: What the server is doing, e.g. "Removing background..."
+ * - onStop: Cancel the request
  */
-const UploadLoader = ({ progress = 0, message, onStop }) => {
+const UploadLoader = ({ progress = 0, phase, message, onStop }) => {
   // Single clamped value so bar and percentage stay in sync
   const value = Math.min(100, Math.max(0, Number(progress)));
   const displayPercent = Math.round(value);
   const [gifError, setGifError] = useState(false);
+  const phaseIndex = PROGRESS_PHASES.indexOf(phase);
 
   // Use absolute URL when embedded (e.g. Shopify) so GIF loads from app host; relative for local/Vercel same-origin
-  const gifPath = ASSET_BASE
-    ? `${ASSET_BASE}/assets/gifs/comic-characters.gif`
-    : "/assets/gifs/comic-characters.gif";
+  const gifPath = assetUrl("/assets/gifs/comic-characters.gif");
 
   return (
     <div 
@@ -88,7 +82,29 @@ const UploadLoader = ({ progress = 0, message, onStop }) => {
           />
         </div>
 
+        {/* Phase steps - finished phases checked, current one highlighted */}
+        {phaseIndex >= 0 && (
+          <div className="mt-3 flex w-full justify-between text-xs font-medium">
+            {PROGRESS_PHASES.map((p, i) => (
+              <span
+                key={p}
+                style={{
+                  color: i < phaseIndex ? '#16a34a' : i === phaseIndex ? '#2563eb' : '#9ca3af',
+                }}
+              >
+                {i < phaseIndex ? "✓ " : ""}
+                {PHASE_LABELS[p]}
+              </span>
+            ))}
+          </div>
+        )}
+
         {/* Status messages */}
+        {message && phase === "processing" && (
+          <p className="mt-4 text-sm font-semibold" style={{ color: '#1f2937' }} aria-live="polite">
+            {message}
+          </p>
+        )}
         <p className="mt-4 text-sm font-medium" style={{ color: '#374151' }}>
           We're making sure your upload is perfect for printing.
         </p>
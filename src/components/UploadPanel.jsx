@@ -1,5 +1,22 @@
 import React, { useRef, useState, useEffect } from "react";
 import UploadLoader from "./UploadLoader";
+import CropModal from "./CropModal";
+import CompareSlider from "./CompareSlider";
+import MaskEditor from "./MaskEditor";
+import ColorKeyModal from "./ColorKeyModal";
+import PrintRiskOverlay from "./PrintRiskOverlay";
+import PrintRiskWarnings from "./PrintRiskWarnings";
+import {
+  DEFAULT_UPLOAD_LIMITS,
+  describeUploadLimits,
+  validateImageFile,
+} from "../utils/uploadValidation";
+import { applyOrientation, readImageMetadata } from "../utils/imageMetadata";
+import { rasterizeVector } from "../utils/vectorArtwork";
+import { getOverallProgress } from "../utils/processingRequest";
+import { DEFAULT_EDGE_FIX, hardenEdges, simulateUnderbase } from "../utils/edgeHardening";
+
+const UNDERBASE_PREVIEW_PX = 1200; // longest side of the garment simulation
 
 const UploadPanel = ({
   onUpload,
@@ -8,60 +25,238 @@ const UploadPanel = ({
   onEnhance,
   loadingRemoveBg = false,
   loadingEnhance = false,
+  storingOriginal = false,
+  processingProgress = null,
   onClear,
   onCancelProcessing,
+  processingError = null,
+  onRetryProcessing,
+  onDismissProcessingError,
   removeBgEnabled = true,
   onToggleRemoveBg,
+  uploadLimits = DEFAULT_UPLOAD_LIMITS,
+  enableCrop = true,
+  trim = null,
+  autoTrimEnabled = false,
+  onToggleAutoTrim,
+  isVector = false,
+  history = null,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  comparison = null,
+  restoreUrl = null,
+  onTouchUp,
+  onColorKey,
+  printRisk = null,
+  edgeFix = DEFAULT_EDGE_FIX,
+  onFixEdges,
+  tintColor = null,
+  cutLine = null,
 }) => {
   const fileInputRef = useRef(null);
   const containerRef = useRef(null);
   const [isHovering, setIsHovering] = useState(false);
   const [bgPos, setBgPos] = useState("center");
   const [progress, setProgress] = useState(0);
+  const [uploadError, setUploadError] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [pendingCropFile, setPendingCropFile] = useState(null); // File waiting in the crop step
+  const [sourceFile, setSourceFile] = useState(null); // Last accepted (uncropped) file, for re-cropping
+  const [sourceMetadata, setSourceMetadata] = useState(null); // Embedded DPI of the accepted file
+  const [comparing, setComparing] = useState(false); // before/after split view instead of the preview
+  const [touchingUp, setTouchingUp] = useState(false); // erase/restore editor open
+  const [colorKeying, setColorKeying] = useState(false); // in-browser background removal open
+  const [highlightRisk, setHighlightRisk] = useState(true); // mark print-risk areas on the preview
+  const [fixingEdges, setFixingEdges] = useState(false); // hardening alpha in the browser
+  const [showUnderbase, setShowUnderbase] = useState(false); // preview on the garment color
+  const [underbaseUrl, setUnderbaseUrl] = useState(null);
+  const underbaseUrlRef = useRef(null);
+
+  const isAnyLoading = loadingRemoveBg || loadingEnhance || storingOriginal;
+  const showComparison = comparing && comparison && !isAnyLoading;
 
-  // Disable zoom while loading so hover doesn't trigger zoom
-  const zoomActive = isHovering && !loadingRemoveBg && !loadingEnhance;
+  // Disable zoom while loading (or comparing) so hover doesn't trigger zoom
+  const zoomActive = isHovering && !isAnyLoading && !showComparison;
 
   useEffect(() => {
-    if (loadingRemoveBg || loadingEnhance) setIsHovering(false);
-  }, [loadingRemoveBg, loadingEnhance]);
+    if (isAnyLoading) setIsHovering(false);
+  }, [isAnyLoading]);
 
-  // Realistic progress 0 → 95% with ease-out (fast start, slow near end); jump to 100% when done. Never sticks at one value.
+  // Progress from the request's real phase (see postImage). Phases of unknown size - the
+  // server working, or a body without Content-Length - ease toward the end of their band
+  // instead of stalling; the bar never moves backwards within one request.
   useEffect(() => {
-    if (!loadingRemoveBg && !loadingEnhance) {
+    if (!isAnyLoading) {
       setProgress((prev) => (prev > 0 ? 100 : 0));
       return;
     }
-    setProgress(0);
+    if (!processingProgress) {
+      setProgress(0);
+      return;
+    }
+    const { phase, fraction } = processingProgress;
+    if (fraction != null) {
+      setProgress((prev) => Math.max(prev, getOverallProgress(phase, fraction)));
+      return;
+    }
     const start = Date.now();
-    const duration = 12000; // 12s to reach 95% — always moving, feels natural
-    const maxProgress = 95;
+    const duration = 12000; // 12s to reach 95% of the phase
     const tickMs = 80;
     // Ease-out cubic: fast at start, slows as it approaches end (1 - (1-t)^3)
     const easeOutCubic = (t) => (t >= 1 ? 1 : 1 - Math.pow(1 - t, 3));
     const id = setInterval(() => {
-      const elapsed = Date.now() - start;
-      const t = Math.min(1, elapsed / duration);
-      const p = maxProgress * easeOutCubic(t);
-      setProgress(p);
-      if (p >= maxProgress) clearInterval(id);
+      const t = Math.min(1, (Date.now() - start) / duration);
+      const p = getOverallProgress(phase, 0.95 * easeOutCubic(t));
+      setProgress((prev) => Math.max(prev, p));
+      if (t >= 1) clearInterval(id);
     }, tickMs);
     return () => clearInterval(id);
-  }, [loadingRemoveBg, loadingEnhance]);
+  }, [isAnyLoading, processingProgress]);
+
+  // Undo / redo shortcuts: Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y (not while typing or cropping)
+  useEffect(() => {
+    if (!onUndo || !onRedo || pendingCropFile || touchingUp || colorKeying) return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        if (!canUndo) return;
+        e.preventDefault();
+        onUndo();
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        if (!canRedo) return;
+        e.preventDefault();
+        onRedo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onUndo, onRedo, canUndo, canRedo, pendingCropFile, touchingUp, colorKeying]);
 
   const ZOOM_SCALE = 2.5;
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Garment simulation: white underbase + ink over the tint color (shows soft-edge halos).
+  // The previous simulation stays visible until the next one is ready.
+  useEffect(() => {
+    if (!showUnderbase || !imageUrl) return;
+    let cancelled = false;
+    simulateUnderbase(imageUrl, tintColor, { maxSize: UNDERBASE_PREVIEW_PX })
+      .then((blob) => {
+        if (cancelled) return;
+        if (underbaseUrlRef.current) URL.revokeObjectURL(underbaseUrlRef.current);
+        underbaseUrlRef.current = URL.createObjectURL(blob);
+        setUnderbaseUrl(underbaseUrlRef.current);
+      })
+      .catch((err) => console.warn("Could not simulate underbase:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [showUnderbase, imageUrl, tintColor]);
+
+  useEffect(() => () => {
+    if (underbaseUrlRef.current) URL.revokeObjectURL(underbaseUrlRef.current);
+  }, []);
+
+  const previewUrl = showUnderbase && underbaseUrl ? underbaseUrl : imageUrl;
+
+  // "Fix edges": harden partial alpha at full resolution; the result becomes a new version
+  const handleFixEdges = async () => {
+    if (!imageUrl || fixingEdges) return;
+    setFixingEdges(true);
+    try {
+      onFixEdges(await hardenEdges(imageUrl, edgeFix));
+    } catch (err) {
+      console.error("Fix edges failed:", err);
+    } finally {
+      setFixingEdges(false);
+    }
+  };
+
+  // Every upload path (picker and drop) goes through the same validation
+  const acceptFile = async (file) => {
+    if (!file || validating) return;
+    setValidating(true);
+    setUploadError(null);
+    try {
+      const result = await validateImageFile(file, uploadLimits);
+      if (!result.valid) {
+        setUploadError(result.error);
+        return;
+      }
+      // Vector artwork: rasterize for preview, keep the original for printing (no crop step)
+      if (result.vector) {
+        let raster;
+        try {
+          raster = await rasterizeVector(file, result.mimeType);
+        } catch (err) {
+          console.error("Vector rasterization failed:", err);
+          setUploadError("We couldn't render this file. Please try a PNG or JPG export instead.");
+          return;
+        }
+        setSourceFile(null);
+        setSourceMetadata(null);
+        submitFile(raster.file, {
+          dpiX: raster.dpi,
+          dpiY: raster.dpi,
+          orientation: 1,
+          vector: { file, mimeType: result.mimeType },
+        });
+        return;
+      }
+
+      // Read embedded DPI / orientation before any canvas step strips it, then store the file upright
+      const metadata = await readImageMetadata(file);
+      const upright = await applyOrientation(file, metadata.orientation).catch((err) => {
+        console.warn("Could not apply EXIF orientation:", err);
+        return file;
+      });
+      setSourceFile(upright);
+      setSourceMetadata(metadata);
+      if (enableCrop) {
+        setPendingCropFile(upright);
+      } else {
+        submitFile(upright, metadata);
+      }
+    } finally {
+      setValidating(false);
+    }
+  };
 
+  // Hand the (possibly cropped) file to the parent for processing.
+  // Cropping keeps the pixel scale, so the source file's DPI still applies.
+  const submitFile = (file, metadata = sourceMetadata) => {
     const url = URL.createObjectURL(file);
-    onUpload(url, file);
+    onUpload(url, file, metadata);
+  };
 
+  const handleCropConfirm = (croppedFile) => {
+    setPendingCropFile(null);
+    submitFile(croppedFile);
+  };
+
+  const handleCropSkip = () => {
+    const file = pendingCropFile;
+    setPendingCropFile(null);
+    if (file) submitFile(file);
+  };
+
+  const handleCropCancel = () => {
+    setPendingCropFile(null);
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
     e.target.value = "";
+    if (!file) return;
+    acceptFile(file);
   };
 
   const handleClick = () => {
+    if (validating) return;
     fileInputRef.current?.click();
   };
 
@@ -70,10 +265,7 @@ const UploadPanel = ({
     e.stopPropagation();
 
     const file = e.dataTransfer?.files[0];
-    if (file && file.type.startsWith("image/")) {
-      const url = URL.createObjectURL(file);
-      onUpload(url, file);
-    }
+    if (file) acceptFile(file);
   };
 
   const handleDragOver = (e) => {
@@ -89,7 +281,6 @@ const UploadPanel = ({
     setBgPos(`${x}% ${y}%`);
   };
 
-  const isAnyLoading = loadingRemoveBg || loadingEnhance;
 
   return (
     <div className="upload-panel">
@@ -102,8 +293,21 @@ const UploadPanel = ({
         </p>
       </div>
 
+      {/* Vector artwork note (replaces Remove BG / Enhance, which only apply to raster images) */}
+      {imageUrl && isVector && (
+        <div
+          className="flex items-center gap-2 p-3 rounded-lg mb-4 border"
+          style={{ backgroundColor: "#f0fdf4", borderColor: "#bbf7d0" }}
+        >
+          <p className="text-xs" style={{ color: "#15803d" }}>
+            <span className="font-semibold">Vector artwork detected.</span> We'll print from your
+            original file, so it stays sharp at any size.
+          </p>
+        </div>
+      )}
+
       {/* Remove BG Toggle */}
-      {imageUrl && (
+      {imageUrl && !isVector && (
         <div
           className="flex items-center justify-between p-3 rounded-lg mb-4 border"
           style={{ backgroundColor: "#f9fafb", borderColor: "#e5e7eb" }}
@@ -135,7 +339,7 @@ const UploadPanel = ({
           <button
             type="button"
             onClick={() => onToggleRemoveBg(!removeBgEnabled)}
-            disabled={loadingRemoveBg || loadingEnhance}
+            disabled={isAnyLoading}
             className="relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
             style={{
               backgroundColor: removeBgEnabled ? "#9333ea" : "#d1d5db",
@@ -158,6 +362,74 @@ const UploadPanel = ({
         </div>
       )}
 
+      {/* Upload validation error */}
+      {uploadError && (
+        <div
+          className="upload-error flex items-start gap-2 p-3 rounded-lg mb-4 border"
+          style={{ backgroundColor: "#fef2f2", borderColor: "#fecaca" }}
+          role="alert"
+        >
+          <svg
+            className="h-4 w-4 flex-shrink-0"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            style={{ color: "#dc2626", marginTop: 2 }}
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+            />
+          </svg>
+          <p className="flex-1 text-sm" style={{ color: "#dc2626" }}>
+            {uploadError}
+          </p>
+          <button
+            type="button"
+            onClick={() => setUploadError(null)}
+            className="text-xs"
+            style={{ color: "#dc2626", background: "none", border: "none" }}
+            aria-label="Dismiss upload error"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Failed request (e.g. an edit that could not be saved) */}
+      {processingError && (
+        <div
+          className="processing-error flex items-start gap-2 p-3 rounded-lg mb-4 border"
+          style={{ backgroundColor: "#fef2f2", borderColor: "#fecaca" }}
+          role="alert"
+        >
+          <p className="flex-1 text-sm" style={{ color: "#dc2626" }}>
+            {processingError}
+          </p>
+          {onRetryProcessing && (
+            <button
+              type="button"
+              onClick={onRetryProcessing}
+              className="text-xs font-medium underline"
+              style={{ color: "#dc2626", background: "none", border: "none" }}
+            >
+              Try again
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onDismissProcessingError}
+            className="text-xs"
+            style={{ color: "#dc2626", background: "none", border: "none" }}
+            aria-label="Dismiss error"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
       {imageUrl ? (
         <div className="space-y-4">
           {/* Image preview with zoom */}
@@ -167,7 +439,7 @@ const UploadPanel = ({
               <div
                 className="absolute -right-[220px] top-0 hidden lg:block w-52 h-52 border border-gray-300 rounded-lg bg-white shadow-lg z-50"
                 style={{
-                  backgroundImage: `url(${imageUrl})`,
+                  backgroundImage: `url(${previewUrl})`,
                   backgroundRepeat: "no-repeat",
                   backgroundSize: `${ZOOM_SCALE * 100}%`,
                   backgroundPosition: bgPos,
@@ -176,12 +448,24 @@ const UploadPanel = ({
               />
             )}
 
+            {/* Before/after comparison replaces the preview while active */}
+            {showComparison && (
+              <CompareSlider
+                key={comparison.afterUrl}
+                beforeUrl={comparison.beforeUrl}
+                afterUrl={comparison.afterUrl}
+                beforeLabel={comparison.beforeLabel}
+                afterLabel={comparison.afterLabel}
+              />
+            )}
+
             {/* Main preview */}
             <div
               ref={containerRef}
+              hidden={showComparison}
               className={`relative w-full aspect-video bg-gray-50 border border-gray-200 rounded-lg overflow-hidden ${zoomActive ? "cursor-zoom-in" : "cursor-default"}`}
               style={{
-                backgroundImage: `url(${imageUrl})`,
+                backgroundImage: `url(${previewUrl})`,
                 backgroundRepeat: "no-repeat",
                 backgroundSize: zoomActive ? `${ZOOM_SCALE * 100}%` : "contain",
                 backgroundPosition: zoomActive ? bgPos : "center",
@@ -189,23 +473,78 @@ const UploadPanel = ({
                 minHeight: "200px",
               }}
               onMouseEnter={() =>
-                !loadingRemoveBg && !loadingEnhance && setIsHovering(true)
+                !isAnyLoading && setIsHovering(true)
               }
               onMouseLeave={() => setIsHovering(false)}
               onMouseMove={zoomActive ? handleMouseMove : undefined}
               onClick={() =>
-                !loadingRemoveBg &&
-                !loadingEnhance &&
+                !isAnyLoading &&
                 window.open(imageUrl, "_blank")
               }
               aria-label="Uploaded image preview - click to enlarge"
             >
+              {/* Trimmed area: dim the transparent margins excluded from the design size.
+                  viewBox + "meet" matches backgroundSize "contain" so the box lines up. */}
+              {trim && autoTrimEnabled && !zoomActive && !isAnyLoading && (
+                <svg
+                  className="absolute inset-0 w-full h-full pointer-events-none"
+                  viewBox={`0 0 ${trim.imageWidth} ${trim.imageHeight}`}
+                  preserveAspectRatio="xMidYMid meet"
+                  aria-hidden
+                >
+                  <path
+                    fillRule="evenodd"
+                    fill="rgba(17, 24, 39, 0.15)"
+                    d={`M0 0H${trim.imageWidth}V${trim.imageHeight}H0Z M${trim.box.left * trim.imageWidth} ${trim.box.top * trim.imageHeight}h${trim.box.width * trim.imageWidth}v${trim.box.height * trim.imageHeight}h${-trim.box.width * trim.imageWidth}Z`}
+                  />
+                  <rect
+                    x={trim.box.left * trim.imageWidth}
+                    y={trim.box.top * trim.imageHeight}
+                    width={trim.box.width * trim.imageWidth}
+                    height={trim.box.height * trim.imageHeight}
+                    fill="none"
+                    stroke="#4c4cec"
+                    strokeWidth={1.5}
+                    strokeDasharray="6 4"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                </svg>
+              )}
+
+              {/* Pre-cut contour (same "contain" fit as the trim box; the offset may reach past the image) */}
+              {cutLine && !zoomActive && !isAnyLoading && (
+                <svg
+                  className="absolute inset-0 w-full h-full pointer-events-none"
+                  viewBox={`0 0 ${cutLine.width} ${cutLine.height}`}
+                  preserveAspectRatio="xMidYMid meet"
+                  style={{ overflow: "visible" }}
+                  aria-hidden
+                >
+                  <path
+                    d={cutLine.pathData}
+                    fill="none"
+                    stroke="#dc2626"
+                    strokeWidth={1.5}
+                    strokeDasharray="5 4"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                </svg>
+              )}
+
+              {/* Print-risk areas (semi-transparent / too-thin lines) at the chosen size */}
+              {printRisk && highlightRisk && !zoomActive && !isAnyLoading && (
+                <PrintRiskOverlay analysis={printRisk.analysis} risk={printRisk.risk} />
+              )}
+
               {/* Loading overlay - animated loader with progress and Stop */}
               {isAnyLoading && (
                 <UploadLoader
                   progress={progress}
+                  phase={processingProgress?.phase}
                   message={
-                    loadingRemoveBg
+                    storingOriginal
+                      ? "Saving your artwork..."
+                      : loadingRemoveBg
                       ? "Removing background..."
                       : "Enhancing image..."
                   }
@@ -220,159 +559,345 @@ const UploadPanel = ({
               <span>•</span>
               <span>Click to open full size</span>
             </div>
-          </div>
 
-          {/* Action buttons */}
-          <div className="flex flex-wrap gap-3">
-            {/* Remove Background */}
-            {/* <button
-              type="button"
-              onClick={onRemoveBg}
-              disabled={isAnyLoading}
-              className="remove-bg-button flex-1 flex items-center justify-center gap-2 px-4 py-2.5 rounded-lg text-sm font-semibold transition-all duration-200"
-              style={{
-                minWidth: '140px',
-                backgroundColor: loadingRemoveBg ? '#f3f4f6' : '#9333ea',
-                backgroundImage: loadingRemoveBg ? 'none' : 'linear-gradient(to right, #9333ea, #3b82f6)',
-                color: loadingRemoveBg ? '#9ca3af' : '#ffffff',
-                cursor: loadingRemoveBg ? 'wait' : 'pointer',
-                boxShadow: loadingRemoveBg ? 'none' : '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
-                border: 'none',
-                outline: 'none',
-              }}
-              onMouseEnter={(e) => {
-                if (!loadingRemoveBg && !isAnyLoading) {
-                  e.currentTarget.style.backgroundColor = '#7c3aed';
-                  e.currentTarget.style.backgroundImage = 'linear-gradient(to right, #7c3aed, #2563eb)';
-                  e.currentTarget.style.boxShadow = '0 10px 15px -3px rgba(0, 0, 0, 0.1)';
-                }
-              }}
-              onMouseLeave={(e) => {
-                if (!loadingRemoveBg && !isAnyLoading) {
-                  e.currentTarget.style.backgroundColor = '#9333ea';
-                  e.currentTarget.style.backgroundImage = 'linear-gradient(to right, #9333ea, #3b82f6)';
-                  e.currentTarget.style.boxShadow = '0 4px 6px -1px rgba(0, 0, 0, 0.1)';
-                }
-              }}
-            >
-              {loadingRemoveBg ? (
-                <svg
-                  className="animate-spin h-4 w-4"
-                  fill="none"
-                  viewBox="0 0 24 24"
-                >
-                  <circle
-                    className="opacity-25"
-                    cx="12"
-                    cy="12"
-                    r="10"
-                    stroke="currentColor"
-                    strokeWidth="4"
-                  />
-                  <path
-                    className="opacity-75"
-                    fill="currentColor"
-                    d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
+            {/* Auto-trim opt-out */}
+            {trim && onToggleAutoTrim && (
+              <label className="flex items-center gap-2 mt-2 text-xs text-gray-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={autoTrimEnabled}
+                  onChange={(e) => onToggleAutoTrim(e.target.checked)}
+                  disabled={isAnyLoading}
+                />
+                <span>
+                  Trim transparent edges (measures only your design, removes{" "}
+                  {Math.round((1 - trim.box.width * trim.box.height) * 100)}% empty area)
+                </span>
+              </label>
+            )}
+
+            {/* Garment preview with the white underbase */}
+            {tintColor && (
+              <label className="flex items-center gap-2 mt-2 text-xs text-gray-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showUnderbase}
+                  onChange={(e) => setShowUnderbase(e.target.checked)}
+                />
+                <span className="inline-flex items-center gap-1">
+                  Preview on garment color
+                  <span
+                    className="inline-block rounded-full"
+                    style={{ width: 10, height: 10, border: "1px solid #d1d5db", backgroundColor: tintColor }}
+                    aria-hidden
                   />
-                </svg>
-              ) : (
-                <svg
-                  className="w-4 h-4"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
+                  (shows how soft edges print over the white underbase)
+                </span>
+              </label>
+            )}
+
+            {/* DTF print-risk warnings for the current size */}
+            {printRisk && !isAnyLoading && (
+              <div className="mt-2">
+                <PrintRiskWarnings
+                  risk={printRisk.risk}
+                  minLineInches={printRisk.minLineInches}
+                  highlight={highlightRisk}
+                  onToggleHighlight={setHighlightRisk}
+                />
+              </div>
+            )}
+          </div>
+
+          {/* Version history: undo/redo through original → bg removed → enhanced … */}
+          {history && history.count > 1 && onUndo && onRedo && (
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={onUndo}
+                disabled={!canUndo}
+                className="px-3 py-1.5 text-xs font-medium rounded-md transition-colors"
+                style={{
+                  color: "#374151",
+                  border: "1px solid #d1d5db",
+                  backgroundColor: "#ffffff",
+                  opacity: canUndo ? 1 : 0.5,
+                  cursor: canUndo ? "pointer" : "not-allowed",
+                }}
+                title="Undo (Ctrl+Z)"
+              >
+                ↶ Undo
+              </button>
+              <span className="flex-1 text-center text-xs text-gray-600" aria-live="polite">
+                {history.label} · {history.index + 1} of {history.count}
+              </span>
+              {comparison && (
+                <button
+                  type="button"
+                  onClick={() => setComparing((c) => !c)}
+                  disabled={isAnyLoading}
+                  aria-pressed={!!showComparison}
+                  className="px-3 py-1.5 text-xs font-medium rounded-md transition-colors"
+                  style={{
+                    color: showComparison ? "#ffffff" : "#4c4cec",
+                    border: "1px solid #4c4cec",
+                    backgroundColor: showComparison ? "#4c4cec" : "#ffffff",
+                    opacity: isAnyLoading ? 0.5 : 1,
+                    cursor: isAnyLoading ? "not-allowed" : "pointer",
+                  }}
+                  title={`Compare with ${comparison.beforeLabel.toLowerCase()}`}
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"
-                  />
-                </svg>
+                  Compare
+                </button>
               )}
-              <span>{loadingRemoveBg ? "Removing..." : "Remove BG"}</span>
-            </button> */}
+              <button
+                type="button"
+                onClick={onRedo}
+                disabled={!canRedo}
+                className="px-3 py-1.5 text-xs font-medium rounded-md transition-colors"
+                style={{
+                  color: "#374151",
+                  border: "1px solid #d1d5db",
+                  backgroundColor: "#ffffff",
+                  opacity: canRedo ? 1 : 0.5,
+                  cursor: canRedo ? "pointer" : "not-allowed",
+                }}
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                Redo ↷
+              </button>
+            </div>
+          )}
 
-            {/* Enhance Image */}
-            <button
-              type="button"
-              onClick={onEnhance}
-              disabled={isAnyLoading}
-              className="enhance-button flex-1 flex items-center justify-center gap-2 px-4 py-2.5 rounded-lg text-sm font-semibold transition-all duration-200"
-              style={{
-                minWidth: "140px",
-                backgroundColor: loadingEnhance ? "#f3f4f6" : "#f59e0b",
-                backgroundImage: loadingEnhance
-                  ? "none"
-                  : "linear-gradient(to right, #f59e0b, #f97316)",
-                color: loadingEnhance ? "#9ca3af" : "#ffffff",
-                cursor: loadingEnhance ? "wait" : "pointer",
-                boxShadow: loadingEnhance
-                  ? "none"
-                  : "0 4px 6px -1px rgba(0, 0, 0, 0.1)",
-                border: "none",
-                outline: "none",
-              }}
-              onMouseEnter={(e) => {
-                if (!loadingEnhance && !isAnyLoading) {
-                  e.currentTarget.style.backgroundColor = "#d97706";
-                  e.currentTarget.style.backgroundImage =
-                    "linear-gradient(to right, #d97706, #ea580c)";
-                  e.currentTarget.style.boxShadow =
-                    "0 10px 15px -3px rgba(0, 0, 0, 0.1)";
-                }
-              }}
-              onMouseLeave={(e) => {
-                if (!loadingEnhance && !isAnyLoading) {
-                  e.currentTarget.style.backgroundColor = "#f59e0b";
-                  e.currentTarget.style.backgroundImage =
-                    "linear-gradient(to right, #f59e0b, #f97316)";
-                  e.currentTarget.style.boxShadow =
-                    "0 4px 6px -1px rgba(0, 0, 0, 0.1)";
-                }
-              }}
-            >
-              {loadingEnhance ? (
-                <svg
-                  className="animate-spin h-4 w-4"
-                  fill="none"
-                  viewBox="0 0 24 24"
-                >
-                  <circle
-                    className="opacity-25"
-                    cx="12"
-                    cy="12"
-                    r="10"
+          {/* Action buttons */}
+          {!isVector && (
+            <div className="flex flex-wrap gap-3">
+              {/* Remove Background */}
+              {/* <button
+                type="button"
+                onClick={onRemoveBg}
+                disabled={isAnyLoading}
+                className="remove-bg-button flex-1 flex items-center justify-center gap-2 px-4 py-2.5 rounded-lg text-sm font-semibold transition-all duration-200"
+                style={{
+                  minWidth: '140px',
+                  backgroundColor: loadingRemoveBg ? '#f3f4f6' : '#9333ea',
+                  backgroundImage: loadingRemoveBg ? 'none' : 'linear-gradient(to right, #9333ea, #3b82f6)',
+                  color: loadingRemoveBg ? '#9ca3af' : '#ffffff',
+                  cursor: loadingRemoveBg ? 'wait' : 'pointer',
+                  boxShadow: loadingRemoveBg ? 'none' : '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+                  border: 'none',
+                  outline: 'none',
+                }}
+                onMouseEnter={(e) => {
+                  if (!loadingRemoveBg && !isAnyLoading) {
+                    e.currentTarget.style.backgroundColor = '#7c3aed';
+                    e.currentTarget.style.backgroundImage = 'linear-gradient(to right, #7c3aed, #2563eb)';
+                    e.currentTarget.style.boxShadow = '0 10px 15px -3px rgba(0, 0, 0, 0.1)';
+                  }
+                }}
+                onMouseLeave={(e) => {
+                  if (!loadingRemoveBg && !isAnyLoading) {
+                    e.currentTarget.style.backgroundColor = '#9333ea';
+                    e.currentTarget.style.backgroundImage = 'linear-gradient(to right, #9333ea, #3b82f6)';
+                    e.currentTarget.style.boxShadow = '0 4px 6px -1px rgba(0, 0, 0, 0.1)';
+                  }
+                }}
+              >
+                {loadingRemoveBg ? (
+                  <svg
+                    className="animate-spin h-4 w-4"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                  >
+                    <circle
+                      className="opacity-25"
+                      cx="12"
+                      cy="12"
+                      r="10"
+                      stroke="currentColor"
+                      strokeWidth="4"
+                    />
+                    <path
+                      className="opacity-75"
+                      fill="currentColor"
+                      d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
+                    />
+                  </svg>
+                ) : (
+                  <svg
+                    className="w-4 h-4"
+                    fill="none"
                     stroke="currentColor"
-                    strokeWidth="4"
-                  />
-                  <path
-                    className="opacity-75"
-                    fill="currentColor"
-                    d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
-                  />
-                </svg>
-              ) : (
-                <svg
-                  className="w-4 h-4"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z"
-                  />
-                </svg>
-              )}
-              <span>{loadingEnhance ? "Enhancing..." : "Enhance"}</span>
-            </button>
-          </div>
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"
+                    />
+                  </svg>
+                )}
+                <span>{loadingRemoveBg ? "Removing..." : "Remove BG"}</span>
+              </button> */}
+
+              {/* Enhance Image */}
+              <button
+                type="button"
+                onClick={onEnhance}
+                disabled={isAnyLoading}
+                className="enhance-button flex-1 flex items-center justify-center gap-2 px-4 py-2.5 rounded-lg text-sm font-semibold transition-all duration-200"
+                style={{
+                  minWidth: "140px",
+                  backgroundColor: loadingEnhance ? "#f3f4f6" : "#f59e0b",
+                  backgroundImage: loadingEnhance
+                    ? "none"
+                    : "linear-gradient(to right, #f59e0b, #f97316)",
+                  color: loadingEnhance ? "#9ca3af" : "#ffffff",
+                  cursor: loadingEnhance ? "wait" : "pointer",
+                  boxShadow: loadingEnhance
+                    ? "none"
+                    : "0 4px 6px -1px rgba(0, 0, 0, 0.1)",
+                  border: "none",
+                  outline: "none",
+                }}
+                onMouseEnter={(e) => {
+                  if (!loadingEnhance && !isAnyLoading) {
+                    e.currentTarget.style.backgroundColor = "#d97706";
+                    e.currentTarget.style.backgroundImage =
+                      "linear-gradient(to right, #d97706, #ea580c)";
+                    e.currentTarget.style.boxShadow =
+                      "0 10px 15px -3px rgba(0, 0, 0, 0.1)";
+                  }
+                }}
+                onMouseLeave={(e) => {
+                  if (!loadingEnhance && !isAnyLoading) {
+                    e.currentTarget.style.backgroundColor = "#f59e0b";
+                    e.currentTarget.style.backgroundImage =
+                      "linear-gradient(to right, #f59e0b, #f97316)";
+                    e.currentTarget.style.boxShadow =
+                      "0 4px 6px -1px rgba(0, 0, 0, 0.1)";
+                  }
+                }}
+              >
+                {loadingEnhance ? (
+                  <svg
+                    className="animate-spin h-4 w-4"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                  >
+                    <circle
+                      className="opacity-25"
+                      cx="12"
+                      cy="12"
+                      r="10"
+                      stroke="currentColor"
+                      strokeWidth="4"
+                    />
+                    <path
+                      className="opacity-75"
+                      fill="currentColor"
+                      d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
+                    />
+                  </svg>
+                ) : (
+                  <svg
+                    className="w-4 h-4"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z"
+                    />
+                  </svg>
+                )}
+                <span>{loadingEnhance ? "Enhancing..." : "Enhance"}</span>
+              </button>
+            </div>
+          )}
 
           {/* Secondary actions */}
-          <div className="flex gap-3">
+          <div className="flex flex-wrap gap-3">
+            {enableCrop && sourceFile && (
+              <button
+                type="button"
+                onClick={() => setPendingCropFile(sourceFile)}
+                disabled={isAnyLoading}
+                className="px-4 py-2 text-sm rounded-lg transition-colors"
+                style={{
+                  color: "#374151",
+                  border: "1px solid #d1d5db",
+                  backgroundColor: "#ffffff",
+                  opacity: isAnyLoading ? 0.5 : 1,
+                  cursor: isAnyLoading ? "not-allowed" : "pointer",
+                }}
+                title="Crop the original upload again"
+              >
+                Crop
+              </button>
+            )}
+            {onTouchUp && (
+              <button
+                type="button"
+                onClick={() => setTouchingUp(true)}
+                disabled={isAnyLoading}
+                className="px-4 py-2 text-sm rounded-lg transition-colors"
+                style={{
+                  color: "#374151",
+                  border: "1px solid #d1d5db",
+                  backgroundColor: "#ffffff",
+                  opacity: isAnyLoading ? 0.5 : 1,
+                  cursor: isAnyLoading ? "not-allowed" : "pointer",
+                }}
+                title="Erase leftover background or restore removed details"
+              >
+                Touch Up
+              </button>
+            )}
+            {onColorKey && (
+              <button
+                type="button"
+                onClick={() => setColorKeying(true)}
+                disabled={isAnyLoading}
+                className="px-4 py-2 text-sm rounded-lg transition-colors"
+                style={{
+                  color: "#374151",
+                  border: "1px solid #d1d5db",
+                  backgroundColor: "#ffffff",
+                  opacity: isAnyLoading ? 0.5 : 1,
+                  cursor: isAnyLoading ? "not-allowed" : "pointer",
+                }}
+                title="Remove a solid-color background in your browser"
+              >
+                Quick Cutout
+              </button>
+            )}
+            {onFixEdges && (
+              <button
+                type="button"
+                onClick={handleFixEdges}
+                disabled={isAnyLoading || fixingEdges}
+                className="px-4 py-2 text-sm rounded-lg transition-colors"
+                style={{
+                  color: "#374151",
+                  border: "1px solid #d1d5db",
+                  backgroundColor: "#ffffff",
+                  opacity: isAnyLoading || fixingEdges ? 0.5 : 1,
+                  cursor: isAnyLoading || fixingEdges ? "not-allowed" : "pointer",
+                }}
+                title={
+                  edgeFix.mode === "dither"
+                    ? "Dither soft, semi-transparent edges so they print cleanly"
+                    : "Make soft, semi-transparent edges solid so they print without a halo"
+                }
+              >
+                {fixingEdges ? "Fixing..." : "Fix Edges"}
+              </button>
+            )}
             <button
               type="button"
               onClick={handleClick}
@@ -401,7 +926,11 @@ const UploadPanel = ({
             {onClear && (
               <button
                 type="button"
-                onClick={onClear}
+                onClick={() => {
+                  setSourceFile(null);
+                  setSourceMetadata(null);
+                  onClear();
+                }}
                 disabled={isAnyLoading}
                 className="px-4 py-2 text-sm rounded-lg transition-colors"
                 style={{
@@ -430,6 +959,7 @@ const UploadPanel = ({
       ) : (
         <div
           className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition-all duration-200"
+          style={uploadError ? { borderColor: "#fca5a5" } : undefined}
           onClick={handleClick}
           onDrop={handleDrop}
           onDragOver={handleDragOver}
@@ -460,20 +990,59 @@ const UploadPanel = ({
             </div>
             <div>
               <p className="text-base font-medium text-gray-700">
-                Click to upload or drag and drop
+                {validating ? "Checking your file..." : "Click to upload or drag and drop"}
               </p>
               <p className="text-sm text-gray-500 mt-1">
-                PNG, JPG, GIF up to 10MB
+                {describeUploadLimits(uploadLimits)}
               </p>
             </div>
           </div>
         </div>
       )}
 
+      {/* Erase / restore touch-up of the current image */}
+      {touchingUp && imageUrl && (
+        <MaskEditor
+          imageUrl={imageUrl}
+          restoreUrl={restoreUrl}
+          onConfirm={(blob) => {
+            setTouchingUp(false);
+            onTouchUp(blob);
+          }}
+          onCancel={() => setTouchingUp(false)}
+        />
+      )}
+
+      {/* In-browser solid-color background removal */}
+      {colorKeying && imageUrl && (
+        <ColorKeyModal
+          imageUrl={imageUrl}
+          onConfirm={(blob) => {
+            setColorKeying(false);
+            onColorKey(blob);
+          }}
+          onCancel={() => setColorKeying(false)}
+        />
+      )}
+
+      {/* Crop / trim step before processing */}
+      {pendingCropFile && (
+        <CropModal
+          file={pendingCropFile}
+          onConfirm={handleCropConfirm}
+          onSkip={handleCropSkip}
+          onCancel={handleCropCancel}
+        />
+      )}
+
       <input
         ref={fileInputRef}
         type="file"
-        accept="image/*"
+        accept={[
+          ...uploadLimits.allowedTypes,
+          // PDF-compatible Illustrator files report their own MIME type
+          ...(uploadLimits.allowedTypes.includes("application/pdf") ? [".ai"] : []),
+        ].join(",")}
         onChange={handleFileChange}
         className="hidden"
       />
@@ -0,0 +1,419 @@
+import { useCallback, useEffect, useReducer, useRef } from "react";
+import {
+  ORIGINAL_VERSION_ID,
+  PIPELINE_STATUS,
+  imagePipelineReducer,
+  initialPipelineState,
+  selectCanRedo,
+  selectCanUndo,
+  selectCartImageUrl,
+  selectComparison,
+  selectCurrentVersion,
+  selectDisplayUrls,
+} from "../utils/imagePipeline";
+import { isServiceUnavailable } from "../utils/processingAdapter";
+import { DEFAULT_COLOR_KEY } from "../utils/colorKey";
+import { removeBackgroundLocally } from "../utils/localBackgroundRemoval";
+import { rasterizeVector } from "../utils/vectorArtwork";
+
+// Backoff for storing a shown version that has no server copy yet (doubles per attempt)
+const STORE_RETRY_BASE_MS = 2000;
+const STORE_RETRY_MAX_MS = 30000;
+
+function revokeBlobUrl(url) {
+  if (!url || !url.startsWith("blob:")) return;
+  try {
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error("Error revoking blob URL:", err);
+  }
+}
+
+/**
+ * useImagePipeline - Runs the image pipeline (see utils/imagePipeline) against a processing adapter.
+ *
+ * Owns the only AbortController: starting a request, uploading, cancelling or clearing
+ * aborts whatever was running. Display URLs are revoked as soon as neither the state nor a
+ * parked design (see switchSlot) references them, and on unmount.
+ *
+ * Actions return (or resolve with) the display URL of the newly shown image so the caller
+ * can re-measure it, or null when nothing new is shown (failed, cancelled, superseded).
+ *
+ * @param {object} processing - Processing adapter (see utils/processingAdapter)
+ */
+export default function useImagePipeline(processing) {
+  const [state, dispatch] = useReducer(imagePipelineReducer, initialPipelineState);
+
+  // Latest state for async actions, so they never act on a stale closure
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const controllerRef = useRef(null);
+  const requestSeqRef = useRef(0);
+  const liveUrlsRef = useRef([]);
+  const parkedRef = useRef(new Map()); // slot key -> pipeline state of a design not shown
+  const retryRef = useRef(null); // what `retry` repeats after a failed request with an error
+  const autoStoreRef = useRef({ attempts: 0, stopped: false }); // see the auto-store effect
+
+  // Abort the running request and invalidate any result still on its way
+  const supersede = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    return ++requestSeqRef.current;
+  }, []);
+
+  /**
+   * Run one tracked request. `task` receives { signal, onProgress } and resolves with the
+   * reducer action to apply ("processed" or "stored"). When it fails, `errorMessage` (if
+   * any; a function receives the error) is shown to the customer.
+   */
+  const run = useCallback(async (status, task, label, errorMessage = null) => {
+    const requestId = supersede();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    dispatch({ type: "start", requestId, status });
+
+    const onProgress = (progress) => dispatch({ type: "progress", requestId, progress });
+    try {
+      const action = await task({ signal: controller.signal, onProgress });
+      if (requestId !== requestSeqRef.current) {
+        revokeBlobUrl(action.url);
+        return null;
+      }
+      dispatch({ ...action, requestId });
+      return action;
+    } catch (err) {
+      const aborted = err?.name === "AbortError";
+      if (!aborted) console.error(`${label} failed:`, err);
+      const error = typeof errorMessage === "function" ? errorMessage(err) : errorMessage;
+      dispatch({ type: "failed", requestId, error: aborted ? null : error });
+      return null;
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  }, [supersede]);
+
+  // Derive a new version from `source` with an adapter method ("removeBackground" / "enhance").
+  // Versions are stored as they are made: a result (or input) the backend did not link is
+  // stored right away, and an original whose background removal was rejected is stored as-is.
+  // When the backend is unreachable, background removal falls back to an in-browser color
+  // key; that version is stored once the backend answers again (see the auto-store effect).
+  const processVersion = useCallback((method, kind, status, source, label) =>
+    run(status, async (options) => {
+      let result;
+      try {
+        result = await processing[method](source.blob, options);
+      } catch (err) {
+        if (err?.name === "AbortError") throw err;
+        if (method !== "removeBackground" || !isServiceUnavailable(err)) {
+          if (source.serverUrl) throw err;
+          console.error(`${label} failed, keeping the original:`, err);
+          const serverUrl = await processing.storeOriginal(source.blob, { signal: options.signal });
+          return { type: "stored", versionId: source.id, serverUrl };
+        }
+        console.warn("Processing service unavailable, removing background in the browser:", err);
+        const { blob } = await removeBackgroundLocally(source.blob, DEFAULT_COLOR_KEY, options);
+        return {
+          type: "processed",
+          kind: "colorKey",
+          sourceId: source.id,
+          sourceServerUrl: null,
+          blob,
+          url: URL.createObjectURL(blob),
+          serverUrl: null,
+        };
+      }
+      const { signal } = options;
+      const [serverUrl, sourceServerUrl] = await Promise.all([
+        result.url || processing.storeOriginal(result.blob, { signal }),
+        // The backend stores whatever it was sent, i.e. the source version
+        result.originalUrl || (source.serverUrl ? null : processing.storeOriginal(source.blob, { signal })),
+      ]);
+      return {
+        type: "processed",
+        kind,
+        sourceId: source.id,
+        sourceServerUrl,
+        blob: result.blob,
+        url: URL.createObjectURL(result.blob),
+        serverUrl,
+      };
+    }, label).then((action) => action?.url || null),
+  [processing, run]);
+
+  // Store a version that has no server copy yet (and the vector original, on upload)
+  const storeVersion = useCallback((version, vector = null) => {
+    retryRef.current = { type: "store" };
+    const task = async ({ signal, onProgress }) => {
+      try {
+        const [serverUrl, vectorServerUrl] = await Promise.all([
+          processing.storeOriginal(version.blob, { signal, onProgress }),
+          vector
+            ? processing.storeOriginal(vector.file, { signal }).catch((err) => {
+                if (err?.name === "AbortError") throw err;
+                console.warn("Could not store original vector file:", err);
+                return null;
+              })
+            : undefined,
+        ]);
+        return { type: "stored", versionId: version.id, serverUrl, vectorServerUrl };
+      } catch (err) {
+        // Only an unreachable backend is worth retrying without the customer
+        if (err?.name !== "AbortError" && !isServiceUnavailable(err)) autoStoreRef.current.stopped = true;
+        throw err;
+      }
+    };
+    return run(
+      PIPELINE_STATUS.STORING,
+      task,
+      vector ? "Storing vector artwork" : "Storing image version",
+      (err) =>
+        isServiceUnavailable(err)
+          ? "We couldn't reach our server to save your design. We'll keep trying, or you can try again now."
+          : "We couldn't save your design. Please try again."
+    ).then((action) => {
+      if (action) retryRef.current = null;
+      return null;
+    });
+  }, [processing, run]);
+
+  /**
+   * New design. Vectors are stored as-is (raster preview + original file); other images
+   * get their background removed when the toggle is on (which stores the original too),
+   * or are stored as-is when it is off.
+   * @param {string} url - Display URL of the upload (ownership passes to the pipeline)
+   * @param {Blob} blob
+   * @param {{ vector?: { file: File, mimeType: string } }} [options]
+   */
+  const upload = useCallback(async (url, blob, { vector = null } = {}) => {
+    supersede();
+    dispatch({ type: "upload", url, blob, vector });
+    if (!blob) return null;
+    const original = { id: ORIGINAL_VERSION_ID, blob };
+    if (vector) return storeVersion(original, vector);
+    if (!stateRef.current.removeBgEnabled) return storeVersion(original);
+    return processVersion("removeBackground", "removeBg", PIPELINE_STATUS.REMOVING_BG, original, "Auto remove-bg");
+  }, [supersede, storeVersion, processVersion]);
+
+  const removeBackground = useCallback(async () => {
+    const s = stateRef.current;
+    const version = selectCurrentVersion(s);
+    // Vector artwork is printed from the original file; it is never sent for processing
+    if (!version || s.vector || s.status !== PIPELINE_STATUS.IDLE) return null;
+    return processVersion("removeBackground", "removeBg", PIPELINE_STATUS.REMOVING_BG, version, "Remove background");
+  }, [processVersion]);
+
+  const enhance = useCallback(async () => {
+    const s = stateRef.current;
+    const version = selectCurrentVersion(s);
+    if (!version || s.vector || s.status !== PIPELINE_STATUS.IDLE) return null;
+    return processVersion("enhance", "enhance", PIPELINE_STATUS.ENHANCING, version, "Enhance image");
+  }, [processVersion]);
+
+  /**
+   * Add an in-browser edit of the selected version (MaskEditor, ColorKeyModal or Fix Edges
+   * output) as a new version, stored on the server so the cart gets it. The version is only
+   * added once stored; when storing fails the customer is told and can retry.
+   * @param {Blob} blob
+   * @param {string} [kind] - VERSION_LABELS key: "edit", "colorKey" or "edgeFix"
+   */
+  const applyEdit = useCallback(async (blob, kind = "edit") => {
+    const s = stateRef.current;
+    const source = selectCurrentVersion(s);
+    if (!source || !blob || s.status !== PIPELINE_STATUS.IDLE) return null;
+    retryRef.current = { type: "edit", blob, kind };
+    const action = await run(PIPELINE_STATUS.STORING, async (options) => {
+      const serverUrl = await processing.storeOriginal(blob, options);
+      return {
+        type: "processed",
+        kind,
+        sourceId: source.id,
+        sourceServerUrl: null,
+        blob,
+        url: URL.createObjectURL(blob),
+        serverUrl,
+      };
+    }, "Saving edited image", "We couldn't save your edit. Check your connection and try again.");
+    if (action) retryRef.current = null;
+    return action?.url || null;
+  }, [processing, run]);
+
+  /** Repeat the request that failed with an error; resolves like the original action. */
+  const retry = useCallback(async () => {
+    const s = stateRef.current;
+    const pending = retryRef.current;
+    if (!pending || !s.error) return null;
+    retryRef.current = null;
+    if (pending.type === "edit") return applyEdit(pending.blob, pending.kind);
+
+    const version = selectCurrentVersion(s);
+    if (!version || version.serverUrl || s.status !== PIPELINE_STATUS.IDLE) return null;
+    autoStoreRef.current = { attempts: 0, stopped: false };
+    return storeVersion(version, s.vector && !s.vector.serverUrl ? s.vector : null);
+  }, [applyEdit, storeVersion]);
+
+  const dismissError = useCallback(() => {
+    retryRef.current = null;
+    dispatch({ type: "dismissError" });
+  }, []);
+
+  /**
+   * Vector artwork: render the original again for a print `printWidthInches` wide (whole
+   * artwork) and store it, so the cart image has print resolution at the chosen size.
+   */
+  const rasterizeVectorAt = useCallback(async (printWidthInches) => {
+    const s = stateRef.current;
+    const original = s.versions[0];
+    if (!s.vector || !original || s.status !== PIPELINE_STATUS.IDLE) return null;
+    const { file, mimeType } = s.vector;
+    const action = await run(PIPELINE_STATUS.STORING, async (options) => {
+      const raster = await rasterizeVector(file, mimeType, printWidthInches);
+      const serverUrl = await processing.storeOriginal(raster.file, options);
+      return {
+        type: "replaced",
+        versionId: original.id,
+        blob: raster.file,
+        url: URL.createObjectURL(raster.file),
+        serverUrl,
+      };
+    }, "Rasterizing vector artwork");
+    return action?.url || null;
+  }, [processing, run]);
+
+  /** Select a version; returns its display URL when the selection changed. */
+  const showVersion = useCallback((index) => {
+    const s = stateRef.current;
+    const version = s.versions[index];
+    if (!version || index === s.index || s.status !== PIPELINE_STATUS.IDLE) return null;
+    dispatch({ type: "select", index });
+    return version.url;
+  }, []);
+
+  const undo = useCallback(() => showVersion(stateRef.current.index - 1), [showVersion]);
+  const redo = useCallback(() => showVersion(stateRef.current.index + 1), [showVersion]);
+
+  /**
+   * Remove BG toggle: off shows the original, cancelling a running request (the original
+   * is stored if that request was carrying it); on shows (or makes) a bg-removed version.
+   */
+  const toggleRemoveBg = useCallback(async (enabled) => {
+    dispatch({ type: "setRemoveBg", enabled });
+    const s = stateRef.current;
+    if (!s.versions.length || s.vector) return null;
+    if (!enabled) {
+      const original = s.versions[0];
+      if (s.status !== PIPELINE_STATUS.IDLE) {
+        supersede();
+        dispatch({ type: "cancel" });
+      }
+      if (s.index !== 0) dispatch({ type: "select", index: 0 });
+      if (!original.serverUrl) storeVersion(original);
+      return s.index !== 0 ? original.url : null;
+    }
+
+    const isRemoved = (v) => v.kind === "removeBg" || v.kind === "colorKey";
+    if (s.versions.slice(0, s.index + 1).some(isRemoved)) return null; // already shown
+    if (s.versions.some(isRemoved)) return showVersion(s.versions.length - 1);
+    if (s.status !== PIPELINE_STATUS.IDLE) return null;
+    return processVersion(
+      "removeBackground",
+      "removeBg",
+      PIPELINE_STATUS.REMOVING_BG,
+      selectCurrentVersion(s),
+      "Remove-bg on toggle"
+    );
+  }, [supersede, storeVersion, showVersion, processVersion]);
+
+  const cancel = useCallback(() => {
+    supersede();
+    dispatch({ type: "cancel" });
+  }, [supersede]);
+
+  const clear = useCallback(() => {
+    supersede();
+    dispatch({ type: "clear" });
+  }, [supersede]);
+
+  /**
+   * Multi-location orders: park the shown design under `fromKey` and show the one parked
+   * under `toKey` (an empty pipeline when there is none). A running request is cancelled.
+   * Returns the display URL of the design now shown, or null.
+   */
+  const switchSlot = useCallback((fromKey, toKey) => {
+    supersede();
+    const parked = parkedRef.current;
+    parked.set(fromKey, imagePipelineReducer(stateRef.current, { type: "cancel" }));
+    const next = parked.get(toKey) || { ...initialPipelineState, removeBgEnabled: stateRef.current.removeBgEnabled };
+    parked.delete(toKey);
+    dispatch({ type: "restore", state: next });
+    return selectCurrentVersion(next)?.url || null;
+  }, [supersede]);
+
+  /** Drop a parked design and release its display URLs. */
+  const discardSlot = useCallback((key) => {
+    const parked = parkedRef.current.get(key);
+    if (!parked) return;
+    parkedRef.current.delete(key);
+    const urls = selectDisplayUrls(parked);
+    urls.forEach(revokeBlobUrl);
+    liveUrlsRef.current = liveUrlsRef.current.filter((url) => !urls.includes(url));
+  }, []);
+
+  // The cart needs a server copy of the shown version. One made in the browser while the
+  // backend was unreachable (color-key fallback), or left unstored by a cancelled request,
+  // is stored automatically with backoff - until a failure other than an unreachable
+  // backend, after which only the customer's retry stores it.
+  const shown = selectCurrentVersion(state);
+  useEffect(() => {
+    if (!shown || shown.serverUrl) {
+      autoStoreRef.current = { attempts: 0, stopped: false };
+      return;
+    }
+    if (state.status !== PIPELINE_STATUS.IDLE || autoStoreRef.current.stopped) return;
+    const delay = Math.min(STORE_RETRY_MAX_MS, STORE_RETRY_BASE_MS * 2 ** autoStoreRef.current.attempts);
+    const timer = setTimeout(() => {
+      autoStoreRef.current.attempts += 1;
+      storeVersion(shown, state.vector && !state.vector.serverUrl ? state.vector : null);
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [shown, state.status, state.vector, storeVersion]);
+
+  // Revoke display URLs that neither the state nor a parked design references
+  useEffect(() => {
+    const urls = [
+      ...selectDisplayUrls(state),
+      ...[...parkedRef.current.values()].flatMap(selectDisplayUrls),
+    ];
+    liveUrlsRef.current.filter((url) => !urls.includes(url)).forEach(revokeBlobUrl);
+    liveUrlsRef.current = urls;
+  }, [state]);
+
+  // Unmount: stop the running request and release every display URL
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    liveUrlsRef.current.forEach(revokeBlobUrl);
+  }, []);
+
+  return {
+    state,
+    current: shown,
+    cartImageUrl: selectCartImageUrl(state),
+    comparison: selectComparison(state),
+    canUndo: selectCanUndo(state),
+    canRedo: selectCanRedo(state),
+    upload,
+    removeBackground,
+    enhance,
+    toggleRemoveBg,
+    applyEdit,
+    retry,
+    dismissError,
+    rasterizeVectorAt,
+    undo,
+    redo,
+    cancel,
+    clear,
+    switchSlot,
+    discardSlot,
+  };
+}
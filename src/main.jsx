@@ -2,6 +2,8 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
 import ProductCustomizer from "./components/ProductCustomizer";
+import { parseGarmentCatalogAttribute } from "./utils/garmentCatalog";
+import { MOCK_ENDPOINT } from "./utils/processingAdapter";
 
 // Get the container element (rendered by Shopify Liquid block)
 const container = document.getElementById("cloth-editor-app");
@@ -10,6 +12,10 @@ if (container) {
   // Get variant ID, variant price, and asset URLs from data attributes (set by Liquid per product)
   const variantId = container.dataset.variantId || null;
   const settingsUrl = container.dataset.settingsUrl || null;
+  // Image-processing backend root (staging / self-hosted), or "mock" for local previews;
+  // the dev server processes in the browser so it does not need the hosted backend
+  const processingEndpoint =
+    container.dataset.processingEndpoint || (import.meta.env.DEV ? MOCK_ENDPOINT : null);
   const variantPriceRaw = container.dataset.variantPrice;
   const variantPrice = variantPriceRaw != null && variantPriceRaw !== ""
     ? Number(String(variantPriceRaw).replace(/,/g, ""))
@@ -21,6 +27,7 @@ if (container) {
     cap: container.dataset.cap,
     tshirt: container.dataset.tshirt,
     shorts: container.dataset.shorts,
+    tote: container.dataset.tote,
     polo: container.dataset.polo,
     apron: container.dataset.apron,
     front: container.dataset.front,
@@ -28,12 +35,17 @@ if (container) {
     side: container.dataset.side,
   };
 
+  // Preview garments as a JSON array (see utils/garmentCatalog); the settings endpoint can override
+  const garmentCatalog = parseGarmentCatalogAttribute(container.dataset.garments);
+
   ReactDOM.createRoot(container).render(
     <ProductCustomizer
       variantId={variantId}
       assetUrls={assetUrls}
+      garmentCatalog={garmentCatalog}
       settingsUrl={settingsUrl}
       variantPrice={variantPrice}
+      processingEndpoint={processingEndpoint}
     />
   );
 }
@@ -0,0 +1,29 @@
+/**
+ * Base URL for app assets. In Shopify the page is the store, so relative paths
+ * like /assets/... resolve to the store and 404. Use the script's origin so
+ * assets load from the app host (e.g. Vercel).
+ */
+function getAssetBase() {
+  if (typeof document === "undefined") return "";
+  try {
+    const script = document.currentScript;
+    if (script?.src) {
+      const origin = new URL(script.src).origin;
+      return origin;
+    }
+  } catch (_) {}
+  return "";
+}
+
+export const ASSET_BASE = getAssetBase();
+
+/**
+ * Resolve a root-relative app asset path against the app host.
+ * Absolute URLs (and relative paths when not embedded) are returned unchanged.
+ * @param {string} path - e.g. "/assets/gifs/comic-characters.gif"
+ * @returns {string}
+ */
+export function assetUrl(path) {
+  if (!ASSET_BASE || !path.startsWith("/")) return path;
+  return `${ASSET_BASE}${path}`;
+}
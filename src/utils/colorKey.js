@@ -0,0 +1,127 @@
+/**
+ * Color-key background removal - pure pixel functions (no DOM), shared by the
+ * colorKey worker and anything that wants to run them directly.
+ *
+ * Covers the common DTF case of a logo on a solid white or solid-color background:
+ * the background color is detected from the image border and keyed out with a
+ * tolerance, and a feather band gives soft edges with the background tint removed.
+ */
+
+export const DEFAULT_COLOR_KEY = {
+  tolerance: 40, // RGB distance (0-441) treated as fully background
+  feather: 24, // extra distance over which pixels fade from transparent to opaque
+  contiguous: true, // only remove background connected to the image edge (keeps enclosed areas)
+};
+
+const ALPHA_EMPTY = 8; // pixels at or below this alpha already count as background
+
+/**
+ * Detect the background color: the most common (quantized) color along the border,
+ * averaged over the border pixels in that bucket.
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @returns {[number, number, number]|null} Null when the border is fully transparent
+ */
+export function detectBackgroundColor(data, width, height) {
+  const buckets = new Map();
+  const add = (x, y) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] <= ALPHA_EMPTY) return;
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count += 1;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  };
+  for (let x = 0; x < width; x++) {
+    add(x, 0);
+    add(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    add(0, y);
+    add(width - 1, y);
+  }
+
+  let best = null;
+  buckets.forEach((bucket) => {
+    if (!best || bucket.count > best.count) best = bucket;
+  });
+  if (!best) return null;
+  return [best.r / best.count, best.g / best.count, best.b / best.count];
+}
+
+/**
+ * Key out `keyColor` in place.
+ * @param {Uint8ClampedArray} data - RGBA pixels (modified)
+ * @param {number} width
+ * @param {number} height
+ * @param {{ tolerance: number, feather: number, contiguous: boolean, keyColor?: number[] }} [options]
+ * @returns {[number, number, number]|null} The key color used (null: nothing to key)
+ */
+export function colorKeyPixels(data, width, height, options = DEFAULT_COLOR_KEY) {
+  const { tolerance, feather, contiguous } = { ...DEFAULT_COLOR_KEY, ...options };
+  const key = options.keyColor || detectBackgroundColor(data, width, height);
+  if (!key) return null;
+
+  const soft = tolerance + Math.max(0, feather);
+  const distance = (i) => {
+    if (data[i + 3] <= ALPHA_EMPTY) return 0;
+    const dr = data[i] - key[0];
+    const dg = data[i + 1] - key[1];
+    const db = data[i + 2] - key[2];
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+  };
+
+  // Fade a pixel by how close it is to the key, removing the key's tint from what stays
+  const apply = (i, d) => {
+    if (d <= tolerance) {
+      data[i + 3] = 0;
+      return;
+    }
+    if (d >= soft) return;
+    const a = (d - tolerance) / (soft - tolerance);
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = Math.min(255, Math.max(0, (data[i + c] - (1 - a) * key[c]) / a));
+    }
+    data[i + 3] = Math.round(data[i + 3] * a);
+  };
+
+  const count = width * height;
+  if (!contiguous) {
+    for (let p = 0; p < count; p++) apply(p * 4, distance(p * 4));
+    return key;
+  }
+
+  // Flood fill from the border through background pixels; feather-band pixels next to
+  // the background are faded but not expanded through, so enclosed areas stay intact
+  const visited = new Uint8Array(count);
+  const queue = new Uint32Array(count);
+  let head = 0;
+  let tail = 0;
+  const visit = (p) => {
+    if (visited[p]) return;
+    visited[p] = 1;
+    const d = distance(p * 4);
+    if (d <= tolerance) queue[tail++] = p;
+    apply(p * 4, d);
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % width;
+    if (x > 0) visit(p - 1);
+    if (x < width - 1) visit(p + 1);
+    if (p >= width) visit(p - width);
+    if (p < count - width) visit(p + width);
+  }
+  return key;
+}
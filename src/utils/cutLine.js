@@ -0,0 +1,354 @@
+/**
+ * Cut-line contour for the pre-cut service - an outline around the design's alpha mask,
+ * pushed out by an offset and smoothed, so the cutter has a path and the customer sees
+ * where the cut goes.
+ *
+ * The mask is read once per image (loadCutMask, at a capped resolution); tracing
+ * (traceCutLine) depends on the print size, since the offset is in inches. Only outer
+ * contours are cut: holes (inside letters, etc.) are filled first.
+ */
+import { Path } from "fabric";
+
+export const DEFAULT_CUT_LINE = {
+  offsetInches: 0.0625, // 1/16" of margin around the design
+  smoothing: 2, // 0 (follows every pixel step) to 10 (very rounded)
+};
+
+const MASK_MAX_PX = 800; // longest side of the traced mask
+const ALPHA_CUT = 32; // alpha above this is part of the design (ignores faint shadows)
+const MIN_LOOP_AREA = 16; // mask px²; smaller islands are specks, not cut
+const SIMPLIFY_TOLERANCE = 0.35; // mask px kept from the smoothed outline
+
+/**
+ * Merge a raw settings object over DEFAULT_CUT_LINE, ignoring invalid values.
+ * @param {object} [raw] - `cutLine` from the settings endpoint
+ * @returns {{ offsetInches: number, smoothing: number }}
+ */
+export function normalizeCutLine(raw) {
+  const config = { ...DEFAULT_CUT_LINE };
+  if (!raw || typeof raw !== "object") return config;
+
+  const offset = Number(raw.offsetInches);
+  if (raw.offsetInches != null && Number.isFinite(offset) && offset >= 0 && offset <= 1) {
+    config.offsetInches = offset;
+  }
+  const smoothing = Number(raw.smoothing);
+  if (raw.smoothing != null && Number.isFinite(smoothing)) {
+    config.smoothing = Math.min(10, Math.max(0, Math.round(smoothing)));
+  }
+  return config;
+}
+
+/**
+ * Read the design mask of an image (independent of print size).
+ * @param {string} url - Blob or image URL
+ * @returns {Promise<{ width: number, height: number, scale: number, mask: Uint8Array }>}
+ *   `scale` is mask px per image px
+ */
+export function loadCutMask(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, MASK_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+      const width = Math.max(1, Math.round(img.naturalWidth * scale));
+      const height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+      const mask = new Uint8Array(width * height);
+      for (let p = 0; p < mask.length; p++) mask[p] = data[p * 4 + 3] > ALPHA_CUT ? 1 : 0;
+      resolve({ width, height, scale: width / img.naturalWidth, mask });
+    };
+    img.onerror = () => reject(new Error("Failed to load image for cut line"));
+    img.src = url;
+  });
+}
+
+/** Grow the mask by `offset` px (chamfer distance) onto a grid padded by `pad` on every side. */
+function offsetMask({ width, height, mask }, offset, pad) {
+  const w = width + pad * 2;
+  const h = height + pad * 2;
+  const dist = new Float32Array(w * h).fill(Infinity);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) dist[(y + pad) * w + x + pad] = 0;
+    }
+  }
+  const at = (x, y) => (x < 0 || y < 0 || x >= w || y >= h ? Infinity : dist[y * w + x]);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const p = y * w + x;
+      dist[p] = Math.min(dist[p], at(x - 1, y) + 3, at(x, y - 1) + 3, at(x - 1, y - 1) + 4, at(x + 1, y - 1) + 4);
+    }
+  }
+  for (let y = h - 1; y >= 0; y--) {
+    for (let x = w - 1; x >= 0; x--) {
+      const p = y * w + x;
+      dist[p] = Math.min(dist[p], at(x + 1, y) + 3, at(x, y + 1) + 3, at(x + 1, y + 1) + 4, at(x - 1, y + 1) + 4);
+    }
+  }
+
+  const limit = offset * 3;
+  const region = new Uint8Array(w * h);
+  for (let p = 0; p < region.length; p++) region[p] = dist[p] <= limit ? 1 : 0;
+  return { w, h, region };
+}
+
+/** Fill holes: everything not reachable from the (empty) grid border becomes inside. */
+function fillHoles(region, w, h) {
+  const outside = new Uint8Array(w * h);
+  const stack = [];
+  const push = (p) => {
+    if (outside[p] || region[p]) return;
+    outside[p] = 1;
+    stack.push(p);
+  };
+  for (let x = 0; x < w; x++) {
+    push(x);
+    push((h - 1) * w + x);
+  }
+  for (let y = 0; y < h; y++) {
+    push(y * w);
+    push(y * w + w - 1);
+  }
+  while (stack.length) {
+    const p = stack.pop();
+    const x = p % w;
+    if (x > 0) push(p - 1);
+    if (x < w - 1) push(p + 1);
+    if (p >= w) push(p - w);
+    if (p < w * h - w) push(p + w);
+  }
+  for (let p = 0; p < region.length; p++) region[p] = outside[p] ? 0 : 1;
+}
+
+/**
+ * Trace the pixel boundaries of the region as closed loops of grid corners.
+ * Each boundary edge runs clockwise around its inside pixel, so every corner has as many
+ * edges in as out and the edges chain into loops.
+ */
+function traceLoops(region, w, h) {
+  const key = (x, y) => y * (w + 1) + x;
+  const outgoing = new Map();
+  const addEdge = (x0, y0, x1, y1) => {
+    const k = key(x0, y0);
+    const list = outgoing.get(k);
+    if (list) list.push([x1, y1]);
+    else outgoing.set(k, [[x1, y1]]);
+  };
+  const inside = (x, y) => x >= 0 && y >= 0 && x < w && y < h && region[y * w + x] === 1;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!inside(x, y)) continue;
+      if (!inside(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!inside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!inside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!inside(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const loops = [];
+  outgoing.forEach((_, startKey) => {
+    while (outgoing.get(startKey)?.length) {
+      const loop = [];
+      let x = startKey % (w + 1);
+      let y = Math.floor(startKey / (w + 1));
+      let k = startKey;
+      do {
+        loop.push(x, y);
+        const list = outgoing.get(k);
+        [x, y] = list.pop();
+        if (!list.length) outgoing.delete(k);
+        k = key(x, y);
+      } while (k !== startKey && outgoing.get(k)?.length);
+      loops.push(loop);
+    }
+  });
+  return loops;
+}
+
+/** Signed area of a flat [x0, y0, x1, y1, …] loop (shoelace). */
+function loopArea(loop) {
+  let area = 0;
+  for (let i = 0; i < loop.length; i += 2) {
+    const j = (i + 2) % loop.length;
+    area += loop[i] * loop[j + 1] - loop[j] * loop[i + 1];
+  }
+  return area / 2;
+}
+
+/** Circular moving average over `radius` points on each side (rounds off pixel stairs). */
+function smoothLoop(loop, radius) {
+  const n = loop.length / 2;
+  if (radius < 1 || n < 3) return loop;
+  const r = Math.min(radius, Math.floor((n - 1) / 2));
+  const out = new Array(loop.length);
+  for (let i = 0; i < n; i++) {
+    let sx = 0;
+    let sy = 0;
+    for (let j = -r; j <= r; j++) {
+      const q = ((i + j + n) % n) * 2;
+      sx += loop[q];
+      sy += loop[q + 1];
+    }
+    out[i * 2] = sx / (2 * r + 1);
+    out[i * 2 + 1] = sy / (2 * r + 1);
+  }
+  return out;
+}
+
+/** Ramer-Douglas-Peucker on an open [x0, y0, …] polyline; keeps the end points. */
+function simplifyPolyline(points, tolerance) {
+  const n = points.length / 2;
+  if (n < 3) return points;
+  const keep = new Uint8Array(n);
+  keep[0] = 1;
+  keep[n - 1] = 1;
+  const stack = [[0, n - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const ax = points[a * 2];
+    const ay = points[a * 2 + 1];
+    const dx = points[b * 2] - ax;
+    const dy = points[b * 2 + 1] - ay;
+    const len = Math.hypot(dx, dy) || 1;
+    let maxDist = 0;
+    let index = -1;
+    for (let i = a + 1; i < b; i++) {
+      const d = Math.abs(dy * (points[i * 2] - ax) - dx * (points[i * 2 + 1] - ay)) / len;
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (maxDist > tolerance) {
+      keep[index] = 1;
+      stack.push([a, index], [index, b]);
+    }
+  }
+  const out = [];
+  for (let i = 0; i < n; i++) if (keep[i]) out.push(points[i * 2], points[i * 2 + 1]);
+  return out;
+}
+
+/**
+ * Trace the cut line for a print size.
+ * @param {object} cutMask - Result of loadCutMask
+ * @param {{ offsetInches: number, smoothing: number }} config
+ * @param {number} pxPerInch - Mask pixels per printed inch
+ * @returns {{
+ *   width: number, height: number, scale: number, pxPerInch: number,
+ *   loops: number[][], pathData: string
+ * }|null} Loops are flat [x0, y0, …] in mask px (origin at the image's top-left; the offset
+ *   may reach past the image); null when the image has no visible design
+ */
+export function traceCutLine(cutMask, config, pxPerInch) {
+  if (!cutMask || !(pxPerInch > 0)) return null;
+  const offset = config.offsetInches * pxPerInch;
+  const pad = Math.ceil(offset) + 2;
+  const { w, h, region } = offsetMask(cutMask, offset, pad);
+  fillHoles(region, w, h);
+
+  const loops = traceLoops(region, w, h)
+    .filter((loop) => Math.abs(loopArea(loop)) >= MIN_LOOP_AREA)
+    .map((loop) => {
+      const smooth = smoothLoop(loop, config.smoothing * 2);
+      // Simplify as two open halves split at the point farthest from the start
+      let far = 0;
+      let farDist = 0;
+      for (let i = 2; i < smooth.length; i += 2) {
+        const d = Math.hypot(smooth[i] - smooth[0], smooth[i + 1] - smooth[1]);
+        if (d > farDist) {
+          farDist = d;
+          far = i;
+        }
+      }
+      const first = simplifyPolyline(smooth.slice(0, far + 2), SIMPLIFY_TOLERANCE);
+      const second = simplifyPolyline([...smooth.slice(far), smooth[0], smooth[1]], SIMPLIFY_TOLERANCE);
+      return [...first, ...second.slice(2, -2)].map((v) => v - pad);
+    })
+    .filter((loop) => loop.length >= 6);
+  if (!loops.length) return null;
+
+  const pathData = loops
+    .map((loop) => {
+      let d = `M${loop[0].toFixed(1)} ${loop[1].toFixed(1)}`;
+      for (let i = 2; i < loop.length; i += 2) d += `L${loop[i].toFixed(1)} ${loop[i + 1].toFixed(1)}`;
+      return `${d}Z`;
+    })
+    .join("");
+
+  return {
+    width: cutMask.width,
+    height: cutMask.height,
+    scale: cutMask.scale,
+    pxPerInch,
+    loops,
+    pathData,
+  };
+}
+
+/**
+ * Cut-line file for production: one path in physical units. The viewBox is the image
+ * (in mask px) plus the margin the offset needs, so the image occupies
+ * (0, 0)–(width, height) and the document's inch size matches the print.
+ * @returns {string} SVG document
+ */
+export function cutLineToSvg(cutLine) {
+  let minX = 0;
+  let minY = 0;
+  let maxX = cutLine.width;
+  let maxY = cutLine.height;
+  cutLine.loops.forEach((loop) => {
+    for (let i = 0; i < loop.length; i += 2) {
+      minX = Math.min(minX, loop[i]);
+      maxX = Math.max(maxX, loop[i]);
+      minY = Math.min(minY, loop[i + 1]);
+      maxY = Math.max(maxY, loop[i + 1]);
+    }
+  });
+  const boxW = maxX - minX;
+  const boxH = maxY - minY;
+  const inches = (px) => (px / cutLine.pxPerInch).toFixed(3);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${inches(boxW)}in" height="${inches(boxH)}in"`,
+    ` viewBox="${minX.toFixed(1)} ${minY.toFixed(1)} ${boxW.toFixed(1)} ${boxH.toFixed(1)}">`,
+    `<path id="CutContour" d="${cutLine.pathData}" fill="none" stroke="#ff00ff" stroke-width="${(0.01 * cutLine.pxPerInch).toFixed(2)}"/>`,
+    "</svg>",
+  ].join("");
+}
+
+/**
+ * Fabric object drawing the cut line over a placed design image (mockups).
+ * @param {object} cutLine - Result of traceCutLine
+ * @param {object} logo - Fabric image of the design, origin at its center
+ */
+export function createCutLineObject(cutLine, logo) {
+  const path = new Path(cutLine.pathData, {
+    fill: "",
+    stroke: "#dc2626",
+    strokeWidth: 1,
+    strokeDashArray: [3, 2],
+    strokeUniform: true,
+    selectable: false,
+    evented: false,
+    objectCaching: false,
+  });
+
+  // Mask px → canvas px, placing the path's own center relative to the image's center
+  const s = logo.scaleX / cutLine.scale;
+  const bbox = path.pathOffset; // center of the path in mask px
+  path.set({
+    originX: "center",
+    originY: "center",
+    scaleX: s,
+    scaleY: s,
+    left: logo.left + (bbox.x - cutLine.width / 2) * s,
+    top: logo.top + (bbox.y - cutLine.height / 2) * s,
+  });
+  return path;
+}
@@ -0,0 +1,42 @@
+/**
+ * Design placement on the garment - where the printable area sits on a garment image,
+ * where the customer put the design inside it (DesignEditor), and how large the design
+ * draws on mockups.
+ *
+ * A print area carries its physical size (`widthInches` × `heightInches`) and how much of
+ * the garment image's width it spans (`widthFraction`); together they give the mockup's
+ * pixels per inch, so designs render at their real size relative to the garment.
+ */
+
+// Printable area on the front view (editor): horizontal center and top as fractions of the
+// garment image; the height follows from the inches
+export const DEFAULT_PRINT_AREA = {
+  centerX: 0.5,
+  top: 0.24,
+  widthFraction: 0.36,
+  widthInches: 12,
+  heightInches: 15,
+};
+
+// Design center offset from the print-area center (inches, +y down) and rotation (degrees)
+export const DEFAULT_DESIGN_TRANSFORM = { x: 0, y: 0, angle: 0 };
+
+/**
+ * Pixels per inch on a garment image drawn `garmentWidthPx` wide.
+ * @param {number} garmentWidthPx - Scaled width of the garment image
+ * @param {{ widthFraction: number, widthInches: number }} printArea
+ */
+export function getMockupPxPerInch(garmentWidthPx, printArea) {
+  return (garmentWidthPx * printArea.widthFraction) / printArea.widthInches;
+}
+
+/**
+ * Whether a design of the given printed size fits the print area.
+ * @param {number} widthInches
+ * @param {number} heightInches
+ * @param {{ widthInches: number, heightInches: number }} printArea
+ */
+export function fitsPrintArea(widthInches, heightInches, printArea) {
+  const tolerance = 0.01; // sizes are rounded to 2 decimals
+  return widthInches <= printArea.widthInches + tolerance && heightInches <= printArea.heightInches + tolerance;
+}
@@ -0,0 +1,148 @@
+/**
+ * Edge hardening for DTF - removes the soft, semi-transparent fringe remove-bg leaves,
+ * which prints as a faint halo (partial white underbase under partial ink).
+ *
+ * Partial alpha is either thresholded (clean hard edge) or ordered-dithered (keeps the
+ * impression of soft shading with fully on/off dots), then the edge can be choked
+ * inward by a pixel or two so no fringe color is left at the border.
+ */
+
+export const EDGE_FIX_MODES = ["threshold", "dither"];
+
+export const DEFAULT_EDGE_FIX = {
+  mode: "threshold",
+  threshold: 128, // alpha (0-255) at or above which a pixel is kept, in threshold mode
+  choke: 1, // pixels removed from every edge after hardening (0-4)
+};
+
+const MAX_CHOKE = 4;
+
+// 4x4 Bayer matrix, as thresholds in (0, 255)
+const BAYER_4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map((v) => ((v + 0.5) / 16) * 255);
+
+/**
+ * Merge a raw settings object over DEFAULT_EDGE_FIX, ignoring invalid values.
+ * @param {object} [raw] - `edgeFix` from the settings endpoint
+ * @returns {{ mode: "threshold"|"dither", threshold: number, choke: number }}
+ */
+export function normalizeEdgeFix(raw) {
+  const config = { ...DEFAULT_EDGE_FIX };
+  if (!raw || typeof raw !== "object") return config;
+
+  if (EDGE_FIX_MODES.includes(raw.mode)) config.mode = raw.mode;
+  const threshold = Number(raw.threshold);
+  if (raw.threshold != null && Number.isFinite(threshold)) {
+    config.threshold = Math.min(255, Math.max(1, Math.round(threshold)));
+  }
+  const choke = Number(raw.choke);
+  if (raw.choke != null && Number.isFinite(choke) && choke >= 0) {
+    config.choke = Math.min(MAX_CHOKE, Math.round(choke));
+  }
+  return config;
+}
+
+/**
+ * Harden alpha in place: every pixel ends up fully opaque or fully transparent.
+ * @param {Uint8ClampedArray} data - RGBA pixels (modified)
+ * @param {number} width
+ * @param {number} height
+ * @param {{ mode: string, threshold: number, choke: number }} [options]
+ */
+export function hardenAlphaPixels(data, width, height, options = DEFAULT_EDGE_FIX) {
+  const { mode, threshold, choke } = { ...DEFAULT_EDGE_FIX, ...options };
+  const count = width * height;
+
+  for (let p = 0; p < count; p++) {
+    const i = p * 4 + 3;
+    const a = data[i];
+    if (a === 0 || a === 255) continue;
+    const cutoff = mode === "dither" ? BAYER_4[(Math.floor(p / width) & 3) * 4 + ((p % width) & 3)] : threshold;
+    data[i] = a >= cutoff ? 255 : 0;
+  }
+
+  // Choke: erode the opaque area one pixel ring at a time (4-neighbour; the image border
+  // itself is not treated as an edge)
+  const clear = (q) => data[q * 4 + 3] === 0;
+  const ring = new Uint8Array(count);
+  for (let step = 0; step < Math.min(MAX_CHOKE, choke); step++) {
+    ring.fill(0);
+    for (let p = 0; p < count; p++) {
+      if (clear(p)) continue;
+      const x = p % width;
+      if (
+        (x > 0 && clear(p - 1)) ||
+        (x < width - 1 && clear(p + 1)) ||
+        (p >= width && clear(p - width)) ||
+        (p < count - width && clear(p + width))
+      ) {
+        ring[p] = 1;
+      }
+    }
+    for (let p = 0; p < count; p++) if (ring[p]) data[p * 4 + 3] = 0;
+  }
+}
+
+/** Draw an image URL to a canvas, optionally downsized so its longest side is at most maxSize. */
+function loadToCanvas(url, maxSize = null) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = maxSize ? Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight)) : 1;
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve({ canvas, ctx });
+    };
+    img.onerror = () => reject(new Error("Failed to load image for edge processing"));
+    img.src = url;
+  });
+}
+
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Failed to export image"))), "image/png");
+  });
+}
+
+/**
+ * Harden the edges of an image at full resolution.
+ * @param {string} url - Blob or image URL
+ * @param {{ mode: string, threshold: number, choke: number }} [options]
+ * @returns {Promise<Blob>} PNG
+ */
+export async function hardenEdges(url, options = DEFAULT_EDGE_FIX) {
+  const { canvas, ctx } = await loadToCanvas(url);
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  hardenAlphaPixels(imageData.data, canvas.width, canvas.height, options);
+  ctx.putImageData(imageData, 0, 0);
+  return canvasToPng(canvas);
+}
+
+/**
+ * Simulate the print on a garment: the white underbase is laid down with the design's
+ * alpha and the ink on top of it, so partial alpha shows as a light halo on dark colors.
+ * @param {string} url - Blob or image URL
+ * @param {string} garmentColor - CSS hex color, e.g. the viewer's tint
+ * @param {{ maxSize?: number }} [options] - Downsize for preview
+ * @returns {Promise<Blob>} Opaque PNG
+ */
+export async function simulateUnderbase(url, garmentColor, { maxSize = null } = {}) {
+  const { canvas, ctx } = await loadToCanvas(url, maxSize);
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = imageData;
+  const hex = /^#?([0-9a-f]{6})$/i.exec(garmentColor || "")?.[1] || "6b7280";
+  const garment = [0, 2, 4].map((o) => parseInt(hex.slice(o, o + 2), 16));
+
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      const withUnderbase = garment[c] + (255 - garment[c]) * a;
+      data[i + c] = withUnderbase + (data[i + c] - withUnderbase) * a;
+    }
+    data[i + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvasToPng(canvas);
+}
@@ -0,0 +1,259 @@
+/**
+ * Gang sheets - many designs (with quantities) nested on one DTF roll sheet of fixed width,
+ * priced by the sheet's length and printed from a single composed PNG.
+ *
+ * Nesting is a skyline bottom-left packer: copies are placed largest first, each at the
+ * position that keeps its top edge lowest, optionally rotated 90°. Every copy keeps
+ * `spacingInches` of clearance and the sheet a `marginInches` border.
+ *
+ * Layout units are inches from the sheet's top-left corner; a placement's width/height are
+ * its footprint on the sheet (swapped from the design's size when rotated).
+ */
+
+export const DEFAULT_GANG_SHEET = {
+  enabled: false,
+  widthInches: 22.5, // roll width
+  marginInches: 0.25, // clear border around the sheet
+  spacingInches: 0.25, // clearance between designs
+  allowRotation: true,
+  maxLengthInches: 120,
+  dpi: 300, // print resolution of the exported sheet
+  maxExportPixels: 64000000, // browser canvas budget; longer sheets export at a lower DPI
+};
+
+const MAX_CANVAS_SIDE = 16384;
+const EPSILON = 1e-6;
+
+/**
+ * Merge a raw settings object over DEFAULT_GANG_SHEET, ignoring invalid values.
+ * @param {object} [raw] - `gangSheet` from the settings endpoint
+ * @returns {typeof DEFAULT_GANG_SHEET}
+ */
+export function normalizeGangSheet(raw) {
+  const config = { ...DEFAULT_GANG_SHEET };
+  if (!raw || typeof raw !== "object") return config;
+
+  if (typeof raw.enabled === "boolean") config.enabled = raw.enabled;
+  if (typeof raw.allowRotation === "boolean") config.allowRotation = raw.allowRotation;
+  ["widthInches", "maxLengthInches", "dpi", "maxExportPixels"].forEach((key) => {
+    const n = Number(raw[key]);
+    if (raw[key] != null && Number.isFinite(n) && n > 0) config[key] = n;
+  });
+  ["marginInches", "spacingInches"].forEach((key) => {
+    const n = Number(raw[key]);
+    if (raw[key] != null && Number.isFinite(n) && n >= 0) config[key] = n;
+  });
+  config.marginInches = Math.min(config.marginInches, config.widthInches / 4);
+  return config;
+}
+
+/** Widest design that fits across the sheet. */
+export function getUsableWidth(config) {
+  return config.widthInches - 2 * config.marginInches;
+}
+
+/** Sheet length for a set of placements: the lowest bottom edge plus the margin. */
+export function getSheetLength(placements, config) {
+  if (!placements.length) return 0;
+  const bottom = Math.max(...placements.map((p) => p.y + p.height));
+  return +(bottom + config.marginInches).toFixed(2);
+}
+
+// Lowest y at which a rect `width` wide can rest on the skyline starting at segment `index`
+function restingY(skyline, index, width, binWidth) {
+  const { x } = skyline[index];
+  if (x + width > binWidth + EPSILON) return null;
+  let y = 0;
+  let remaining = width;
+  for (let i = index; i < skyline.length && remaining > EPSILON; i++) {
+    y = Math.max(y, skyline[i].y);
+    remaining -= skyline[i].width;
+  }
+  return y;
+}
+
+function addToSkyline(skyline, index, x, y, width) {
+  skyline.splice(index, 0, { x, y, width });
+  // Trim the segments the new one covers
+  for (let i = index + 1; i < skyline.length; i++) {
+    const prev = skyline[i - 1];
+    const seg = skyline[i];
+    const overlap = prev.x + prev.width - seg.x;
+    if (overlap <= EPSILON) break;
+    if (overlap >= seg.width - EPSILON) {
+      skyline.splice(i, 1);
+      i--;
+    } else {
+      seg.x += overlap;
+      seg.width -= overlap;
+      break;
+    }
+  }
+  // Merge neighbours at the same height
+  for (let i = 0; i < skyline.length - 1; i++) {
+    if (Math.abs(skyline[i].y - skyline[i + 1].y) < EPSILON) {
+      skyline[i].width += skyline[i + 1].width;
+      skyline.splice(i + 1, 1);
+      i--;
+    }
+  }
+}
+
+/**
+ * Nest every copy of every design onto the sheet.
+ * @param {Array<{ id: string, width: number, height: number, quantity: number }>} items - Sizes in inches
+ * @param {typeof DEFAULT_GANG_SHEET} config
+ * @returns {{
+ *   placements: Array<{ key: string, itemId: string, x: number, y: number, width: number, height: number, rotated: boolean }>,
+ *   unplaced: string[],
+ *   lengthInches: number
+ * }} `unplaced` lists the ids of designs too wide for the sheet
+ */
+export function packGangSheet(items, config = DEFAULT_GANG_SHEET) {
+  const { marginInches: margin, spacingInches: spacing } = config;
+  // Each copy carries its spacing on the right and bottom; the bin gets the same allowance
+  // so the last column and row need no trailing gap
+  const binWidth = getUsableWidth(config) + spacing;
+
+  const copies = [];
+  items.forEach((item) => {
+    for (let copy = 0; copy < Math.max(0, Math.floor(item.quantity)); copy++) {
+      copies.push({ itemId: item.id, copy, width: item.width, height: item.height });
+    }
+  });
+  copies.sort(
+    (a, b) =>
+      Math.max(b.width, b.height) - Math.max(a.width, a.height) || b.width * b.height - a.width * a.height
+  );
+
+  const skyline = [{ x: 0, y: 0, width: binWidth }];
+  const placements = [];
+  const unplaced = new Set();
+
+  copies.forEach((rect) => {
+    const orientations = [{ width: rect.width, height: rect.height, rotated: false }];
+    if (config.allowRotation && Math.abs(rect.width - rect.height) > EPSILON) {
+      orientations.push({ width: rect.height, height: rect.width, rotated: true });
+    }
+
+    let best = null;
+    orientations.forEach((o) => {
+      const w = o.width + spacing;
+      const h = o.height + spacing;
+      skyline.forEach((seg, index) => {
+        const y = restingY(skyline, index, w, binWidth);
+        if (y == null) return;
+        const top = y + h;
+        if (!best || top < best.top - EPSILON || (Math.abs(top - best.top) < EPSILON && seg.x < best.x)) {
+          best = { top, index, x: seg.x, y, w, orientation: o };
+        }
+      });
+    });
+
+    if (!best) {
+      unplaced.add(rect.itemId);
+      return;
+    }
+    addToSkyline(skyline, best.index, best.x, best.y + best.orientation.height + spacing, best.w);
+    placements.push({
+      key: `${rect.itemId}-${rect.copy}`,
+      itemId: rect.itemId,
+      x: +(margin + best.x).toFixed(3),
+      y: +(margin + best.y).toFixed(3),
+      width: best.orientation.width,
+      height: best.orientation.height,
+      rotated: best.orientation.rotated,
+    });
+  });
+
+  return { placements, unplaced: [...unplaced], lengthInches: getSheetLength(placements, config) };
+}
+
+/**
+ * Problems in a (hand-adjusted) layout. Outside means past the margins of the roll width or
+ * of the maximum sheet length.
+ * @returns {{ overlapping: Set<string>, outside: Set<string> }} Placement keys
+ */
+export function findLayoutIssues(placements, config = DEFAULT_GANG_SHEET) {
+  const overlapping = new Set();
+  const outside = new Set();
+  const { marginInches: margin, spacingInches: spacing, widthInches, maxLengthInches } = config;
+  // Hand placement is allowed to be slightly tighter than the packer's spacing
+  const clearance = spacing / 2;
+
+  placements.forEach((a, i) => {
+    if (
+      a.x < margin - EPSILON ||
+      a.y < margin - EPSILON ||
+      a.x + a.width > widthInches - margin + EPSILON ||
+      a.y + a.height > maxLengthInches - margin + EPSILON
+    ) {
+      outside.add(a.key);
+    }
+    for (let j = i + 1; j < placements.length; j++) {
+      const b = placements[j];
+      const apart =
+        a.x + a.width + clearance <= b.x + EPSILON ||
+        b.x + b.width + clearance <= a.x + EPSILON ||
+        a.y + a.height + clearance <= b.y + EPSILON ||
+        b.y + b.height + clearance <= a.y + EPSILON;
+      if (!apart) {
+        overlapping.add(a.key);
+        overlapping.add(b.key);
+      }
+    }
+  });
+  return { overlapping, outside };
+}
+
+/**
+ * Resolution the sheet can be exported at: the configured DPI, lowered when the sheet would
+ * exceed the browser's canvas limits.
+ */
+export function getExportDpi(lengthInches, config = DEFAULT_GANG_SHEET) {
+  const { widthInches, dpi, maxExportPixels } = config;
+  if (!(lengthInches > 0)) return dpi;
+  const byArea = Math.sqrt(maxExportPixels / (widthInches * lengthInches));
+  const bySide = MAX_CANVAS_SIDE / Math.max(widthInches, lengthInches);
+  return Math.max(1, Math.floor(Math.min(dpi, byArea, bySide)));
+}
+
+/**
+ * Compose the print-ready sheet.
+ * @param {Array<object>} placements - Layout placements (inches)
+ * @param {Map<string, HTMLImageElement>} images - Loaded design image per item id
+ * @param {typeof DEFAULT_GANG_SHEET} config
+ * @returns {Promise<{ blob: Blob, dpi: number, widthPx: number, heightPx: number }>} Transparent PNG
+ */
+export function renderGangSheet(placements, images, config = DEFAULT_GANG_SHEET) {
+  const lengthInches = getSheetLength(placements, config);
+  const dpi = getExportDpi(lengthInches, config);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(config.widthInches * dpi);
+  canvas.height = Math.max(1, Math.round(lengthInches * dpi));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+
+  placements.forEach((p) => {
+    const img = images.get(p.itemId);
+    if (!img) return;
+    // Design size before rotation
+    const w = (p.rotated ? p.height : p.width) * dpi;
+    const h = (p.rotated ? p.width : p.height) * dpi;
+    ctx.save();
+    ctx.translate((p.x + p.width / 2) * dpi, (p.y + p.height / 2) * dpi);
+    if (p.rotated) ctx.rotate(Math.PI / 2);
+    ctx.drawImage(img, -w / 2, -h / 2, w, h);
+    ctx.restore();
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Failed to export gang sheet"));
+        return;
+      }
+      resolve({ blob, dpi, widthPx: canvas.width, heightPx: canvas.height });
+    }, "image/png");
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * Garment catalog - the products the design is previewed on (DesignViewer).
+ *
+ * Each garment carries its image, how strongly the tint color is multiplied in, and its
+ * print area (physical size, share of the image width, center offset), so merchants can
+ * add, remove and reorder preview products from the settings endpoint or the Liquid
+ * block's `data-garments` attribute.
+ *
+ * Garment shape:
+ *   {
+ *     id: "tshirt",
+ *     label: "T-Shirt",
+ *     imageUrl: "https://cdn.shopify.com/...",
+ *     tintAlpha: 0.9,               // BlendColor multiply strength (0-1)
+ *     printArea: {
+ *       widthInches: 12,
+ *       heightInches: 15,
+ *       widthFraction: 0.36,        // share of the image width the print area spans
+ *       offsetX: 0,                 // print-area center offset from the image center,
+ *       offsetY: -0.05,             //   as fractions of the image width / height
+ *     },
+ *     defaultDesignInches: 8,       // design width shown before a size is chosen
+ *     placementPositions: true,     // placement preset positions are measured on this image
+ *   }
+ *
+ * Entries whose id matches a built-in garment only need the fields they change; a plain
+ * string id (e.g. "cap") selects the built-in garment as is.
+ */
+
+export const DEFAULT_GARMENT_CATALOG = [
+  {
+    id: "tshirt",
+    label: "T-Shirt",
+    imageUrl: "/assets/6-cloths/full-front.png",
+    tintAlpha: 0.9,
+    printArea: { widthInches: 12, heightInches: 15, widthFraction: 0.36, offsetX: 0, offsetY: -0.05 },
+    defaultDesignInches: 7,
+    placementPositions: true,
+  },
+  {
+    id: "hoodie",
+    label: "Hoodie",
+    imageUrl: "/assets/6-cloths/Hoodie_White.png",
+    tintAlpha: 0.85,
+    printArea: { widthInches: 11, heightInches: 10, widthFraction: 0.33, offsetX: 0, offsetY: -0.05 },
+    defaultDesignInches: 7,
+  },
+  {
+    id: "polo",
+    label: "Polo",
+    imageUrl: "/assets/6-cloths/polo-tshirt.png",
+    tintAlpha: 0.88,
+    printArea: { widthInches: 10, heightInches: 12, widthFraction: 0.32, offsetX: 0, offsetY: -0.05 },
+    defaultDesignInches: 6,
+  },
+  {
+    id: "cap",
+    label: "Cap",
+    imageUrl: "/assets/Cap_White.png",
+    tintAlpha: 0.75,
+    printArea: { widthInches: 4.5, heightInches: 2.5, widthFraction: 0.45, offsetX: 0, offsetY: -0.08 },
+    defaultDesignInches: 3,
+  },
+  {
+    id: "apron",
+    label: "Apron",
+    imageUrl: "/assets/6-cloths/Apron_White.png",
+    tintAlpha: 0.8,
+    printArea: { widthInches: 9, heightInches: 9, widthFraction: 0.36, offsetX: 0, offsetY: 0.05 },
+    defaultDesignInches: 5,
+  },
+  {
+    id: "tote",
+    label: "Tote Bag",
+    imageUrl: "/assets/6-cloths/Tote_White.png",
+    tintAlpha: 0.85,
+    printArea: { widthInches: 10, heightInches: 10, widthFraction: 0.55, offsetX: 0, offsetY: 0.08 },
+    defaultDesignInches: 6,
+  },
+];
+
+// Liquid blocks set per-garment image overrides as data attributes named after the id;
+// older blocks pass the tote image as `data-shorts`
+const LEGACY_ASSET_KEYS = { tote: "shorts" };
+
+const DEFAULT_TINT_ALPHA = 0.85;
+
+function positive(value, fallback) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function finite(value, fallback) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeGarment(raw) {
+  const base = DEFAULT_GARMENT_CATALOG.find((g) => g.id === (typeof raw === "string" ? raw : raw?.id));
+  if (typeof raw === "string") return base || null;
+  if (!raw || typeof raw !== "object" || typeof raw.id !== "string" || !raw.id.trim()) return null;
+
+  const id = raw.id.trim();
+  const imageUrl = typeof raw.imageUrl === "string" && raw.imageUrl.trim() ? raw.imageUrl.trim() : base?.imageUrl;
+  if (!imageUrl) return null;
+
+  const basePrintArea = base?.printArea || DEFAULT_GARMENT_CATALOG[0].printArea;
+  const rawPrintArea = raw.printArea && typeof raw.printArea === "object" ? raw.printArea : {};
+  const printArea = {
+    widthInches: positive(rawPrintArea.widthInches, basePrintArea.widthInches),
+    heightInches: positive(rawPrintArea.heightInches, basePrintArea.heightInches),
+    widthFraction: Math.min(1, positive(rawPrintArea.widthFraction, basePrintArea.widthFraction)),
+    offsetX: finite(rawPrintArea.offsetX, basePrintArea.offsetX),
+    offsetY: finite(rawPrintArea.offsetY, basePrintArea.offsetY),
+  };
+
+  return {
+    id,
+    label: typeof raw.label === "string" && raw.label.trim() ? raw.label.trim() : base?.label || id,
+    imageUrl,
+    tintAlpha: Math.min(1, Math.max(0, finite(raw.tintAlpha, base?.tintAlpha ?? DEFAULT_TINT_ALPHA))),
+    printArea,
+    defaultDesignInches: Math.min(
+      printArea.widthInches,
+      positive(raw.defaultDesignInches, base?.defaultDesignInches ?? +(printArea.widthInches * 0.6).toFixed(2))
+    ),
+    placementPositions:
+      typeof raw.placementPositions === "boolean" ? raw.placementPositions : base?.placementPositions === true,
+  };
+}
+
+/**
+ * Validate a raw catalog from settings or the Liquid block. Invalid entries and repeated
+ * ids are dropped.
+ * @param {Array<object|string>} [raw]
+ * @returns {Array<object>|null} Garments in the given order, or null when nothing usable was given
+ */
+export function normalizeGarmentCatalog(raw) {
+  if (!Array.isArray(raw)) return null;
+  const seen = new Set();
+  const garments = [];
+  raw.forEach((entry) => {
+    const garment = normalizeGarment(entry);
+    if (!garment) {
+      console.warn("Ignoring invalid garment catalog entry:", entry);
+      return;
+    }
+    if (seen.has(garment.id)) return;
+    seen.add(garment.id);
+    garments.push(garment);
+  });
+  return garments.length ? garments : null;
+}
+
+/**
+ * Parse the Liquid block's `data-garments` attribute (JSON array).
+ * @param {string} [attribute]
+ * @returns {Array<object>|null}
+ */
+export function parseGarmentCatalogAttribute(attribute) {
+  if (!attribute) return null;
+  try {
+    return normalizeGarmentCatalog(JSON.parse(attribute));
+  } catch (err) {
+    console.warn("Invalid data-garments attribute:", err);
+    return null;
+  }
+}
+
+/**
+ * Swap built-in garment images for the store's CDN copies from the Liquid data attributes.
+ * Images a catalog entry sets explicitly are kept.
+ * @param {Array<object>} catalog - Normalized garments
+ * @param {object} [assetUrls] - Image URLs keyed by garment id
+ * @returns {Array<object>}
+ */
+export function resolveGarmentImages(catalog, assetUrls = {}) {
+  return catalog.map((garment) => {
+    const base = DEFAULT_GARMENT_CATALOG.find((g) => g.id === garment.id);
+    if (!base || garment.imageUrl !== base.imageUrl) return garment;
+    const legacyKey = LEGACY_ASSET_KEYS[garment.id];
+    const override = assetUrls[garment.id] || (legacyKey && assetUrls[legacyKey]);
+    return override ? { ...garment, imageUrl: override } : garment;
+  });
+}
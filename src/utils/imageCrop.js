@@ -0,0 +1,80 @@
+/**
+ * Crop helpers - pixel operations behind the crop/trim step in UploadPanel.
+ */
+
+/**
+ * Draw the cropped region of a loaded image onto a canvas and export it.
+ * @param {HTMLImageElement} image - Fully loaded source image
+ * @param {{ x: number, y: number, width: number, height: number }} crop - Region in natural pixels
+ * @param {string} [mimeType="image/png"] - Output type (PNG keeps transparency)
+ * @returns {Promise<Blob>}
+ */
+export function cropImageToBlob(image, crop, mimeType = "image/png") {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(crop.width));
+  canvas.height = Math.max(1, Math.round(crop.height));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(
+    image,
+    Math.round(crop.x),
+    Math.round(crop.y),
+    canvas.width,
+    canvas.height,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Failed to export cropped image"))),
+      mimeType,
+      0.95
+    );
+  });
+}
+
+/**
+ * Find the bounding box of content that differs from the image's border colour
+ * (the top-left pixel), e.g. the white margins around a screenshot.
+ * @param {HTMLImageElement} image - Fully loaded source image
+ * @param {number} [tolerance=24] - Max per-channel difference still treated as margin
+ * @returns {{ x: number, y: number, width: number, height: number }|null} Natural-pixel box, or null if uniform
+ */
+export function findContentBounds(image, tolerance = 24) {
+  const w = image.naturalWidth;
+  const h = image.naturalHeight;
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const [r0, g0, b0, a0] = data;
+  let minX = w;
+  let minY = h;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const isMargin =
+        Math.abs(data[i] - r0) <= tolerance &&
+        Math.abs(data[i + 1] - g0) <= tolerance &&
+        Math.abs(data[i + 2] - b0) <= tolerance &&
+        Math.abs(data[i + 3] - a0) <= tolerance;
+      if (isMargin) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
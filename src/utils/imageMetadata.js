@@ -0,0 +1,216 @@
+/**
+ * Image metadata - embedded print resolution (DPI) and EXIF orientation.
+ *
+ * Sources, in order of preference:
+ * - PNG:  pHYs chunk (pixels per metre), orientation from an eXIf chunk
+ * - JPEG: EXIF XResolution/YResolution (APP1), then JFIF density (APP0)
+ * - WebP: EXIF chunk of the extended (VP8X) format
+ */
+
+const INCHES_PER_METRE = 39.3701;
+const CM_PER_INCH = 2.54;
+
+// Tool defaults that say nothing about intended print size (screen resolutions)
+const PLACEHOLDER_DPI = [72, 96];
+
+/** A resolution worth using: positive and not a placeholder (null otherwise). */
+function usableDpi(value) {
+  return value && value >= 1 && !PLACEHOLDER_DPI.includes(Math.round(value)) ? value : null;
+}
+
+// EXIF orientations 5-8 include a 90° turn, which swaps the axes
+const ROTATED_ORIENTATIONS = [5, 6, 7, 8];
+
+/**
+ * Parse a TIFF structure (EXIF payload) for orientation and resolution in IFD0.
+ * @param {DataView} view
+ * @param {number} start - Offset of the TIFF header ("II" or "MM")
+ * @returns {{ orientation: number|null, dpiX: number|null, dpiY: number|null }}
+ */
+function parseTiff(view, start) {
+  const result = { orientation: null, dpiX: null, dpiY: null };
+  if (start + 8 > view.byteLength) return result;
+
+  const order = view.getUint16(start);
+  if (order !== 0x4949 && order !== 0x4d4d) return result;
+  const le = order === 0x4949;
+  const u16 = (o) => view.getUint16(start + o, le);
+  const u32 = (o) => view.getUint32(start + o, le);
+  const rational = (o) => {
+    const den = u32(o + 4);
+    return den ? u32(o) / den : null;
+  };
+
+  const ifd = u32(4);
+  if (start + ifd + 2 > view.byteLength) return result;
+  const count = u16(ifd);
+  let xRes = null;
+  let yRes = null;
+  let unit = 2; // EXIF default: inches
+
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (start + entry + 12 > view.byteLength) break;
+    const tag = u16(entry);
+    if (tag === 0x0112) result.orientation = u16(entry + 8);
+    else if (tag === 0x011a) xRes = rational(u32(entry + 8));
+    else if (tag === 0x011b) yRes = rational(u32(entry + 8));
+    else if (tag === 0x0128) unit = u16(entry + 8);
+  }
+
+  const toDpi = (v) => {
+    if (!v) return null;
+    if (unit === 2) return v;
+    if (unit === 3) return v * CM_PER_INCH;
+    return null; // unit 1: no absolute unit
+  };
+  result.dpiX = toDpi(xRes);
+  result.dpiY = toDpi(yRes);
+  return result;
+}
+
+function parsePng(view) {
+  const meta = { orientation: null, dpiX: null, dpiY: null };
+  let offset = 8;
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(
+      view.getUint8(offset + 4),
+      view.getUint8(offset + 5),
+      view.getUint8(offset + 6),
+      view.getUint8(offset + 7)
+    );
+    const data = offset + 8;
+    if (type === "pHYs" && length >= 9 && view.getUint8(data + 8) === 1) {
+      meta.dpiX = view.getUint32(data) / INCHES_PER_METRE;
+      meta.dpiY = view.getUint32(data + 4) / INCHES_PER_METRE;
+    } else if (type === "eXIf") {
+      meta.orientation = parseTiff(view, data).orientation;
+    } else if (type === "IEND") {
+      break;
+    }
+    offset = data + length + 4; // skip CRC
+  }
+  return meta;
+}
+
+function parseJpeg(view) {
+  const meta = { orientation: null, dpiX: null, dpiY: null };
+  let jfif = null;
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) break;
+    const marker = view.getUint8(offset + 1);
+    // Start of scan / end of image: no more metadata segments
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = view.getUint16(offset + 2);
+    const data = offset + 4;
+
+    if (marker === 0xe0 && view.getUint32(data) === 0x4a464946) {
+      // "JFIF": units at +7 (1 = dpi, 2 = dpcm), densities at +8/+10
+      const units = view.getUint8(data + 7);
+      const x = view.getUint16(data + 8);
+      const y = view.getUint16(data + 10);
+      if (units === 1) jfif = { dpiX: x, dpiY: y };
+      else if (units === 2) jfif = { dpiX: x * CM_PER_INCH, dpiY: y * CM_PER_INCH };
+    } else if (marker === 0xe1 && view.getUint32(data) === 0x45786966) {
+      // "Exif\0\0" then the TIFF header
+      Object.assign(meta, parseTiff(view, data + 6));
+    }
+    offset = data + length - 2;
+  }
+  // Placeholder EXIF resolution (e.g. 72 DPI from a camera) defers to the JFIF density
+  if (!usableDpi(meta.dpiX) && !usableDpi(meta.dpiY) && jfif) Object.assign(meta, jfif);
+  return meta;
+}
+
+function parseWebp(view) {
+  const meta = { orientation: null, dpiX: null, dpiY: null };
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const type = String.fromCharCode(
+      view.getUint8(offset),
+      view.getUint8(offset + 1),
+      view.getUint8(offset + 2),
+      view.getUint8(offset + 3)
+    );
+    const length = view.getUint32(offset + 4, true);
+    const data = offset + 8;
+    if (type === "EXIF") {
+      // Some encoders keep the JPEG-style "Exif\0\0" prefix
+      const start = data + 6 <= view.byteLength && view.getUint32(data) === 0x45786966 ? data + 6 : data;
+      Object.assign(meta, parseTiff(view, start));
+      break;
+    }
+    offset = data + length + (length % 2); // chunks are padded to even size
+  }
+  return meta;
+}
+
+/**
+ * Read embedded resolution and orientation from a PNG, JPEG or WebP file.
+ * Placeholder resolutions (72/96 DPI) are ignored since they carry no print intent.
+ * @param {Blob} file
+ * @returns {Promise<{ dpiX: number|null, dpiY: number|null, orientation: number }>}
+ *   DPI is given for the upright image (axes swapped for rotated orientations)
+ */
+export async function readImageMetadata(file) {
+  const empty = { dpiX: null, dpiY: null, orientation: 1 };
+  let view;
+  try {
+    view = new DataView(await file.arrayBuffer());
+  } catch (err) {
+    console.warn("Could not read image metadata:", err);
+    return empty;
+  }
+  if (view.byteLength < 12) return empty;
+
+  let meta;
+  try {
+    if (view.getUint32(0) === 0x89504e47) meta = parsePng(view);
+    else if (view.getUint16(0) === 0xffd8) meta = parseJpeg(view);
+    else if (view.getUint32(0) === 0x52494646 && view.getUint32(8) === 0x57454250) meta = parseWebp(view);
+    else return empty;
+  } catch (err) {
+    // Truncated or malformed metadata: treat as absent
+    console.warn("Could not parse image metadata:", err);
+    return empty;
+  }
+
+  const orientation = meta.orientation >= 1 && meta.orientation <= 8 ? meta.orientation : 1;
+  let dpiX = usableDpi(meta.dpiX);
+  let dpiY = usableDpi(meta.dpiY) || dpiX;
+  dpiX = dpiX || dpiY;
+  if (ROTATED_ORIENTATIONS.includes(orientation)) [dpiX, dpiY] = [dpiY, dpiX];
+
+  return { dpiX, dpiY, orientation };
+}
+
+/**
+ * Re-encode an image upright when its EXIF orientation is not the default, so the
+ * processing backend (which ignores EXIF) receives the same pixels the customer sees.
+ * @param {File} file
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @returns {Promise<File>} The original file when no rotation is needed
+ */
+export async function applyOrientation(file, orientation) {
+  if (!orientation || orientation === 1) return file;
+
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const type = file.type === "image/jpeg" ? "image/jpeg" : "image/png";
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("Failed to re-encode rotated image"))),
+      type,
+      0.95
+    );
+  });
+  const baseName = (file.name || "design").replace(/\.[^.]+$/, "");
+  return new File([blob], `${baseName}.${type === "image/jpeg" ? "jpg" : "png"}`, { type });
+}
@@ -0,0 +1,231 @@
+/**
+ * Image pipeline - the single source of truth for the uploaded design's versions.
+ *
+ * Pure reducer (no DOM, no network) so upload flows can be exercised by dispatching
+ * actions. Side effects - processing requests, blob URLs, cancellation - live in
+ * useImagePipeline, which tags every request with an id; results whose id is no longer
+ * `activeRequest` (cancelled, or superseded by a newer upload/request) are ignored.
+ *
+ * Versions form a non-destructive history (original → bg removed → enhanced → touched up …).
+ * Undo/redo move `index`; a new result drops any redo steps past its source and is
+ * appended. Each version keeps its own server URL, so the cart image always matches
+ * the selected version.
+ *
+ * State:
+ * - versions: [{ id, kind, sourceId, blob, url, serverUrl }]
+ *   `kind` is a VERSION_LABELS key, `sourceId` the version it was made from (null for the
+ *   original), `url` the display (blob:) URL, `serverUrl` the stored copy
+ * - index: selected version (-1 when nothing is uploaded)
+ * - removeBgEnabled: customer's Remove BG toggle
+ * - vector: { file, mimeType, serverUrl } | null - original vector artwork, if any
+ * - status: "idle" | "removingBg" | "enhancing" | "storing"
+ * - activeRequest: id of the running request, or null
+ * - progress: { phase, fraction } of the running request, or null
+ * - error: message for the customer about the last failed request, or null
+ */
+
+export const PIPELINE_STATUS = {
+  IDLE: "idle",
+  REMOVING_BG: "removingBg",
+  ENHANCING: "enhancing",
+  STORING: "storing",
+};
+
+export const VERSION_LABELS = {
+  original: "Original",
+  removeBg: "Background removed",
+  enhance: "Enhanced",
+  edit: "Touched up",
+  colorKey: "Background removed (basic)",
+  edgeFix: "Edges fixed",
+};
+
+export const ORIGINAL_VERSION_ID = 1;
+
+// History depth, original included; the oldest steps after the original are dropped first
+export const MAX_VERSIONS = 10;
+
+export const initialPipelineState = {
+  versions: [],
+  index: -1,
+  nextVersionId: 1,
+  removeBgEnabled: true,
+  vector: null,
+  status: PIPELINE_STATUS.IDLE,
+  activeRequest: null,
+  progress: null,
+  error: null,
+};
+
+const isActive = (state, action) =>
+  action.requestId != null && action.requestId === state.activeRequest;
+
+const finish = (state) => ({ ...state, status: PIPELINE_STATUS.IDLE, activeRequest: null, progress: null });
+
+const setServerUrl = (versions, id, serverUrl) =>
+  versions.map((v) => (v.id === id ? { ...v, serverUrl } : v));
+
+const select = (state, index) =>
+  index >= 0 && index < state.versions.length ? { ...state, index } : state;
+
+/**
+ * @param {object} state
+ * @param {{ type: string }} action
+ *   - upload { blob, url, vector? }: new design; drops the history and any running request
+ *   - start { requestId, status }: a request began (supersedes any running one)
+ *   - progress { requestId, progress }
+ *   - processed { requestId, kind, sourceId, sourceServerUrl, blob, url, serverUrl }:
+ *     new version derived from `sourceId`, selected; `sourceServerUrl` is the server's copy of the input
+ *   - stored { requestId, versionId, serverUrl, vectorServerUrl? }: version (and vector) stored on the server
+ *   - replaced { requestId, versionId, blob, url, serverUrl }: new image for a version (vector
+ *     artwork rendered again for the chosen print size)
+ *   - failed { requestId, error? }: request failed; versions unchanged
+ *   - cancel: stop waiting for the running request
+ *   - dismissError
+ *   - select { index }, undo, redo: move through the history (clears the error)
+ *   - setRemoveBg { enabled }
+ *   - clear
+ *   - restore { state }: show a previously parked state (multi-location orders), idle
+ */
+export function imagePipelineReducer(state, action) {
+  switch (action.type) {
+    case "upload":
+      return {
+        ...initialPipelineState,
+        removeBgEnabled: state.removeBgEnabled,
+        versions: [
+          {
+            id: ORIGINAL_VERSION_ID,
+            kind: "original",
+            sourceId: null,
+            blob: action.blob,
+            url: action.url,
+            serverUrl: null,
+          },
+        ],
+        index: 0,
+        nextVersionId: ORIGINAL_VERSION_ID + 1,
+        vector: action.vector
+          ? { file: action.vector.file, mimeType: action.vector.mimeType, serverUrl: null }
+          : null,
+      };
+
+    case "start":
+      return { ...state, status: action.status, activeRequest: action.requestId, progress: null, error: null };
+
+    case "progress":
+      return isActive(state, action) ? { ...state, progress: action.progress } : state;
+
+    case "processed": {
+      if (!isActive(state, action)) return state;
+      const sourceIndex = state.versions.findIndex((v) => v.id === action.sourceId);
+      if (sourceIndex < 0) return finish(state);
+
+      let versions = state.versions.slice(0, sourceIndex + 1);
+      if (action.sourceServerUrl && !versions[sourceIndex].serverUrl) {
+        versions = setServerUrl(versions, action.sourceId, action.sourceServerUrl);
+      }
+      versions.push({
+        id: state.nextVersionId,
+        kind: action.kind,
+        sourceId: action.sourceId,
+        blob: action.blob,
+        url: action.url,
+        serverUrl: action.serverUrl || null,
+      });
+      if (versions.length > MAX_VERSIONS) {
+        versions = [versions[0], ...versions.slice(versions.length - MAX_VERSIONS + 1)];
+      }
+      return finish({
+        ...state,
+        versions,
+        index: versions.length - 1,
+        nextVersionId: state.nextVersionId + 1,
+      });
+    }
+
+    case "stored":
+      if (!isActive(state, action)) return state;
+      return finish({
+        ...state,
+        versions: setServerUrl(state.versions, action.versionId, action.serverUrl || null),
+        vector:
+          state.vector && action.vectorServerUrl !== undefined
+            ? { ...state.vector, serverUrl: action.vectorServerUrl }
+            : state.vector,
+      });
+
+    case "replaced":
+      if (!isActive(state, action)) return state;
+      return finish({
+        ...state,
+        versions: state.versions.map((v) =>
+          v.id === action.versionId ? { ...v, blob: action.blob, url: action.url, serverUrl: action.serverUrl } : v
+        ),
+      });
+
+    case "failed":
+      return isActive(state, action) ? finish({ ...state, error: action.error || null }) : state;
+
+    case "cancel":
+      return finish(state);
+
+    case "dismissError":
+      return { ...state, error: null };
+
+    case "select":
+      return select({ ...state, error: null }, action.index);
+
+    case "undo":
+      return select({ ...state, error: null }, state.index - 1);
+
+    case "redo":
+      return select({ ...state, error: null }, state.index + 1);
+
+    case "setRemoveBg":
+      return { ...state, removeBgEnabled: action.enabled };
+
+    case "clear":
+      return { ...initialPipelineState, removeBgEnabled: state.removeBgEnabled };
+
+    case "restore":
+      return finish(action.state);
+
+    default:
+      return state;
+  }
+}
+
+/** The selected version, or null when nothing is uploaded. */
+export function selectCurrentVersion(state) {
+  return state.versions[state.index] || null;
+}
+
+/** Server URL of the selected version - what Add to Cart sends as the design image. */
+export function selectCartImageUrl(state) {
+  return selectCurrentVersion(state)?.serverUrl || null;
+}
+
+/** Display (blob:) URLs referenced by the state; anything else created for it can be revoked. */
+export function selectDisplayUrls(state) {
+  return state.versions.map((v) => v.url).filter(Boolean);
+}
+
+/**
+ * The selected version and the one it was made from, for a before/after comparison
+ * (original vs bg removed, pre-enhance vs enhanced). Null for the original.
+ * @returns {{ before: object, after: object }|null}
+ */
+export function selectComparison(state) {
+  const after = selectCurrentVersion(state);
+  const before = after?.sourceId != null ? state.versions.find((v) => v.id === after.sourceId) : null;
+  return before ? { before, after } : null;
+}
+
+export function selectCanUndo(state) {
+  return state.status === PIPELINE_STATUS.IDLE && state.index > 0;
+}
+
+export function selectCanRedo(state) {
+  return state.status === PIPELINE_STATUS.IDLE && state.index < state.versions.length - 1;
+}
@@ -0,0 +1,136 @@
+/**
+ * Transparent-padding trim - measures the visible (non-transparent) part of a
+ * processed image so size and price are based on the design, not its margins.
+ *
+ * The trim box is stored as fractions of the image, so it stays valid when the
+ * same design is swapped for a higher-resolution version (e.g. after Enhance).
+ */
+import { cropImageToBlob } from "./imageCrop";
+
+export const DEFAULT_AUTO_TRIM = {
+  enabled: true,
+  alphaTolerance: 8, // pixels with alpha at or below this (0-255) count as empty
+  padding: 0, // pixels of breathing room kept around the content
+};
+
+/**
+ * Merge a raw settings object over DEFAULT_AUTO_TRIM, ignoring invalid values.
+ * @param {object} [raw] - `autoTrim` from the settings endpoint
+ * @returns {{ enabled: boolean, alphaTolerance: number, padding: number }}
+ */
+export function normalizeAutoTrim(raw) {
+  const config = { ...DEFAULT_AUTO_TRIM };
+  if (!raw || typeof raw !== "object") return config;
+
+  if (typeof raw.enabled === "boolean") config.enabled = raw.enabled;
+  const tolerance = Number(raw.alphaTolerance);
+  if (raw.alphaTolerance != null && Number.isFinite(tolerance)) {
+    config.alphaTolerance = Math.min(254, Math.max(0, Math.round(tolerance)));
+  }
+  const padding = Number(raw.padding);
+  if (raw.padding != null && Number.isFinite(padding) && padding >= 0) {
+    config.padding = Math.round(padding);
+  }
+  return config;
+}
+
+/**
+ * Measure the alpha bounding box of an image.
+ * @param {string} url - Blob or image URL
+ * @param {{ alphaTolerance: number, padding: number }} [config]
+ * @returns {Promise<{
+ *   pixelWidth: number, pixelHeight: number,
+ *   imageWidth: number, imageHeight: number,
+ *   box: { left: number, top: number, width: number, height: number }
+ * }|null>} Content size in pixels and its box as fractions of the image, or null when there is nothing to trim
+ */
+export function measureTrimBounds(url, config = DEFAULT_AUTO_TRIM) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const w = img.naturalWidth;
+      const h = img.naturalHeight;
+      const canvas = document.createElement("canvas");
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0);
+      const { data } = ctx.getImageData(0, 0, w, h);
+
+      let minX = w;
+      let minY = h;
+      let maxX = -1;
+      let maxY = -1;
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          if (data[(y * w + x) * 4 + 3] <= config.alphaTolerance) continue;
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          if (y > maxY) maxY = y;
+        }
+      }
+
+      // Fully transparent: nothing sensible to measure
+      if (maxX < 0) {
+        resolve(null);
+        return;
+      }
+
+      const pad = config.padding;
+      const x0 = Math.max(0, minX - pad);
+      const y0 = Math.max(0, minY - pad);
+      const x1 = Math.min(w, maxX + 1 + pad);
+      const y1 = Math.min(h, maxY + 1 + pad);
+
+      // Nothing trimmed (opaque image or content touches every edge)
+      if (x0 === 0 && y0 === 0 && x1 === w && y1 === h) {
+        resolve(null);
+        return;
+      }
+
+      resolve({
+        pixelWidth: x1 - x0,
+        pixelHeight: y1 - y0,
+        imageWidth: w,
+        imageHeight: h,
+        box: {
+          left: x0 / w,
+          top: y0 / h,
+          width: (x1 - x0) / w,
+          height: (y1 - y0) / h,
+        },
+      });
+    };
+    img.onerror = () => reject(new Error("Failed to load image for trim"));
+    img.src = url;
+  });
+}
+
+/**
+ * Serialize a trim box for cart line properties: "left,top,width,height" in percent of the image.
+ * @returns {string}
+ */
+export function formatTrimBox(box) {
+  return [box.left, box.top, box.width, box.height].map((v) => (v * 100).toFixed(2)).join(",");
+}
+
+/**
+ * Cut the trimmed part out of an image (what the cart sends as CustomImage).
+ * @param {string} url - Blob or image URL
+ * @param {{ left: number, top: number, width: number, height: number }} box - Fractions of the image
+ * @returns {Promise<Blob>} PNG
+ */
+export function cropToTrimBox(url, box) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const w = img.naturalWidth;
+      const h = img.naturalHeight;
+      cropImageToBlob(img, { x: box.left * w, y: box.top * h, width: box.width * w, height: box.height * h })
+        .then(resolve, reject);
+    };
+    img.onerror = () => reject(new Error("Failed to load image for trim"));
+    img.src = url;
+  });
+}
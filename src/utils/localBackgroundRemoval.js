@@ -0,0 +1,76 @@
+/**
+ * Local background removal - color-keys an image in a Web Worker (see utils/colorKey).
+ *
+ * Used on demand (ColorKeyModal) and as the automatic fallback when the processing
+ * backend is unreachable. The worker is inlined as a blob URL so it also loads when
+ * the app script is served from another origin (Shopify).
+ */
+import ColorKeyWorker from "../workers/colorKey.worker.js?worker&inline";
+import { DEFAULT_COLOR_KEY } from "./colorKey";
+
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new ColorKeyWorker();
+  worker.onmessage = (e) => {
+    const { id, error, ...result } = e.data;
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+  worker.onerror = (e) => {
+    console.error("Color-key worker failed:", e);
+    pending.forEach((request) => request.reject(new Error("Color-key worker failed")));
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+}
+
+function runWorker(imageData, options) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    const { data, width, height } = imageData;
+    getWorker().postMessage({ id, buffer: data.buffer, width, height, options }, [data.buffer]);
+  });
+}
+
+/**
+ * Remove a solid-color background.
+ * @param {Blob} blob
+ * @param {{ tolerance: number, feather: number, contiguous: boolean }} [options]
+ * @param {{ signal?: AbortSignal, maxSize?: number }} [run] - `maxSize` downsizes (longest side) for quick previews
+ * @returns {Promise<{ blob: Blob, keyColor: number[]|null }>} PNG with transparency; keyColor null when nothing was keyed
+ */
+export async function removeBackgroundLocally(blob, options = DEFAULT_COLOR_KEY, { signal, maxSize } = {}) {
+  const abortIfNeeded = () => {
+    if (signal?.aborted) throw new DOMException("The request was aborted.", "AbortError");
+  };
+  abortIfNeeded();
+
+  const bitmap = await createImageBitmap(blob);
+  const scale = maxSize ? Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height)) : 1;
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const { buffer, keyColor } = await runWorker(ctx.getImageData(0, 0, canvas.width, canvas.height), options);
+  abortIfNeeded();
+  ctx.putImageData(new ImageData(new Uint8ClampedArray(buffer), canvas.width, canvas.height), 0, 0);
+
+  const result = await new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Failed to export keyed image"))), "image/png");
+  });
+  abortIfNeeded();
+  return { blob: result, keyColor };
+}
@@ -0,0 +1,125 @@
+/**
+ * Mock processing adapter - runs entirely in the browser for local development and
+ * theme-editor previews. Results are rough approximations and "stored" files are
+ * blob: URLs, which AddToCartButton already leaves out of cart properties.
+ *
+ * - removeBackground: keys out the colour found in the image corners
+ * - enhance: upscales 2x with smoothing
+ * - storeOriginal / storeCutLine: return an object URL for the blob
+ *
+ * The simulated server reports its progress, like an http backend with serverProgress.
+ */
+
+const MOCK_DELAY_MS = 900; // simulated server time, so loaders and progress can be exercised
+const KEY_TOLERANCE = 40; // max RGB distance from the corner colour treated as background
+const MAX_ENHANCE_PX = 4096;
+
+function abortError() {
+  return new DOMException("The request was aborted.", "AbortError");
+}
+
+/** Walk through the request phases like postImage would, honouring the abort signal. */
+function simulateRequest({ signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const steps = [
+      ["uploading", 0],
+      ["uploading", 1],
+      ["processing", 0],
+      ["processing", 0.5],
+      ["downloading", 1],
+    ];
+    let index = 0;
+    let timer = null;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const next = () => {
+      if (index === steps.length) {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+        return;
+      }
+      const [phase, fraction] = steps[index++];
+      onProgress?.({ phase, fraction });
+      timer = setTimeout(next, phase === "processing" ? MOCK_DELAY_MS / 2 : 100);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    next();
+  });
+}
+
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Mock processing failed"))), "image/png");
+  });
+}
+
+async function keyOutBackground(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const { width: w, height: h } = canvas;
+  const image = ctx.getImageData(0, 0, w, h);
+  const { data } = image;
+  const corners = [0, w - 1, (h - 1) * w, h * w - 1].map((i) => i * 4);
+  const key = [0, 1, 2].map((c) => corners.reduce((sum, i) => sum + data[i + c], 0) / corners.length);
+  const limit = KEY_TOLERANCE * KEY_TOLERANCE;
+  for (let i = 0; i < data.length; i += 4) {
+    const dr = data[i] - key[0];
+    const dg = data[i + 1] - key[1];
+    const db = data[i + 2] - key[2];
+    if (dr * dr + dg * dg + db * db <= limit) data[i + 3] = 0;
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvasToPng(canvas);
+}
+
+async function upscale(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(2, MAX_ENHANCE_PX / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvasToPng(canvas);
+}
+
+export function createMockProcessingAdapter() {
+  const store = (blob) => URL.createObjectURL(blob);
+
+  return {
+    name: "mock",
+    capabilities: { serverProgress: true, fileUpload: true },
+    removeBackground: async (blob, options) => {
+      await simulateRequest(options);
+      const result = await keyOutBackground(blob);
+      return { blob: result, url: store(result), originalUrl: store(blob) };
+    },
+    enhance: async (blob, options) => {
+      await simulateRequest(options);
+      const result = await upscale(blob);
+      return { blob: result, url: store(result), originalUrl: store(blob) };
+    },
+    storeOriginal: async (blob, options) => {
+      await simulateRequest(options);
+      return store(blob);
+    },
+    storeCutLine: async (blob, options) => {
+      await simulateRequest(options);
+      return store(blob);
+    },
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Placement presets - where on the garment the design goes (DesignPlacementSlider) and the
+ * size range that suits each spot, e.g. a left-chest print is at most 4.5" on its longer side.
+ *
+ * Positions are the design center's offset from the garment image center, as fractions of
+ * the image width / height. Sizes are the design's longer side in inches.
+ */
+
+export const PLACEMENT_VIEWS = ["front", "back", "side"];
+
+export const DEFAULT_PLACEMENT_PRESETS = [
+  { id: "custom", label: "Custom", view: "front", position: { x: 0, y: 0.02 }, minInches: 1, maxInches: 12, defaultInches: 8 },
+  { id: "full-front", label: "Full Front", view: "front", position: { x: 0, y: -0.03 }, minInches: 8, maxInches: 12, defaultInches: 10 },
+  { id: "full-back", label: "Full Back", view: "back", position: { x: 0, y: -0.03 }, minInches: 8, maxInches: 14, defaultInches: 11 },
+  { id: "left-chest", label: "Left Chest", view: "front", position: { x: 0.1, y: -0.18 }, minInches: 2.5, maxInches: 4.5, defaultInches: 3.5 },
+  { id: "sleeve", label: "Sleeve", view: "side", position: { x: 0.01, y: -0.2 }, minInches: 2, maxInches: 4, defaultInches: 3 },
+  { id: "back-collar", label: "Back Collar", view: "back", position: { x: 0, y: -0.3 }, minInches: 1.5, maxInches: 3.5, defaultInches: 3 },
+];
+
+function positive(value) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function normalizePreset(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.id !== "string" || !raw.id.trim()) return null;
+  const maxInches = positive(raw.maxInches);
+  if (!maxInches) return null;
+  const minInches = Math.min(maxInches, positive(raw.minInches) ?? 0.5);
+  const defaultInches = Math.min(maxInches, Math.max(minInches, positive(raw.defaultInches) ?? maxInches));
+  const x = Number(raw.position?.x);
+  const y = Number(raw.position?.y);
+
+  return {
+    id: raw.id.trim(),
+    label: typeof raw.label === "string" && raw.label.trim() ? raw.label.trim() : raw.id.trim(),
+    view: PLACEMENT_VIEWS.includes(raw.view) ? raw.view : "front",
+    position: { x: Number.isFinite(x) ? x : 0, y: Number.isFinite(y) ? y : 0 },
+    minInches,
+    maxInches,
+    defaultInches,
+  };
+}
+
+/**
+ * Validate placements from the settings endpoint; invalid entries and repeated ids are dropped.
+ * @param {Array<object>} [raw] - `placements` from the settings endpoint
+ * @returns {Array<object>} The given placements, or DEFAULT_PLACEMENT_PRESETS when none are usable
+ */
+export function normalizePlacementPresets(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_PLACEMENT_PRESETS;
+  const seen = new Set();
+  const presets = [];
+  raw.forEach((entry) => {
+    const preset = normalizePreset(entry);
+    if (!preset) {
+      console.warn("Ignoring invalid placement preset:", entry);
+      return;
+    }
+    if (seen.has(preset.id)) return;
+    seen.add(preset.id);
+    presets.push(preset);
+  });
+  return presets.length ? presets : DEFAULT_PLACEMENT_PRESETS;
+}
+
+/**
+ * Whether a design is larger than the placement allows (longer side over maxInches).
+ * @param {number} width - inches
+ * @param {number} height - inches
+ * @param {{ maxInches: number }} [placement]
+ */
+export function exceedsPlacement(width, height, placement) {
+  if (!placement) return false;
+  return Math.max(width, height) > placement.maxInches + 0.01; // sizes are rounded to 2 decimals
+}
+
+/**
+ * Size a design for a placement: its longer side becomes the placement's defaultInches,
+ * keeping the aspect ratio.
+ * @param {number} width - Current width (inches), for the aspect ratio
+ * @param {number} height - Current height (inches)
+ * @param {{ defaultInches: number }} placement
+ * @returns {{ width: number, height: number }}
+ */
+export function getPlacementSize(width, height, placement) {
+  const factor = placement.defaultInches / Math.max(width, height);
+  return { width: +(width * factor).toFixed(2), height: +(height * factor).toFixed(2) };
+}
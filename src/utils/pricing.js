@@ -0,0 +1,160 @@
+/**
+ * Transfer pricing - the one place storefront prices are computed (PricePreview, CustomSize,
+ * PreCutCheckbox, gang sheets).
+ *
+ * A transfer costs its area (at least `minimumSqIn`) times `pricePerSqIn`, plus `preCutFee`
+ * when pre-cut; a unit costs at least `minimumUnitPrice`, and the volume tier for the ordered
+ * quantity discounts it. Rates come from the settings endpoint's `pricing` object.
+ *
+ * The cart transform (hq-migration/extensions/cart-pricing) prices checkout from the same
+ * rules: AddToCartButton stores serializePricingRules() in each line's `_PricingRules`
+ * property, with the settings endpoint's `signature` of that JSON in `_PricingRulesSignature`,
+ * so lines added under different rules keep their own. Line properties can be edited by the
+ * customer, so the transform must verify the signature (and fall back to its own rules)
+ * before pricing from them.
+ */
+
+export const PRICING_RULES_VERSION = 1;
+
+export const DEFAULT_PRICING_RULES = {
+  version: PRICING_RULES_VERSION,
+  pricePerSqIn: 0.0416, // size-based price: (width * height) * 0.0416
+  preCutFee: 0.24, // per pre-cut transfer
+  minimumSqIn: 0, // smallest billable area per transfer
+  minimumUnitPrice: 0, // per unit, before the volume discount
+  // Volume discount tiers: each applies from minQty up to the next tier's minQty
+  tiers: [
+    { minQty: 1, discount: 0 },
+    { minQty: 15, discount: 0.2 },
+    { minQty: 50, discount: 0.3 },
+    { minQty: 100, discount: 0.4 },
+    { minQty: 250, discount: 0.5 },
+  ],
+};
+
+function nonNegative(value) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function normalizeTiers(raw) {
+  if (!Array.isArray(raw)) return null;
+  const byMinQty = new Map();
+  raw.forEach((entry) => {
+    const minQty = Math.floor(Number(entry?.minQty));
+    const discount = Number(entry?.discount);
+    if (!(minQty >= 1) || !(discount >= 0 && discount < 1)) {
+      console.warn("Ignoring invalid pricing tier:", entry);
+      return;
+    }
+    if (!byMinQty.has(minQty)) byMinQty.set(minQty, { minQty, discount });
+  });
+  const tiers = [...byMinQty.values()].sort((a, b) => a.minQty - b.minQty);
+  if (!tiers.length) return null;
+  // Quantities below the first tier pay full price
+  if (tiers[0].minQty > 1) tiers.unshift({ minQty: 1, discount: 0 });
+  return tiers;
+}
+
+/**
+ * Merge a raw settings object over DEFAULT_PRICING_RULES, ignoring invalid values.
+ * @param {object} [raw] - `pricing` from the settings endpoint
+ * @returns {typeof DEFAULT_PRICING_RULES}
+ */
+export function normalizePricingRules(raw) {
+  if (!raw || typeof raw !== "object") return DEFAULT_PRICING_RULES;
+  const rules = { ...DEFAULT_PRICING_RULES };
+  ["pricePerSqIn", "preCutFee", "minimumSqIn", "minimumUnitPrice"].forEach((key) => {
+    const n = nonNegative(raw[key]);
+    if (n != null) rules[key] = n;
+  });
+  if (raw.tiers != null) {
+    const tiers = normalizeTiers(raw.tiers);
+    if (tiers) rules.tiers = tiers;
+    else console.warn("Ignoring invalid pricing tiers:", raw.tiers);
+  }
+  // Server signature of the serialized rules, passed through to checkout
+  if (typeof raw.signature === "string" && raw.signature.trim()) rules.signature = raw.signature.trim();
+  return rules;
+}
+
+/**
+ * The rules as the JSON the cart transform reads (stable key order, no derived fields or
+ * signature).
+ * @param {typeof DEFAULT_PRICING_RULES} [rules]
+ * @returns {string}
+ */
+export function serializePricingRules(rules = DEFAULT_PRICING_RULES) {
+  return JSON.stringify({
+    version: PRICING_RULES_VERSION,
+    pricePerSqIn: rules.pricePerSqIn,
+    preCutFee: rules.preCutFee,
+    minimumSqIn: rules.minimumSqIn,
+    minimumUnitPrice: rules.minimumUnitPrice,
+    tiers: rules.tiers.map(({ minQty, discount }) => ({ minQty, discount })),
+  });
+}
+
+/**
+ * Volume tier for a quantity, with its range and label (e.g. "15-49 pcs (20% off)").
+ * @returns {{ minQty: number, maxQty: number, discount: number, label: string }}
+ */
+export function getDiscountTier(quantity, rules = DEFAULT_PRICING_RULES) {
+  const { tiers } = rules;
+  let index = 0;
+  tiers.forEach((tier, i) => {
+    if (quantity >= tier.minQty) index = i;
+  });
+  const tier = tiers[index];
+  const maxQty = index + 1 < tiers.length ? tiers[index + 1].minQty - 1 : Infinity;
+  const range = maxQty === Infinity ? `${tier.minQty}+` : `${tier.minQty}-${maxQty}`;
+  const off = tier.discount > 0 ? ` (${+(tier.discount * 100).toFixed(1)}% off)` : "";
+  return { minQty: tier.minQty, maxQty, discount: tier.discount, label: `${range} pcs${off}` };
+}
+
+/**
+ * Price one cart line: `quantity` units of a transfer. Every print location and extra size
+ * is a cart line of its own, priced (and volume-discounted) on its own as checkout does, so
+ * callers pass a single transfer and sum the results.
+ * @param {object} order
+ * @param {Array<{ width: number, height: number, preCut: boolean }>} order.lines - The line's
+ *   transfer, as a one-element array; inches
+ * @param {number} [order.quantity]
+ * @param {number} [order.basePrice] - Garment / variant price per unit
+ * @param {typeof DEFAULT_PRICING_RULES} [rules]
+ * @returns {{ area: number, areaPrice: number, preCutPrice: number, unitPrice: number,
+ *   discountedUnitPrice: number, totalPrice: number, discount: number, tierLabel: string }}
+ */
+export function calculatePrice({ lines, quantity = 1, basePrice = 0 }, rules = DEFAULT_PRICING_RULES) {
+  const area = lines.reduce((sum, line) => sum + Math.max(rules.minimumSqIn, line.width * line.height), 0);
+  const areaPrice = area * rules.pricePerSqIn;
+  const preCutPrice = lines.filter((line) => line.preCut).length * rules.preCutFee;
+  const unitPrice = Math.max(rules.minimumUnitPrice, basePrice + areaPrice + preCutPrice);
+
+  const tier = getDiscountTier(quantity, rules);
+  const discountedUnitPrice = unitPrice * (1 - tier.discount);
+
+  return {
+    area,
+    areaPrice,
+    preCutPrice,
+    unitPrice,
+    discountedUnitPrice,
+    totalPrice: discountedUnitPrice * quantity,
+    discount: tier.discount,
+    tierLabel: tier.label,
+  };
+}
+
+/**
+ * Headline for the best volume discount, e.g. { minQty: 15, maxDiscount: 0.5 }, or null when
+ * no tier discounts.
+ */
+export function getVolumeDiscountSummary(rules = DEFAULT_PRICING_RULES) {
+  const discounted = rules.tiers.filter((tier) => tier.discount > 0);
+  if (!discounted.length) return null;
+  return {
+    minQty: discounted[0].minQty,
+    maxDiscount: Math.max(...discounted.map((tier) => tier.discount)),
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Print resolution helpers - effective DPI of the current image at the chosen print size.
+ *
+ * Effective DPI is the lower of the horizontal and vertical pixel densities, since the
+ * weaker axis is what shows up as blur or pixelation on the transfer.
+ */
+
+export const DEFAULT_PRINT_RESOLUTION = {
+  goodDpi: 200, // at or above: sharp print
+  fairDpi: 120, // at or above: acceptable, slight softness; below: poor
+  minDpi: null, // optional merchant hard cap: size may not drop the image below this DPI
+};
+
+export const QUALITY_LABELS = {
+  good: "Good quality",
+  fair: "Fair quality",
+  poor: "Low quality",
+};
+
+/**
+ * Merge a raw settings object over DEFAULT_PRINT_RESOLUTION, ignoring invalid values.
+ * @param {object} [raw] - `printResolution` from the settings endpoint
+ * @returns {{ goodDpi: number, fairDpi: number, minDpi: number|null }}
+ */
+export function normalizePrintResolution(raw) {
+  const config = { ...DEFAULT_PRINT_RESOLUTION };
+  if (!raw || typeof raw !== "object") return config;
+
+  ["goodDpi", "fairDpi", "minDpi"].forEach((key) => {
+    const n = Number(raw[key]);
+    if (raw[key] != null && Number.isFinite(n) && n > 0) config[key] = n;
+  });
+  if (config.fairDpi > config.goodDpi) config.fairDpi = config.goodDpi;
+  return config;
+}
+
+/**
+ * Effective DPI of an image printed at the given physical size.
+ * @param {{ width: number, height: number }} pixelSize - image size in pixels
+ * @param {number} widthInches
+ * @param {number} heightInches
+ * @returns {number|null} DPI, or null when inputs are missing
+ */
+export function getEffectiveDpi(pixelSize, widthInches, heightInches) {
+  if (!pixelSize || !(widthInches > 0) || !(heightInches > 0)) return null;
+  return Math.min(pixelSize.width / widthInches, pixelSize.height / heightInches);
+}
+
+/**
+ * Rate an effective DPI against the configured thresholds.
+ * @returns {"good"|"fair"|"poor"|null}
+ */
+export function getQualityRating(dpi, config = DEFAULT_PRINT_RESOLUTION) {
+  if (dpi == null) return null;
+  if (dpi >= config.goodDpi) return "good";
+  if (dpi >= config.fairDpi) return "fair";
+  return "poor";
+}
+
+/**
+ * Largest print size (inches) the image supports at the merchant's minimum DPI.
+ * @returns {{ maxWidth: number, maxHeight: number }|null} null when no cap is configured
+ */
+export function getMaxPrintSize(pixelSize, config = DEFAULT_PRINT_RESOLUTION) {
+  if (!pixelSize || !config.minDpi) return null;
+  return {
+    maxWidth: Math.floor((pixelSize.width / config.minDpi) * 100) / 100,
+    maxHeight: Math.floor((pixelSize.height / config.minDpi) * 100) / 100,
+  };
+}
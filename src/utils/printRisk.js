@@ -0,0 +1,183 @@
+/**
+ * DTF print-risk analysis - semi-transparent pixels and strokes too thin to transfer.
+ *
+ * DTF prints partial alpha as a speckled, washed-out film (white underbase is either there
+ * or not), and hairlines tend to break or peel. The image is analysed once per version
+ * (analyzePrintRisk) at a capped resolution; the result is then rated against the chosen
+ * print size (evaluatePrintRisk), which is cheap enough to run on every size change.
+ */
+
+export const DEFAULT_PRINT_RISK = {
+  enabled: true,
+  minLineInches: 0.02, // ~0.5 mm: thinner strokes may break up or peel
+  maxSemiTransparentPercent: 5, // warn when more of the visible design is partially transparent
+};
+
+const ALPHA_EMPTY = 8; // at or below: background
+const ALPHA_SOLID = 247; // at or above: fully printed; in between is semi-transparent
+const ALPHA_STROKE = 128; // coverage that counts as part of a stroke for thickness
+const ANALYSIS_MAX_PX = 1200; // longest side analysed (larger images are downsampled)
+const MIN_THIN_PIXELS = 12; // ignore fewer thin stroke pixels than this (stray specks)
+const STROKE_PERCENTILE = 0.01; // min stroke is taken at this percentile of stroke widths
+
+/**
+ * Merge a raw settings object over DEFAULT_PRINT_RISK, ignoring invalid values.
+ * @param {object} [raw] - `printRisk` from the settings endpoint
+ * @returns {{ enabled: boolean, minLineInches: number, maxSemiTransparentPercent: number }}
+ */
+export function normalizePrintRisk(raw) {
+  const config = { ...DEFAULT_PRINT_RISK };
+  if (!raw || typeof raw !== "object") return config;
+
+  if (typeof raw.enabled === "boolean") config.enabled = raw.enabled;
+  const minLine = Number(raw.minLineInches);
+  if (raw.minLineInches != null && Number.isFinite(minLine) && minLine > 0) config.minLineInches = minLine;
+  const maxSemi = Number(raw.maxSemiTransparentPercent);
+  if (raw.maxSemiTransparentPercent != null && Number.isFinite(maxSemi) && maxSemi >= 0) {
+    config.maxSemiTransparentPercent = Math.min(100, maxSemi);
+  }
+  return config;
+}
+
+/**
+ * Stroke thickness along the centre lines of the design, in pixels.
+ * A chamfer distance transform gives each stroke pixel its distance to the nearest gap;
+ * pixels no neighbour exceeds (the ridge) sit mid-stroke, where thickness ≈ 2·d − 1.
+ * Corners of thick shapes are not ridge pixels, so they do not read as thin.
+ */
+function measureStrokes(data, width, height) {
+  const count = width * height;
+  const dist = new Float32Array(count);
+  for (let p = 0; p < count; p++) dist[p] = data[p * 4 + 3] >= ALPHA_STROKE ? Infinity : 0;
+
+  // Two-pass 3-4 chamfer; outside the image counts as background
+  const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : dist[y * width + x]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (dist[p] === 0) continue;
+      dist[p] = Math.min(dist[p], at(x - 1, y) + 3, at(x, y - 1) + 3, at(x - 1, y - 1) + 4, at(x + 1, y - 1) + 4);
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const p = y * width + x;
+      if (dist[p] === 0) continue;
+      dist[p] = Math.min(dist[p], at(x + 1, y) + 3, at(x, y + 1) + 3, at(x + 1, y + 1) + 4, at(x - 1, y + 1) + 4);
+    }
+  }
+
+  const points = [];
+  const widths = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = dist[y * width + x];
+      if (d === 0) continue;
+      let ridge = true;
+      for (let dy = -1; dy <= 1 && ridge; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && at(x + dx, y + dy) > d) {
+            ridge = false;
+            break;
+          }
+        }
+      }
+      if (!ridge) continue;
+      points.push(y * width + x);
+      widths.push(Math.max(1, (2 * d) / 3 - 1));
+    }
+  }
+  const sorted = Float32Array.from(widths).sort();
+  return {
+    points: Uint32Array.from(points),
+    widths: Float32Array.from(widths),
+    minWidth: sorted.length ? sorted[Math.floor((sorted.length - 1) * STROKE_PERCENTILE)] : null,
+  };
+}
+
+/**
+ * Analyse an image for DTF print risks (independent of print size).
+ * @param {string} url - Blob or image URL
+ * @returns {Promise<{
+ *   width: number, height: number, scale: number,
+ *   visiblePixels: number, semiTransparentPixels: number, semiMask: Uint8Array,
+ *   strokes: { points: Uint32Array, widths: Float32Array, minWidth: number|null }
+ * }>} Sizes and pixel indices are in the analysis grid; `scale` is analysis px per image px
+ */
+export function analyzePrintRisk(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, ANALYSIS_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+      const width = Math.max(1, Math.round(img.naturalWidth * scale));
+      const height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+
+      const semiMask = new Uint8Array(width * height);
+      let visiblePixels = 0;
+      let semiTransparentPixels = 0;
+      for (let p = 0; p < semiMask.length; p++) {
+        const a = data[p * 4 + 3];
+        if (a <= ALPHA_EMPTY) continue;
+        visiblePixels += 1;
+        if (a < ALPHA_SOLID) {
+          semiMask[p] = 1;
+          semiTransparentPixels += 1;
+        }
+      }
+
+      resolve({
+        width,
+        height,
+        scale: width / img.naturalWidth,
+        visiblePixels,
+        semiTransparentPixels,
+        semiMask,
+        strokes: measureStrokes(data, width, height),
+      });
+    };
+    img.onerror = () => reject(new Error("Failed to load image for print-risk analysis"));
+    img.src = url;
+  });
+}
+
+/**
+ * Rate an analysis at a print resolution.
+ * Semi-transparent pixels along the outline are normal anti-aliasing, so the percentage
+ * is only flagged above the configured share.
+ * @param {object} analysis - Result of analyzePrintRisk
+ * @param {number|null} dpi - Image pixels per inch at the chosen size (see getEffectiveDpi)
+ * @param {{ minLineInches: number, maxSemiTransparentPercent: number }} [config]
+ * @returns {{
+ *   semiTransparentPercent: number, semiTransparentRisk: boolean,
+ *   minStrokeInches: number|null, thinLineRisk: boolean, thinPoints: number[]
+ * }|null} `thinPoints` indexes analysis.strokes (for highlighting); null without analysis or DPI
+ */
+export function evaluatePrintRisk(analysis, dpi, config = DEFAULT_PRINT_RISK) {
+  if (!analysis || !(dpi > 0)) return null;
+
+  const semiTransparentPercent = analysis.visiblePixels
+    ? (analysis.semiTransparentPixels / analysis.visiblePixels) * 100
+    : 0;
+
+  const { widths } = analysis.strokes;
+  const analysisDpi = dpi * analysis.scale;
+  const minStrokePx = config.minLineInches * analysisDpi;
+  const thinPoints = [];
+  widths.forEach((w, i) => {
+    if (w < minStrokePx) thinPoints.push(i);
+  });
+
+  return {
+    semiTransparentPercent,
+    semiTransparentRisk: semiTransparentPercent > config.maxSemiTransparentPercent,
+    minStrokeInches: analysis.strokes.minWidth != null ? analysis.strokes.minWidth / analysisDpi : null,
+    thinLineRisk: thinPoints.length >= MIN_THIN_PIXELS,
+    thinPoints,
+  };
+}
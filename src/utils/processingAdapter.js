@@ -0,0 +1,151 @@
+/**
+ * Image-processing adapters - the backend behind Remove BG, Enhance and storing files.
+ *
+ * An adapter is a plain object:
+ * - name: string
+ * - removeBackground(blob, options) → Promise<{ blob, url, originalUrl }>
+ * - enhance(blob, options) → Promise<{ blob, url, originalUrl }>
+ * - storeOriginal(blob, options) → Promise<string> - stores a file as-is (uploads, edits,
+ *   vector originals, gang sheets) and resolves with its URL
+ * - storeCutLine(svgBlob, options) → Promise<string|null> - pre-cut contour file
+ * - capabilities: { serverProgress: boolean, fileUpload: boolean } - whether Remove BG /
+ *   Enhance report the server's own progress during the processing phase (otherwise the
+ *   loader estimates it), and whether storeOriginal accepts vector files
+ *
+ * Store calls reject when the backend does not accept the file, so a failed upload is never
+ * mistaken for a missing link.
+ *
+ * `blob` is the result for preview, `url` its stored copy for the cart and `originalUrl`
+ * the stored input (either may be null). `options` is { signal, onProgress } as for postImage.
+ *
+ * The endpoint comes from the container's data-processing-endpoint, then the settings
+ * endpoint's `processingEndpoint`, then DEFAULT_PROCESSING_ENDPOINT. The value "mock"
+ * selects the in-browser mock adapter, which is also the default in the theme editor.
+ */
+import { postImage } from "./processingRequest";
+import { createMockProcessingAdapter } from "./mockProcessingAdapter";
+import { isVectorType } from "./vectorArtwork";
+
+export const DEFAULT_PROCESSING_ENDPOINT = "https://highquality.allgovjobs.com/backend";
+export const MOCK_ENDPOINT = "mock";
+
+/**
+ * Adapter for the hosted processing backend (or a self-hosted copy of it).
+ * Contract: POST multipart "image" to /api/images/remove-bg or /api/images/enhance; the
+ * result is the response body and stored copies are linked in response headers.
+ * Cut lines (SVG) go to /api/images/cut-line, which links the stored file in X-Cut-Line-Link.
+ *
+ * There is no plain upload endpoint by default: storeOriginal sends raster images to
+ * remove-bg, which stores the original it receives and links it in X-Original-Image-Link
+ * (the only part used here). Other files (vector originals) cannot be stored that way.
+ * Backends that offer POST /api/files (stored file linked in X-File-Link) enable
+ * `fileUpload`, and every file is stored there instead.
+ *
+ * With `serverProgress`, processing requests carry an X-Progress-Id header and
+ * GET /api/progress/:id answers { fraction } (0..1) while the job runs.
+ * @param {string} baseUrl - Backend root, e.g. "https://example.com/backend"
+ * @param {{ serverProgress?: boolean, fileUpload?: boolean }} [options]
+ */
+export function createHttpProcessingAdapter(baseUrl, { serverProgress = false, fileUpload = false } = {}) {
+  const base = baseUrl.replace(/\/$/, "");
+
+  // Build a full server URL from a header path (avoids double slashes)
+  const buildServerUrl = (path) => {
+    if (!path) return null;
+    const p = path.startsWith("/") ? path.slice(1) : path;
+    return `${base}/${p}`;
+  };
+
+  // Tag a processing request with a job id and poll the backend for its progress
+  const withServerProgress = (options = {}) => {
+    if (!serverProgress || typeof crypto?.randomUUID !== "function") return options;
+    const jobId = crypto.randomUUID();
+    return {
+      ...options,
+      headers: { "X-Progress-Id": jobId },
+      pollProgress: async () => {
+        const res = await fetch(`${base}/api/progress/${encodeURIComponent(jobId)}`, { signal: options.signal });
+        if (!res.ok) return null;
+        const fraction = Number((await res.json())?.fraction);
+        return Number.isFinite(fraction) ? Math.min(1, Math.max(0, fraction)) : null;
+      },
+    };
+  };
+
+  const process = async (path, resultHeader, blob, options) => {
+    const res = await postImage(`${base}${path}`, blob, withServerProgress(options));
+    if (!res.ok) {
+      const error = new Error(`Processing request failed (${res.status})`);
+      error.status = res.status;
+      throw error;
+    }
+    return {
+      blob: await res.blob(),
+      url: buildServerUrl(res.headers.get(resultHeader)),
+      originalUrl: buildServerUrl(res.headers.get("X-Original-Image-Link")),
+    };
+  };
+
+  const store = async (path, linkHeader, blob, options) => {
+    const res = await postImage(`${base}${path}`, blob, options);
+    if (!res.ok) {
+      const error = new Error(`Upload failed (${res.status})`);
+      error.status = res.status;
+      throw error;
+    }
+    return buildServerUrl(res.headers.get(linkHeader));
+  };
+
+  return {
+    name: "http",
+    capabilities: { serverProgress, fileUpload },
+    removeBackground: (blob, options) =>
+      process("/api/images/remove-bg", "X-Image-Link", blob, options),
+    enhance: (blob, options) =>
+      process("/api/images/enhance", "X-AutoEnhance-Link", blob, options),
+    storeOriginal: async (blob, options) => {
+      if (!fileUpload && isVectorType(blob.type)) {
+        throw new Error(`Cannot store ${blob.type || "this file"} without a file upload endpoint`);
+      }
+      const url = fileUpload
+        ? await store("/api/files", "X-File-Link", blob, options)
+        : await store("/api/images/remove-bg", "X-Original-Image-Link", blob, options);
+      if (!url) throw new Error("Upload response did not link the stored file");
+      return url;
+    },
+    storeCutLine: (blob, options) => store("/api/images/cut-line", "X-Cut-Line-Link", blob, options),
+  };
+}
+
+/**
+ * True when a processing error means the backend could not do the work at all (network
+ * failure or a 5xx), as opposed to an abort or a rejected image.
+ */
+export function isServiceUnavailable(err) {
+  if (!err || err.name === "AbortError") return false;
+  return err instanceof TypeError || err.status >= 500;
+}
+
+/** True inside the Shopify theme editor, where previews should not hit the real backend. */
+function isThemeEditor() {
+  return typeof window !== "undefined" && window.Shopify?.designMode === true;
+}
+
+/**
+ * Pick the adapter for this page.
+ * @param {{ endpoint?: string|null, settingsEndpoint?: string|null, serverProgress?: boolean,
+ *   fileUpload?: boolean }} sources
+ *   `endpoint` from the container data attribute, `settingsEndpoint` from settings;
+ *   `serverProgress` / `fileUpload` when settings say the backend offers them
+ */
+export function resolveProcessingAdapter({
+  endpoint = null,
+  settingsEndpoint = null,
+  serverProgress = false,
+  fileUpload = false,
+} = {}) {
+  const configured = endpoint || (isThemeEditor() ? MOCK_ENDPOINT : settingsEndpoint);
+  const value = (configured || DEFAULT_PROCESSING_ENDPOINT).trim();
+  if (value === MOCK_ENDPOINT) return createMockProcessingAdapter();
+  return createHttpProcessingAdapter(value, { serverProgress, fileUpload });
+}
@@ -0,0 +1,150 @@
+/**
+ * Image processing requests with real progress.
+ *
+ * fetch() cannot report upload progress, so processing requests go through
+ * XMLHttpRequest and report three phases: uploading (request body sent),
+ * processing (waiting for the server) and downloading (result received).
+ * Backends that report their own progress are polled during the processing phase.
+ * The result is wrapped in a standard Response so callers read headers and
+ * the blob exactly as they would with fetch.
+ */
+
+export const PROGRESS_PHASES = ["uploading", "processing", "downloading"];
+
+// Share of the overall progress bar given to each phase (percent)
+const PHASE_RANGES = {
+  uploading: [0, 35],
+  processing: [35, 90],
+  downloading: [90, 100],
+};
+
+const PROGRESS_POLL_MS = 1000;
+
+// Statuses the Response constructor refuses a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Map a phase and its completed fraction onto the overall 0-100 progress bar.
+ * @param {string} phase - One of PROGRESS_PHASES
+ * @param {number} fraction - 0..1 within the phase
+ * @returns {number}
+ */
+export function getOverallProgress(phase, fraction) {
+  const range = PHASE_RANGES[phase];
+  if (!range) return 0;
+  const f = Math.min(1, Math.max(0, Number(fraction) || 0));
+  return range[0] + (range[1] - range[0]) * f;
+}
+
+function parseHeaders(raw) {
+  const headers = new Headers();
+  raw
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const index = line.indexOf(":");
+      if (index > 0) headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    });
+  return headers;
+}
+
+/**
+ * POST an image as multipart form data ("image" field), reporting progress.
+ * Upload progress listeners make cross-origin requests preflighted (OPTIONS), so the
+ * backend's CORS setup must answer the preflight.
+ * @param {string} url
+ * @param {Blob} blob
+ * @param {{ signal?: AbortSignal, onProgress?: (p: { phase: string, fraction: number|null }) => void,
+ *   headers?: Object<string, string>, pollProgress?: () => Promise<number|null> }} [options]
+ *   `fraction` is null while the phase's size is unknown (e.g. waiting on the server);
+ *   `pollProgress` resolves with the server's own progress (0..1) and is called every
+ *   PROGRESS_POLL_MS while the server is processing
+ * @returns {Promise<Response>} Rejects with an AbortError when the signal aborts
+ */
+export function postImage(url, blob, { signal, onProgress, headers = {}, pollProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("The request was aborted.", "AbortError");
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const report = (phase, fraction) => onProgress?.({ phase, fraction });
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+
+    // One poll at a time; a failed poll ends polling (the bar eases on by itself)
+    let pollTimer = null;
+    const stopPolling = () => {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    };
+    const schedulePoll = () => {
+      pollTimer = setTimeout(async () => {
+        try {
+          const fraction = await pollProgress();
+          if (!pollTimer) return;
+          if (fraction != null) report("processing", fraction);
+          schedulePoll();
+        } catch (err) {
+          console.warn("Could not read processing progress:", err);
+          stopPolling();
+        }
+      }, PROGRESS_POLL_MS);
+    };
+
+    const cleanup = () => {
+      stopPolling();
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    xhr.open("POST", url);
+    xhr.responseType = "blob";
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (e) => {
+      report("uploading", e.lengthComputable && e.total ? e.loaded / e.total : null);
+    };
+    // Body fully sent: the server is working until the response headers arrive
+    xhr.upload.onload = () => {
+      report("processing", null);
+      if (pollProgress && !pollTimer) schedulePoll();
+    };
+    xhr.onreadystatechange = () => {
+      if (xhr.readyState !== XMLHttpRequest.HEADERS_RECEIVED) return;
+      stopPolling();
+      report("downloading", 0);
+    };
+    xhr.onprogress = (e) => {
+      if (xhr.readyState < XMLHttpRequest.HEADERS_RECEIVED) return;
+      report("downloading", e.lengthComputable && e.total ? e.loaded / e.total : null);
+    };
+
+    xhr.onload = () => {
+      cleanup();
+      report("downloading", 1);
+      const body = NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response;
+      resolve(
+        new Response(body, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: parseHeaders(xhr.getAllResponseHeaders()),
+        })
+      );
+    };
+    xhr.onerror = () => {
+      cleanup();
+      reject(new TypeError("Network request failed"));
+    };
+    xhr.onabort = () => {
+      cleanup();
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    const form = new FormData();
+    form.append("image", blob);
+    report("uploading", 0);
+    xhr.send(form);
+  });
+}
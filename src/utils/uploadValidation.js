@@ -0,0 +1,182 @@
+/**
+ * Upload validation - single gate for every file entering the customizer.
+ *
+ * Checks run cheapest-first: size, then type (declared MIME + magic bytes),
+ * then a real decode to read pixel dimensions. Limits come from the settings
+ * payload (`uploadLimits`) and fall back to DEFAULT_UPLOAD_LIMITS.
+ * Vector files (SVG / PDF) skip the pixel checks; they are opened instead.
+ */
+import { inspectVector, isVectorType } from "./vectorArtwork";
+
+export const DEFAULT_UPLOAD_LIMITS = {
+  maxFileSizeMB: 10,
+  allowedTypes: [
+    "image/png",
+    "image/jpeg",
+    "image/gif",
+    "image/webp",
+    "image/svg+xml",
+    "application/pdf",
+  ],
+  minPixels: 200, // shortest side must be at least this many pixels
+  maxPixels: 12000, // longest side must not exceed this many pixels
+};
+
+// Short labels for the dropzone hint ("PNG, JPG, GIF up to 10MB")
+const TYPE_LABELS = {
+  "image/png": "PNG",
+  "image/jpeg": "JPG",
+  "image/gif": "GIF",
+  "image/webp": "WEBP",
+  "image/svg+xml": "SVG",
+  "application/pdf": "PDF",
+};
+
+/**
+ * Merge a raw settings object over DEFAULT_UPLOAD_LIMITS, ignoring invalid values.
+ * @param {object} [raw] - `uploadLimits` from the settings endpoint
+ * @returns {{ maxFileSizeMB: number, allowedTypes: string[], minPixels: number, maxPixels: number }}
+ */
+export function normalizeUploadLimits(raw) {
+  const limits = { ...DEFAULT_UPLOAD_LIMITS };
+  if (!raw || typeof raw !== "object") return limits;
+
+  ["maxFileSizeMB", "minPixels", "maxPixels"].forEach((key) => {
+    const n = Number(raw[key]);
+    if (raw[key] != null && Number.isFinite(n) && n > 0) limits[key] = n;
+  });
+  if (Array.isArray(raw.allowedTypes)) {
+    const types = raw.allowedTypes.filter((t) => typeof t === "string" && t.includes("/"));
+    if (types.length > 0) limits.allowedTypes = types;
+  }
+  return limits;
+}
+
+/** Comma-separated short labels for the allowed types, e.g. "PNG, JPG, GIF". */
+function describeAllowedTypes(limits) {
+  return limits.allowedTypes
+    .map((t) => TYPE_LABELS[t] || t.split("/")[1].split("+")[0].toUpperCase())
+    .join(", ");
+}
+
+/** Human-readable hint for the empty dropzone, e.g. "PNG, JPG, GIF up to 10MB". */
+export function describeUploadLimits(limits) {
+  return `${describeAllowedTypes(limits)} up to ${limits.maxFileSizeMB}MB`;
+}
+
+/**
+ * Detect the real image type from the first bytes of the file.
+ * @param {Blob} file
+ * @returns {Promise<string|null>} MIME type, or null if unrecognised
+ */
+export async function sniffImageType(file) {
+  const bytes = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+  if (bytes[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  // PDF, including PDF-compatible Illustrator (.ai) files
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+
+  // SVG is text: look for the root element near the start (after any XML prolog / comments)
+  const head = await file.slice(0, 2048).text();
+  if (/^\s*</.test(head.replace(/^\uFEFF/, "")) && /<svg[\s>]/i.test(head)) return "image/svg+xml";
+  return null;
+}
+
+/**
+ * Decode the file to confirm it is a usable image and read its pixel size.
+ * @param {Blob} file
+ * @returns {Promise<{ width: number, height: number }>}
+ */
+function decodeImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Failed to decode image"));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Validate a candidate upload against the configured limits.
+ * Never throws; failures are reported through `error` so the panel can show them inline.
+ * @param {File} file
+ * @param {object} limits - normalized upload limits
+ * @returns {Promise<{ valid: boolean, error: string|null, mimeType?: string, vector?: boolean, width?: number, height?: number }>}
+ */
+export async function validateImageFile(file, limits = DEFAULT_UPLOAD_LIMITS) {
+  if (!file) return { valid: false, error: "No file selected." };
+
+  const maxBytes = limits.maxFileSizeMB * 1024 * 1024;
+  if (file.size > maxBytes) {
+    const sizeMB = (file.size / (1024 * 1024)).toFixed(1);
+    return {
+      valid: false,
+      error: `This file is ${sizeMB}MB. The maximum upload size is ${limits.maxFileSizeMB}MB.`,
+    };
+  }
+
+  let mimeType;
+  try {
+    // Trust the file's bytes over its extension / declared type
+    mimeType = (await sniffImageType(file)) || file.type;
+  } catch (err) {
+    console.warn("Could not read file header:", err);
+    mimeType = file.type;
+  }
+  if (!limits.allowedTypes.includes(mimeType)) {
+    return {
+      valid: false,
+      error: `Unsupported file type. Please upload ${describeAllowedTypes(limits)}.`,
+    };
+  }
+
+  if (isVectorType(mimeType)) {
+    try {
+      const { pageCount } = await inspectVector(file, mimeType);
+      if (pageCount > 1) {
+        return {
+          valid: false,
+          error: `This PDF has ${pageCount} pages. Please upload a single-page PDF.`,
+        };
+      }
+    } catch {
+      return { valid: false, error: "This file appears to be damaged and could not be opened." };
+    }
+    return { valid: true, error: null, mimeType, vector: true };
+  }
+
+  let dims;
+  try {
+    dims = await decodeImage(file);
+  } catch {
+    return { valid: false, error: "This image appears to be damaged and could not be opened." };
+  }
+
+  const shortSide = Math.min(dims.width, dims.height);
+  const longSide = Math.max(dims.width, dims.height);
+  if (shortSide < limits.minPixels) {
+    return {
+      valid: false,
+      error: `Image is too small (${dims.width}×${dims.height}px). It must be at least ${limits.minPixels}px on each side.`,
+    };
+  }
+  if (longSide > limits.maxPixels) {
+    return {
+      valid: false,
+      error: `Image is too large (${dims.width}×${dims.height}px). The longest side can be at most ${limits.maxPixels}px.`,
+    };
+  }
+
+  return { valid: true, error: null, mimeType, width: dims.width, height: dims.height };
+}
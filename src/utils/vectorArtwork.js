@@ -0,0 +1,234 @@
+/**
+ * Vector artwork - SVG and single-page PDF (including PDF-compatible .ai files).
+ *
+ * Vectors are rasterized in the browser for previews and mockups; the original file
+ * is kept and sent along for printing. The raster is produced at PRINT_DPI for the
+ * artwork's own physical size, so the auto-filled inches match the document; once the
+ * customer picks a print size it is rendered again at PRINT_DPI for that size.
+ *
+ * pdf.js is large, so it is not bundled: the build emits it as an asset and it is loaded
+ * from the app host the first time a PDF is opened.
+ */
+import pdfJsPath from "pdfjs-dist/build/pdf.min.mjs?url";
+import pdfWorkerPath from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import { assetUrl } from "./assetUrl";
+
+export const VECTOR_TYPES = ["image/svg+xml", "application/pdf"];
+
+const PRINT_DPI = 300;
+const MAX_RASTER_AREA = 4096 * 4096; // pixels; the largest canvas iOS Safari allocates
+const FALLBACK_INCHES = 10; // SVG with no usable size information
+const CSS_PX_PER_INCH = 96;
+const PT_PER_INCH = 72;
+
+// CSS absolute units → inches (SVG width/height attributes)
+const UNIT_INCHES = {
+  in: 1,
+  cm: 1 / 2.54,
+  mm: 1 / 25.4,
+  pt: 1 / PT_PER_INCH,
+  pc: 1 / 6,
+  px: 1 / CSS_PX_PER_INCH,
+  "": 1 / CSS_PX_PER_INCH,
+};
+
+export function isVectorType(mimeType) {
+  return VECTOR_TYPES.includes(mimeType);
+}
+
+/** Parse an SVG length such as "10in", "254mm" or "300" into inches (null for % or invalid). */
+function svgLengthToInches(value) {
+  const match = /^\s*([\d.]+)\s*([a-z]*)\s*$/i.exec(value || "");
+  if (!match) return null;
+  const factor = UNIT_INCHES[match[2].toLowerCase()];
+  const n = parseFloat(match[1]);
+  return factor && n > 0 ? n * factor : null;
+}
+
+/** Parse the SVG document and derive its physical size from width/height or the viewBox. */
+async function parseSvg(file) {
+  const text = await file.text();
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  const svg = doc.documentElement;
+  if (!svg || svg.nodeName.toLowerCase() !== "svg" || doc.querySelector("parsererror")) {
+    throw new Error("Invalid SVG document");
+  }
+
+  const viewBox = (svg.getAttribute("viewBox") || "").split(/[\s,]+/).map(Number);
+  const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+  let widthInches = svgLengthToInches(svg.getAttribute("width"));
+  let heightInches = svgLengthToInches(svg.getAttribute("height"));
+  const aspect = hasViewBox ? viewBox[3] / viewBox[2] : null;
+
+  if (widthInches && !heightInches && aspect) heightInches = widthInches * aspect;
+  if (heightInches && !widthInches && aspect) widthInches = heightInches / aspect;
+  if (!widthInches || !heightInches) {
+    if (hasViewBox) {
+      widthInches = viewBox[2] / CSS_PX_PER_INCH;
+      heightInches = viewBox[3] / CSS_PX_PER_INCH;
+    } else {
+      widthInches = FALLBACK_INCHES;
+      heightInches = FALLBACK_INCHES;
+    }
+  }
+  return { doc, svg, hasViewBox, widthInches, heightInches };
+}
+
+let pdfJsPromise = null;
+
+// The output is a single IIFE, so a bundled import() would not split pdf.js off; import
+// the emitted module by URL instead (once, shared by every PDF)
+function loadPdfJs() {
+  if (!pdfJsPromise) {
+    pdfJsPromise = import(/* @vite-ignore */ assetUrl(pdfJsPath))
+      .then((pdfjs) => {
+        // Worker loads from the app host; pdf.js wraps cross-origin worker URLs itself
+        pdfjs.GlobalWorkerOptions.workerSrc = assetUrl(pdfWorkerPath);
+        return pdfjs;
+      })
+      .catch((err) => {
+        pdfJsPromise = null; // let the next PDF try again
+        throw err;
+      });
+  }
+  return pdfJsPromise;
+}
+
+async function openPdf(file) {
+  const [{ getDocument }, buffer] = await Promise.all([loadPdfJs(), file.arrayBuffer()]);
+  return getDocument({ data: new Uint8Array(buffer), isEvalSupported: false }).promise;
+}
+
+/**
+ * Open a vector file and report its physical size (and page count for PDFs).
+ * @param {File} file
+ * @param {string} mimeType
+ * @returns {Promise<{ widthInches: number, heightInches: number, pageCount: number }>}
+ */
+export async function inspectVector(file, mimeType) {
+  if (mimeType === "image/svg+xml") {
+    const { widthInches, heightInches } = await parseSvg(file);
+    return { widthInches, heightInches, pageCount: 1 };
+  }
+  const pdf = await openPdf(file);
+  try {
+    const page = await pdf.getPage(1);
+    const viewport = page.getViewport({ scale: 1 });
+    return {
+      widthInches: viewport.width / PT_PER_INCH,
+      heightInches: viewport.height / PT_PER_INCH,
+      pageCount: pdf.numPages,
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Pixel size of the raster for a print of the given size: PRINT_DPI, scaled down to fit
+ * MAX_RASTER_AREA.
+ * @returns {{ width: number, height: number }}
+ */
+export function getVectorRasterSize(widthInches, heightInches) {
+  const area = widthInches * heightInches * PRINT_DPI * PRINT_DPI;
+  const scale = Math.min(1, Math.sqrt(MAX_RASTER_AREA / area));
+  return {
+    width: Math.max(1, Math.round(widthInches * PRINT_DPI * scale)),
+    height: Math.max(1, Math.round(heightInches * PRINT_DPI * scale)),
+  };
+}
+
+function canvasToPngFile(canvas, name) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Failed to export rasterized artwork"));
+        return;
+      }
+      resolve(new File([blob], `${name.replace(/\.[^.]+$/, "")}.png`, { type: "image/png" }));
+    }, "image/png");
+  });
+}
+
+// Print size of the whole artwork: its own physical size, or scaled to `printWidthInches`
+const printSize = (widthInches, heightInches, printWidthInches) =>
+  printWidthInches > 0
+    ? { width: printWidthInches, height: (heightInches * printWidthInches) / widthInches }
+    : { width: widthInches, height: heightInches };
+
+async function rasterizeSvg(file, printWidthInches) {
+  const { svg, hasViewBox, widthInches, heightInches } = await parseSvg(file);
+  const print = printSize(widthInches, heightInches, printWidthInches);
+  const { width, height } = getVectorRasterSize(print.width, print.height);
+
+  // Render at the target size so the browser rasterizes the vector, not an upscaled bitmap
+  if (!hasViewBox) {
+    svg.setAttribute(
+      "viewBox",
+      `0 0 ${widthInches * CSS_PX_PER_INCH} ${heightInches * CSS_PX_PER_INCH}`
+    );
+  }
+  svg.setAttribute("width", String(width));
+  svg.setAttribute("height", String(height));
+  const markup = new XMLSerializer().serializeToString(svg);
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const el = new Image();
+      el.onload = () => resolve(el);
+      el.onerror = () => reject(new Error("Failed to render SVG"));
+      el.src = url;
+    });
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+    return { canvas, widthInches, heightInches };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function rasterizePdf(file, printWidthInches) {
+  const pdf = await openPdf(file);
+  try {
+    const page = await pdf.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const widthInches = base.width / PT_PER_INCH;
+    const heightInches = base.height / PT_PER_INCH;
+    const print = printSize(widthInches, heightInches, printWidthInches);
+    const { width } = getVectorRasterSize(print.width, print.height);
+    const viewport = page.getViewport({ scale: width / base.width });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    await page.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport,
+      background: "rgba(0, 0, 0, 0)", // keep unpainted areas transparent for DTF
+    }).promise;
+    return { canvas, widthInches, heightInches };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Rasterize an SVG or single-page PDF to a print-resolution PNG.
+ * @param {File} file
+ * @param {string} mimeType
+ * @param {number} [printWidthInches] - Printed width of the whole artwork; defaults to its
+ *   physical size (the aspect ratio is always kept)
+ * @returns {Promise<{ file: File, dpi: number, widthInches: number, heightInches: number }>}
+ *   `dpi` is the raster's pixels per inch of the artwork's physical size
+ */
+export async function rasterizeVector(file, mimeType, printWidthInches) {
+  const { canvas, widthInches, heightInches } =
+    mimeType === "image/svg+xml"
+      ? await rasterizeSvg(file, printWidthInches)
+      : await rasterizePdf(file, printWidthInches);
+  const png = await canvasToPngFile(canvas, file.name || "design");
+  return { file: png, dpi: canvas.width / widthInches, widthInches, heightInches };
+}
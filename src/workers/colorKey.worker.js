@@ -0,0 +1,18 @@
+/**
+ * Color-key worker - runs colorKeyPixels off the main thread.
+ *
+ * In:  { id, buffer, width, height, options } (buffer is transferred)
+ * Out: { id, buffer, keyColor } or { id, error }
+ */
+import { colorKeyPixels } from "../utils/colorKey";
+
+self.onmessage = (e) => {
+  const { id, buffer, width, height, options } = e.data;
+  try {
+    const data = new Uint8ClampedArray(buffer);
+    const keyColor = colorKeyPixels(data, width, height, options);
+    self.postMessage({ id, buffer: data.buffer, keyColor }, [data.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};